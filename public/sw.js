@@ -0,0 +1,89 @@
+// ---- Service worker ----
+// Makes the built app load offline and handles taps on reminder notifications.
+// Vite's assets carry a content hash in their name, so they are cached on first use and
+// never change; the page itself is fetched network-first so a new deploy is picked up as
+// soon as the server is reachable. Installing reads index.html to cache its assets up front.
+const CACHE = "office-tracker-v1";
+const SCOPE = new URL(self.registration.scope).pathname;
+const SHELL = ["", "index.html", "manifest.webmanifest", "icon.svg", "icon-192.png", "icon-512.png"].map(p => SCOPE + p);
+
+// Every src/href in the page, resolved against the scope, that points into assets/
+const assetsIn = (html) => [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+  .map(m => new URL(m[1], self.registration.scope).pathname)
+  .filter(path => path.startsWith(SCOPE + "assets/"));
+
+async function cachePage(cache, response) {
+  const html = await response.clone().text();
+  const assets = assetsIn(html);
+  await cache.addAll(assets);
+  await cache.put(SCOPE + "index.html", response);
+  // Drop assets from earlier deploys; a page that lists none says nothing about them
+  if (!assets.length) return;
+  for (const req of await cache.keys()) {
+    const path = new URL(req.url).pathname;
+    if (path.startsWith(SCOPE + "assets/") && !assets.includes(path)) await cache.delete(req);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL.filter(p => !p.endsWith("index.html")));
+    await cachePage(cache, await fetch(SCOPE + "index.html", { cache: "no-cache" }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    event.respondWith((async () => {
+      const cache = await caches.open(CACHE);
+      try {
+        const response = await fetch(SCOPE + "index.html", { cache: "no-cache" });
+        if (response.ok) event.waitUntil(cachePage(cache, response.clone()));
+        return response;
+      } catch {
+        return (await cache.match(SCOPE + "index.html")) || Response.error();
+      }
+    })());
+  } else if (url.pathname.startsWith(SCOPE + "assets/") || SHELL.includes(url.pathname)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(CACHE);
+      const hit = await cache.match(request);
+      if (hit) return hit;
+      const response = await fetch(request);
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })());
+  }
+});
+
+// Reminder taps: "checkIn" notifications mark the day unless the "not today" action was
+// chosen. An open window handles it through a message; otherwise one is opened with the
+// request in the URL.
+self.addEventListener("notificationclick", (event) => {
+  const { kind, date, profileId } = event.notification.data || {};
+  event.notification.close();
+  const checkIn = kind === "checkIn" && event.action !== "dismiss";
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows[0];
+    if (client) {
+      await client.focus();
+      if (checkIn) client.postMessage({ type: "check-in", date, profileId });
+    } else {
+      const params = checkIn ? `?checkin=${encodeURIComponent(date)}&profile=${encodeURIComponent(profileId)}` : "";
+      await self.clients.openWindow(SCOPE + params);
+    }
+  })());
+});
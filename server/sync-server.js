@@ -0,0 +1,116 @@
+// Reference sync server for the Office Attendance Tracker.
+// No dependencies: `npm run sync-server` (or `node server/sync-server.js`).
+// Protocol and settings are described in server/README.md.
+import http from "node:http";
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { mergeStamped } from "../src/lib/syncMerge.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || "sync-data");
+const TOKEN = process.env.SYNC_TOKEN || "";
+const ALLOW_ORIGIN = process.env.SYNC_ALLOW_ORIGIN || "*";
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SPACE = /^[A-Za-z0-9_-]{1,64}$/;
+const ROUTE = /^\/api\/spaces\/([^/]+)(\/sync)?\/?$/;
+
+const CORS = {
+  "Access-Control-Allow-Origin": ALLOW_ORIGIN,
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const emptyDoc = () => ({ profiles: {}, calendars: {}, stamps: { profiles: {}, calendars: {} } });
+
+class HttpError extends Error {
+  constructor(status, message) { super(message); this.status = status; }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(new HttpError(413, "Request body too large")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const fileFor = (space) => path.join(DATA_DIR, `${space}.json`);
+
+async function load(space) {
+  try { return JSON.parse(await readFile(fileFor(space), "utf8")); } catch (e) {
+    if (e.code === "ENOENT") return emptyDoc();
+    throw e;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a document
+async function store(space, doc) {
+  await mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${fileFor(space)}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(doc));
+  await rename(tmp, fileFor(space));
+}
+
+// One merge at a time per space
+const locks = new Map();
+function withLock(space, fn) {
+  const run = (locks.get(space) || Promise.resolve()).then(fn);
+  locks.set(space, run.catch(() => {}));
+  return run;
+}
+
+function parseChanges(text) {
+  let body;
+  try { body = JSON.parse(text || "{}"); } catch { throw new HttpError(400, "Body is not valid JSON"); }
+  if (!isObject(body)) throw new HttpError(400, "Body must be a JSON object");
+  for (const key of ["profiles", "calendars", "stamps"]) {
+    if (body[key] !== undefined && !isObject(body[key])) throw new HttpError(400, `${key} must be an object`);
+  }
+  return { profiles: body.profiles || {}, calendars: body.calendars || {}, stamps: body.stamps || {}, schemaVersion: body.schemaVersion };
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); res.end(); return; }
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) throw new HttpError(401, "Missing or wrong token");
+  const { pathname } = new URL(req.url, "http://localhost");
+  const match = ROUTE.exec(pathname);
+  if (!match) throw new HttpError(404, "Not found");
+  const space = match[1];
+  if (!SPACE.test(space)) throw new HttpError(400, "Space names use letters, digits, - and _ (up to 64)");
+
+  if (req.method === "GET" && !match[2]) { send(res, 200, await load(space)); return; }
+  if (req.method === "POST" && match[2]) {
+    const changes = parseChanges(await readBody(req));
+    const merged = await withLock(space, async () => {
+      const cur = await load(space);
+      const { profiles, calendars, stamps } = mergeStamped(cur, changes);
+      const doc = { schemaVersion: Math.max(Number(cur.schemaVersion) || 0, Number(changes.schemaVersion) || 0), profiles, calendars, stamps };
+      await store(space, doc);
+      return doc;
+    });
+    send(res, 200, merged);
+    return;
+  }
+  throw new HttpError(405, "Method not allowed");
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    if (!(e instanceof HttpError)) console.error(e);
+    send(res, e.status || 500, { error: e instanceof HttpError ? e.message : "Internal error" });
+  });
+}).listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data in ${DATA_DIR}${TOKEN ? ", token required" : ""})`);
+});
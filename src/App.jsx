@@ -1,50 +1,123 @@
-import React, { useMemo, useState, useEffect } from "react";
-import { format, startOfMonth, endOfMonth, eachDayOfInterval, isWeekend, parseISO, isSameMonth, isBefore, addDays, isAfter } from "date-fns";
+import React, { useMemo, useState, useEffect, useRef } from "react";
+import { format, startOfMonth, endOfMonth, isSameMonth, isBefore } from "date-fns";
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { fmt, monthKey, safeParseDate, WEEKDAY_LABELS, DEFAULT_WORK_WEEK, normalizeWorkWeek, isWorkday, weekdayOrder } from "./lib/dates.js";
+import { POLICY_MODES, DEFAULT_ROLLING_WEEKS, DEFAULT_DAYS_PER_WEEK, policySummary, policyChartData, policyTimeline, policyOn, officeCounts } from "./lib/policy.js";
+import { DEFAULT_STATUS, statusRules, statusCredit } from "./lib/statuses.js";
+import { officeById, withDay, keptLocation, locationBreakdown } from "./lib/locations.js";
+import { EMPTY_MONTH } from "./lib/profile.js";
+import { loadWorkspace, saveProfiles, saveCalendars, subscribe, onStorageError } from "./lib/storage.js";
+import { rebase } from "./lib/merge.js";
+import { appendAudit, profileChanges, mergeAudit, lateMarks, DEFAULT_LATE_MARK_DAYS } from "./lib/audit.js";
+import { pushSnapshot, restoreProfiles } from "./lib/undo.js";
+import { daysBetween, weekdaysInMonth, lastMonthPattern } from "./lib/bulk.js";
+import { loadReminderSettings, saveReminderSettings, todayState, dueReminders, markReminderShown, showReminder } from "./lib/reminders.js";
+import { LOCALES, I18nContext, makeI18n, loadLocale, saveLocale, useI18n } from "./lib/i18n.js";
+import { startSync, syncNow, configureSync } from "./lib/sync.js";
+import { SyncStatusButton, SyncPanel } from "./components/SyncPanel.jsx";
+import { SCHEMA_VERSION, checkImportedProfile, formatErrors } from "./lib/schema.js";
+import { SHARE_PARAM, LEGACY_SHARE_PARAM, encodeShare, decodeShare, decodeLegacyShare, isEncryptedShare, profileForRange, sharePreview } from "./lib/shareLink.js";
+import { buildBackup, parseBackup, applyRestore } from "./lib/backup.js";
+import RestorePanel from "./components/RestorePanel.jsx";
+import CsvPanel from "./components/CsvPanel.jsx";
+import IcsExportDialog from "./components/IcsExportDialog.jsx";
+import { applyCsvEntries } from "./lib/csv.js";
+import { ShareDialog, ShareImportPreview } from "./components/SharePanels.jsx";
+import { Panel, Progress, InlineIcon, Stat } from "./components/ui.jsx";
+import HolidayCalendarsPanel from "./components/HolidayCalendarsPanel.jsx";
+import HolidayPresetsPanel from "./components/HolidayPresetsPanel.jsx";
+import PolicyHistory from "./components/PolicyHistory.jsx";
+import YearOverview from "./components/YearOverview.jsx";
+import PlannerPanel from "./components/PlannerPanel.jsx";
+import TeamView from "./components/TeamView.jsx";
+import TotalsExplanation from "./components/TotalsExplanation.jsx";
+import ReportView from "./components/ReportView.jsx";
+import AuditLogPanel from "./components/AuditLogPanel.jsx";
+import BulkActions from "./components/BulkActions.jsx";
+import RemindersPanel from "./components/RemindersPanel.jsx";
+import OfficesPanel from "./components/OfficesPanel.jsx";
+import LocationBreakdown from "./components/LocationBreakdown.jsx";
+import CalendarGrid, { PLAN_BRUSH } from "./components/CalendarGrid.jsx";
+import { planWindows, byMonth } from "./lib/planner.js";
+import { generatedHolidays, profileHolidays } from "./lib/holidays.js";
 
 /**
  * Office Attendance Tracker (Standalone, No-Upload, Multi-User Profiles)
  *
  * Changes in this version
  * - ❌ Removed Excel upload + XLSX dependency entirely
- * - ✅ Added Multi-user profiles stored in localStorage (create/rename/delete/switch)
+ * - ✅ Added Multi-user profiles stored in the browser (create/rename/delete/switch)
  * - ✅ Per-user month data (holidays & attendance) saved automatically
  * - ✅ Import/Export JSON (fileless), plus "Share link" that embeds the current profile state
  * - ✅ No external UI libraries or CDNs
  * - ✅ Removed on-screen self-test panel (clean UI)
+ * - ✅ Policy modes: monthly, weekly, quarterly or rolling N-week compliance windows
+ * - ✅ Per-profile work week (working weekdays + first day of week) instead of fixed Mon–Fri
+ * - ✅ Typed day statuses (office, half day, travel, client site, WFH, leave, sick) with per-profile rules
+ * - ✅ Shared named holiday calendars (any date range, .ics import) that profiles subscribe to
+ * - ✅ Offline built-in public holiday presets (fixed, nth-weekday, Easter-relative, substitute days)
+ * - ✅ Effective-dated policy history: each day is counted with the policy in force on that date
+ * - ✅ Year overview: heatmap, month-by-month required vs completed, YTD totals and streaks
+ * - ✅ Planner: planned days kept apart from attendance, auto-suggested around preferred weekdays
+ * - ✅ Team view: profiles side by side with per-day headcount and most-overlap days
+ * - ✅ Versioned storage with migrations; imports and share links are validated field by field
+ * - ✅ Compact, Unicode-safe share links with month ranges, optional passphrase encryption and a preview
+ * - ✅ Full-workspace backup; restore per profile by replace, day-level merge or keep both, with a diff first
+ * - ✅ IndexedDB storage (migrated from localStorage) with live, day-level merged sync between open tabs
+ * - ✅ Opt-in sync with a self-hosted server (per-day change stamps, offline queue, status in the header)
+ * - ✅ CSV export (daily rows and monthly summary, any range and profiles) and CSV import with column mapping
+ * - ✅ iCalendar (.ics) download of marked, planned and holiday days with stable event UIDs
+ * - ✅ Printable month/quarter compliance report built from the same summary as the month view
+ * - ✅ Append-only audit log of day edits with a history panel; late-marked days flagged in the calendar
+ * - ✅ Undo/redo (Ctrl+Z / Ctrl+Y) for day edits, clears, imports and profile deletes; range and bulk marking
+ * - ✅ Keyboard-driven ARIA calendar grid with spoken day states, text markers and live totals
+ * - ✅ Locale setting (English, US English, German, French): translated UI, localized dates and week start
+ * - ✅ Installable offline PWA (manifest + service worker); opt-in pace and end-of-day check-in reminders
+ * - ✅ Office locations: per-day location badge, policy-defined counted offices, month/year per-office breakdown
  */
 
-// ---- Storage helpers ----
-const LS_KEY = "officeTrackerProfiles_v2";
-function loadProfiles() {
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return {};
-    const obj = JSON.parse(raw);
-    return obj && typeof obj === "object" ? obj : {};
-  } catch { return {}; }
-}
-function saveProfiles(p) {
-  localStorage.setItem(LS_KEY, JSON.stringify(p));
-}
 function uuid() {
   return Math.random().toString(36).slice(2) + Date.now().toString(36);
 }
-function monthKey(d) { return format(d, "yyyy-MM"); }
 
+// Storage is asynchronous (IndexedDB), so the tracker mounts once the workspace is loaded.
+// The locale is a per-browser setting provided to every component through I18nContext.
 export default function App() {
+  const [stored, setStored] = useState(null);
+  useEffect(() => { loadWorkspace().then(setStored); }, []);
+  const [localeId, setLocaleId] = useState(loadLocale);
+  const i18n = useMemo(() => makeI18n(localeId), [localeId]);
+  useEffect(() => { document.documentElement.lang = i18n.locale.id; }, [i18n]);
+  const changeLocale = (id) => { saveLocale(id); setLocaleId(id); };
+  if (!stored) return <div className="min-h-screen bg-gray-50" />;
+  return (
+    <I18nContext.Provider value={i18n}>
+      <Tracker stored={stored} onLocaleChange={changeLocale} />
+    </I18nContext.Provider>
+  );
+}
+
+function Tracker({ stored, onLocaleChange }) {
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
   // --- Profiles ---
-  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [profiles, setProfiles] = useState(stored.profiles);
   const ids = Object.keys(profiles);
   const ensureDefault = () => {
     if (ids.length === 0) {
       const id = uuid();
       const now = new Date();
       const base = {
-        id, name: "Me",
+        id, name: t("profiles.defaultName"),
         joinDate: format(now, "yyyy-MM-dd"),
-        daysPerWeek: 3,
-        months: {} // "yyyy-MM": { holidays: [iso...], attendance: [iso...] }
+        // New profiles start their week where the locale does
+        policies: [{ start: format(now, "yyyy-MM-dd"), daysPerWeek: DEFAULT_DAYS_PER_WEEK, workWeek: { ...DEFAULT_WORK_WEEK, weekStartsOn: i18n.weekStartsOn } }],
+        policyMode: "monthly",
+        rollingWeeks: DEFAULT_ROLLING_WEEKS,
+        calendarIds: [],
+        holidayPresets: [],
+        disabledHolidays: [],
+        months: {} // "yyyy-MM": { holidays: [iso...], days: { iso: statusId } }
       };
       const next = { [id]: base };
       setProfiles(next);
@@ -55,194 +128,529 @@ export default function App() {
   };
   const [activeId, setActiveId] = useState(() => ensureDefault());
 
-  // URL-import (optional shared link)
+  // URL-import (optional shared link). Nothing is stored until the preview is confirmed.
+  const [pendingShare, setPendingShare] = useState(null);
   useEffect(() => {
-    try {
-      const url = new URL(window.location.href);
-      const s = url.searchParams.get("state");
-      if (s) {
-        const parsed = JSON.parse(atob(decodeURIComponent(s)));
-        if (parsed && parsed.id) {
-          const next = { ...profiles, [parsed.id]: parsed };
-          setProfiles(next);
-          setActiveId(parsed.id);
-          saveProfiles(next);
-          // clean param after import
-          url.searchParams.delete("state");
-          history.replaceState(null, "", url.toString());
+    const url = new URL(window.location.href);
+    const value = url.searchParams.get(SHARE_PARAM);
+    const legacy = url.searchParams.get(LEGACY_SHARE_PARAM);
+    if (!value && !legacy) return;
+    // clean params whether or not the import succeeds
+    url.searchParams.delete(SHARE_PARAM);
+    url.searchParams.delete(LEGACY_SHARE_PARAM);
+    history.replaceState(null, "", url.toString());
+    (async () => {
+      let raw;
+      try {
+        if (value && isEncryptedShare(value)) {
+          for (;;) {
+            const passphrase = prompt(t("share.askPassphrase"));
+            if (passphrase === null) return;
+            try { raw = await decodeShare(value, passphrase); break; } catch { alert(t("share.wrongPassphrase")); }
+          }
+        } else {
+          raw = value ? await decodeShare(value) : decodeLegacyShare(legacy);
         }
+      } catch {
+        alert(t("share.damaged"));
+        return;
       }
-    } catch {}
+      const { profile: parsed, errors } = checkImportedProfile(raw);
+      if (errors.length) {
+        alert(formatErrors(t("share.invalid"), errors, t));
+        return;
+      }
+      setPendingShare(parsed);
+    })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const acceptShare = (asCopy) => {
+    checkpoint(t("undo.shareImport"));
+    const shared = pendingShare;
+    const local = profiles[shared.id];
+    let incoming = shared;
+    if (local && asCopy) incoming = { ...shared, id: uuid(), name: t("share.copyName", { name: shared.name || t("profiles.profile") }) };
+    else if (local) incoming = { ...local, ...shared, months: { ...local.months, ...shared.months }, audit: mergeAudit(local.audit, shared.audit) };
+    const next = { ...profiles, [incoming.id]: incoming };
+    setProfiles(next); saveProfiles(next); setActiveId(incoming.id);
+    setPendingShare(null);
+  };
+
   useEffect(() => { saveProfiles(profiles); }, [profiles]);
 
+  // --- Holiday calendars (shared by all profiles) ---
+  const [calendars, setCalendars] = useState(stored.calendars);
+  useEffect(() => { saveCalendars(calendars); }, [calendars]);
+
+  // Another tab saved: take its data and replay any edits of ours it hasn't seen yet
+  useEffect(() => subscribe((remote, prev) => {
+    setProfiles(cur => rebase(prev.profiles, cur, remote.profiles));
+    setCalendars(cur => rebase(prev.calendars, cur, remote.calendars));
+  }), []);
+
+  // Stored data that couldn't be read, written or reloaded; shown above everything else
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => onStorageError(setStorageError), []);
+
+  // Server sync; pulled data arrives through the subscription above
+  const [syncStatus, setSyncStatus] = useState({ state: "off" });
+  const [syncOpen, setSyncOpen] = useState(false);
+  useEffect(() => startSync(setSyncStatus), []);
+
+  // --- Undo / redo: workspace snapshots taken before each undoable action ---
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const checkpoint = (label) => {
+    setUndoStack(s => pushSnapshot(s, { label, profiles, calendars, activeId }));
+    setRedoStack([]);
+  };
+  const restoreSnapshot = (snap, via) => {
+    const next = restoreProfiles(profiles, snap.profiles, via);
+    const id = next[snap.activeId] ? snap.activeId : Object.keys(next)[0];
+    setProfiles(next); setCalendars(snap.calendars); setActiveId(id);
+    setHolidayInput(holidayText(next[id]?.months?.[currentMonthKey]?.holidays));
+  };
+  const undo = () => {
+    const snap = undoStack.at(-1);
+    if (!snap) return;
+    setUndoStack(s => s.slice(0, -1));
+    setRedoStack(s => [...s, { label: snap.label, profiles, calendars, activeId }]);
+    restoreSnapshot(snap, "undo");
+  };
+  const redo = () => {
+    const snap = redoStack.at(-1);
+    if (!snap) return;
+    setRedoStack(s => s.slice(0, -1));
+    setUndoStack(s => pushSnapshot(s, { label: snap.label, profiles, calendars, activeId }));
+    restoreSnapshot(snap, "redo");
+  };
+  // Re-bound on every render so the shortcuts see current state; text fields keep their own undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if (key === "y" || (key === "z" && e.shiftKey)) { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
   const profile = profiles[activeId] || profiles[ensureDefault()];
 
+  // All edits go through here so profile.months stays the single source of truth.
+  // Day changes are appended to the audit log unless the caller describes them itself.
+  const updateProfile = (fn, audit) => setProfiles(prev => {
+    const p = prev[activeId];
+    if (!p) return prev;
+    const next = fn(p);
+    return { ...prev, [activeId]: appendAudit(next, audit ?? profileChanges(p, next)) };
+  });
+  const updateMonth = (key, fn, audit) => updateProfile(p => ({
+    ...p, months: { ...p.months, [key]: fn(p.months?.[key] || EMPTY_MONTH) },
+  }), audit);
+
   // --- Month / Year state (shared UI state; data saved under profile.months[yyyy-MM])
   const now = new Date();
   const [month, setMonth] = useState(now.getMonth()); // 0-11
   const [year, setYear] = useState(now.getFullYear());
-  const [joinDate, setJoinDate] = useState(profile.joinDate);
-  const [daysPerWeek, setDaysPerWeek] = useState(profile.daysPerWeek);
-
-  // Sync profile fields when active profile changes
-  useEffect(() => {
-    if (!profile) return;
-    setJoinDate(profile.joinDate);
-    setDaysPerWeek(profile.daysPerWeek);
-  }, [activeId]);
+  const [view, setView] = useState("month"); // "month" | "year" | "team" | "report"
+  const joinDate = profile.joinDate;
+  const policyMode = profile.policyMode || "monthly";
 
   const currentMonthKey = monthKey(new Date(year, month, 1));
-  const monthData = profile.months?.[currentMonthKey] || { holidays: [], attendance: [] };
-
-  const [holidayInput, setHolidayInput] = useState(monthData.holidays.join("\n"));
-  const [attendanceDates, setAttendanceDates] = useState(new Set(monthData.attendance));
-
-  // Persist month data whenever it changes
-  useEffect(() => {
-    const next = { ...profiles };
-    const p = { ...profile, joinDate, daysPerWeek, months: { ...profile.months } };
-    const holidays = parseHolidayInput(holidayInput, new Date(year, month, 1));
-    p.months[currentMonthKey] = {
-      holidays: Array.from(holidays).sort(),
-      attendance: Array.from(attendanceDates).sort(),
-    };
-    next[activeId] = p;
-    setProfiles(next);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [holidayInput, attendanceDates, joinDate, daysPerWeek, year, month]);
+  const monthData = profile.months?.[currentMonthKey] || EMPTY_MONTH;
+
+  // The textarea keeps its raw text while typing; parsed dates are saved into the month.
+  // It is refilled when the profile, month or locale changes, not on every save.
+  const holidayText = (isos = []) => isos.map(iso => formatDate(iso)).join("\n");
+  const holidayFor = `${activeId}|${currentMonthKey}|${i18n.locale.id}`;
+  const [holidayInput, setHolidayInput] = useState(() => holidayText(monthData.holidays));
+  const [holidayInputFor, setHolidayInputFor] = useState(holidayFor);
+  if (holidayInputFor !== holidayFor) {
+    setHolidayInputFor(holidayFor);
+    setHolidayInput(holidayText(monthData.holidays));
+  }
+  const dayStatuses = monthData.days || {};
+  const rules = useMemo(() => statusRules(profile), [profile]);
+  const [brush, setBrush] = useState(DEFAULT_STATUS); // status applied by clicking a day, or PLAN_BRUSH
+
+  // Offices: attended days are marked at the chosen one (the first office until another is
+  // picked, null = no location); statuses that don't count as attendance carry none
+  const offices = useMemo(() => officeById(profile), [profile]);
+  const [officePick, setOfficePick] = useState(undefined);
+  const location = officePick === null ? null : offices.has(officePick) ? officePick : profile.offices?.[0]?.id ?? null;
+  const takesLocation = brush !== PLAN_BRUSH && statusCredit(brush, rules) > 0;
+  const brushLocation = takesLocation ? location : null;
 
   // Helpers
   const monthStart = useMemo(() => startOfMonth(new Date(year, month, 1)), [year, month]);
   const monthEnd = useMemo(() => endOfMonth(new Date(year, month, 1)), [year, month]);
-  const join = useMemo(() => {
-    try { return parseISO(joinDate); } catch { return monthStart; }
-  }, [joinDate, monthStart]);
-
-  const activeStart = useMemo(() => (isAfter(join, monthStart) ? join : monthStart), [join, monthStart]);
-  const activeRange = useMemo(() => ({ start: activeStart, end: monthEnd }), [activeStart, monthEnd]);
-
-  // Build day list
-  const days = useMemo(() => eachDayOfInterval(activeRange), [activeRange]);
-
-  const holidays = useMemo(() => parseHolidayInput(holidayInput, monthStart), [holidayInput, monthStart]);
-
-  // Derived counts
-  const workingDays = useMemo(() => days.filter(d => !isWeekend(d) && !holidays.has(fmt(d))), [days, holidays]);
-  const staticWorkingDays = workingDays.length; // excluding weekends & holidays, respect join date
-
-  // Required office days using ratio policy (e.g., 3/5 of working days)
-  const requiredOfficeDays = useMemo(() => {
-    const ratio = Number(daysPerWeek) / 5; // assume 5 working days baseline
-    return Math.ceil(ratio * staticWorkingDays);
-  }, [daysPerWeek, staticWorkingDays]);
-
-  // Completed (from attendance set; only count days within range & not weekends/holidays)
-  const completed = useMemo(() => {
-    let c = 0;
-    for (const s of attendanceDates) {
-      const d = parseISO(s);
-      if (!isSameMonth(d, monthStart)) continue;
-      if (isBefore(d, activeStart) || isAfter(d, monthEnd)) continue;
-      if (isWeekend(d)) continue;
-      if (holidays.has(fmt(d))) continue;
-      c++;
-    }
-    return c;
-  }, [attendanceDates, monthStart, activeStart, monthEnd, holidays]);
-
-  const remaining = Math.max(0, requiredOfficeDays - completed);
-  const pct = requiredOfficeDays === 0 ? 100 : Math.min(100, Math.round((completed / requiredOfficeDays) * 100));
+  const join = useMemo(() => safeParseDate(joinDate) || monthStart, [joinDate, monthStart]);
+  const activeStart = isBefore(monthStart, join) ? join : monthStart;
+
+  // Policy in force at the end of the selected month is the one the settings edit
+  const timeline = useMemo(() => policyTimeline(profile), [profile]);
+  const monthPolicy = policyOn(timeline, monthEnd);
+  const policyIndex = timeline.indexOf(monthPolicy);
+  const { daysPerWeek, workWeek } = monthPolicy;
+
+  // Compliance for every policy window around the selected month
+  const { substituteName } = i18n;
+  const summary = useMemo(() => policySummary(profile, monthStart, { calendars, substituteName }), [profile, monthStart, calendars, substituteName]);
+  const holidays = summary.daySets.holidays; // Map iso -> name, all subscribed calendars + month extras
+  const { workingDays: staticWorkingDays, required: requiredOfficeDays, completed, remaining, pct } = summary;
+  const windowLabel = summary.windows.length === 1 ? i18n.windowLabel(summary.windows[0]) : t("windows.count", { count: summary.windows.length });
+  const policyChangesInRange = timeline.some(e => e.start > fmt(summary.range.start) && e.start <= fmt(summary.range.end));
 
   // Chart data (cumulative planned target vs actual)
-  const chartData = useMemo(() => {
-    let cumulativeActual = 0;
-    const points = [];
-    const targetPerWorkingDay = requiredOfficeDays / Math.max(1, staticWorkingDays);
-    let cumulativeTarget = 0;
-    for (const d of eachDayOfInterval({ start: monthStart, end: monthEnd })) {
-      const key = fmt(d);
-      const isWork = !isWeekend(d) && !holidays.has(key) && !isBefore(d, activeStart);
-      if (isWork) {
-        cumulativeTarget += targetPerWorkingDay;
-        if (attendanceDates.has(key)) cumulativeActual += 1;
-      }
-      points.push({ date: format(d, "dd MMM"), target: Number(cumulativeTarget.toFixed(2)), actual: cumulativeActual });
-    }
-    return points;
-  }, [attendanceDates, activeStart, holidays, monthStart, monthEnd, requiredOfficeDays, staticWorkingDays]);
+  const chartData = useMemo(() => policyChartData(summary), [summary]);
 
-  // Toggle a day as attended
+  // Planner: suggestions per window, preferred weekdays stored on the profile
+  const preferredDays = useMemo(() => profile.preferredDays || [], [profile.preferredDays]);
+  const plan = useMemo(() => planWindows(summary, { preferredDays }), [summary, preferredDays]);
+  const plannedDates = useMemo(() => new Set(monthData.planned || []), [monthData]);
+
+  // Toggle the selected status on a day (clicking the same status and location again clears it)
   const toggleAttendance = (d) => {
     const key = fmt(d);
-    const next = new Set(attendanceDates);
-    if (next.has(key)) next.delete(key); else next.add(key);
-    setAttendanceDates(next);
+    checkpoint(t("undo.mark", { date: formatDate(d) }));
+    updateMonth(monthKey(d), m => {
+      const same = m.days?.[key] === brush && (m.locations?.[key] ?? null) === brushLocation;
+      return withDay(m, key, same ? null : brush, brushLocation);
+    });
+  };
+  const togglePlanned = (d) => {
+    const key = fmt(d);
+    checkpoint(t("undo.plan", { date: formatDate(d) }));
+    updateMonth(monthKey(d), m => {
+      const cur = m.planned || [];
+      return { ...m, planned: cur.includes(key) ? cur.filter(x => x !== key) : [...cur, key].sort() };
+    });
+  };
+  const applyPlan = (isos) => {
+    checkpoint(t("undo.applyPlan"));
+    for (const [k, list] of Object.entries(byMonth(isos))) {
+      updateMonth(k, m => ({ ...m, planned: [...new Set([...(m.planned || []), ...list])].sort() }));
+    }
+  };
+  const clearPlan = () => {
+    const from = fmt(summary.range.start);
+    const to = fmt(summary.range.end);
+    checkpoint(t("undo.clearPlan"));
+    updateProfile(p => ({
+      ...p,
+      months: Object.fromEntries(Object.entries(p.months || {}).map(([k, m]) => [k, { ...m, planned: (m.planned || []).filter(iso => iso < from || iso > to) }])),
+    }));
+  };
+  const togglePreferred = (wd) => updateProfile(p => {
+    const cur = p.preferredDays || [];
+    return { ...p, preferredDays: cur.includes(wd) ? cur.filter(x => x !== wd) : [...cur, wd].sort((a, b) => a - b) };
+  });
+  const setStatusRule = (id, effect) => updateProfile(p => ({ ...p, statusRules: { ...p.statusRules, [id]: effect } }));
+
+  const monthLocations = useMemo(() => locationBreakdown(profile, summary.daySets, monthStart, monthEnd), [profile, summary, monthStart, monthEnd]);
+  const addOffice = (name) => updateProfile(p => ({ ...p, offices: [...(p.offices || []), { id: uuid(), name }] }));
+  const updateOffice = (id, patch) => updateProfile(p => ({ ...p, offices: (p.offices || []).map(o => o.id === id ? { ...o, ...patch } : o) }));
+  // Removing an office drops it from every policy and leaves its days without a location
+  const removeOffice = (id) => {
+    checkpoint(t("undo.removeOffice", { name: offices.get(id)?.name }));
+    updateProfile(p => ({
+      ...p,
+      offices: (p.offices || []).filter(o => o.id !== id),
+      policies: (p.policies || []).map(e => e.excludedOffices ? { ...e, excludedOffices: e.excludedOffices.filter(x => x !== id) } : e),
+      months: Object.fromEntries(Object.entries(p.months || {}).map(([k, m]) => [k, { ...m, locations: Object.fromEntries(Object.entries(m.locations || {}).filter(([, o]) => o !== id)) }])),
+    }));
+  };
+
+  // Half-typed dates would otherwise log an add/remove per keystroke, so the audit entries
+  // are written once, on blur, from the holidays the month had when editing started
+  const holidayEditStart = useRef(null);
+  const changeHolidayInput = (text) => {
+    setHolidayInput(text);
+    const parsed = parseHolidayInput(text, monthStart, i18n.parseDate);
+    updateMonth(currentMonthKey, m => ({ ...m, holidays: Array.from(parsed).sort() }), []);
+  };
+  const startHolidayEdit = () => { holidayEditStart.current = { key: currentMonthKey, holidays: monthData.holidays || [] }; };
+  const commitHolidayEdit = () => {
+    const start = holidayEditStart.current;
+    holidayEditStart.current = null;
+    if (!start) return;
+    setProfiles(prev => {
+      const p = prev[activeId];
+      const entries = profileChanges({ months: { [start.key]: { holidays: start.holidays } } }, { months: { [start.key]: { holidays: p?.months?.[start.key]?.holidays || [] } } });
+      return p && entries.length ? { ...prev, [activeId]: appendAudit(p, entries) } : prev;
+    });
   };
 
   // Profile actions
   const createProfile = () => {
     const id = uuid();
-    const base = { id, name: `User ${Object.keys(profiles).length + 1}`, joinDate, daysPerWeek: 3, months: {} };
+    const base = { id, name: t("profiles.newName", { n: Object.keys(profiles).length + 1 }), joinDate, policies: [{ start: joinDate, daysPerWeek: DEFAULT_DAYS_PER_WEEK, workWeek }], policyMode: "monthly", rollingWeeks: DEFAULT_ROLLING_WEEKS, months: {} };
     const next = { ...profiles, [id]: base };
     setProfiles(next); saveProfiles(next); setActiveId(id);
   };
   const renameProfile = () => {
-    const name = prompt("Enter name", profile?.name || "");
+    const name = prompt(t("profiles.askName"), profile?.name || "");
     if (!name || !profile) return;
     const next = { ...profiles, [activeId]: { ...profile, name } };
     setProfiles(next); saveProfiles(next);
   };
   const deleteProfile = () => {
     if (!profile) return;
-    if (!confirm(`Delete profile "${profile.name}"?`)) return;
+    if (!confirm(t("profiles.confirmDelete", { name: profile.name }))) return;
+    checkpoint(t("undo.deleteProfile", { name: profile.name }));
     const next = { ...profiles }; delete next[activeId];
     setProfiles(next); saveProfiles(next);
     const newIds = Object.keys(next);
     setActiveId(newIds[0] || ensureDefault());
   };
 
-  // Share link (embed current profile JSON in URL param)
-  const makeShareLink = () => {
-    const state = encodeURIComponent(btoa(JSON.stringify(profile)));
+  // Share link (embed the chosen months of the current profile in a URL param)
+  const [shareOpen, setShareOpen] = useState(false);
+  const makeShareLink = async ({ from, to, passphrase }) => {
+    const payload = { schemaVersion: SCHEMA_VERSION, ...profileForRange(profile, from, to) };
     const url = new URL(window.location.href);
-    url.searchParams.set("state", state);
+    url.searchParams.delete(LEGACY_SHARE_PARAM);
+    url.searchParams.set(SHARE_PARAM, await encodeShare(payload, passphrase));
     return url.toString();
   };
 
-  // Export/Import JSON (fileless)
+  // Backup/restore of the whole workspace (all profiles and holiday calendars)
   const exportJson = () => {
-    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: "application/json" });
+    const blob = new Blob([JSON.stringify(buildBackup(profiles, calendars), null, 2)], { type: "application/json" });
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
-    a.download = `${(profile.name || "profile").replace(/\s+/g, "_")}.json`;
+    a.download = `office-tracker-backup-${format(new Date(), "yyyy-MM-dd")}.json`;
     document.body.appendChild(a); a.click(); a.remove();
   };
+  const [pendingRestore, setPendingRestore] = useState(null);
   const importJson = async () => {
-    const s = prompt("Paste profile JSON here");
+    const s = prompt(t("backup.askJson"));
     if (!s) return;
-    try {
-      const obj = JSON.parse(s);
-      if (!obj.id) obj.id = uuid();
-      const next = { ...profiles, [obj.id]: obj };
-      setProfiles(next); saveProfiles(next); setActiveId(obj.id);
-    } catch (e) {
-      alert("Invalid JSON");
+    let raw;
+    try { raw = JSON.parse(s); } catch (e) {
+      alert(t("backup.invalidJson", { message: e.message }));
+      return;
     }
+    if (raw && typeof raw === "object" && !raw.kind && !raw.id) raw.id = uuid();
+    const backup = parseBackup(raw);
+    if (!Object.keys(backup.profiles).length && !Object.keys(backup.calendars).length) {
+      alert(formatErrors(t("backup.invalid"), backup.errors, t));
+      return;
+    }
+    setPendingRestore({ ...backup, exportedAt: raw.exportedAt });
+  };
+  // Nothing is written until the user has seen the summary and confirmed
+  const applyBackup = (actions) => {
+    checkpoint(t("undo.restore"));
+    const copyName = (name) => t("restore.copyName", { name: name || t("profiles.profile") });
+    const next = applyRestore({ profiles, calendars }, pendingRestore, actions, uuid, copyName);
+    setProfiles(next.profiles); saveProfiles(next.profiles);
+    setCalendars(next.calendars); saveCalendars(next.calendars);
+    const restoredIds = Object.keys(pendingRestore.profiles).filter(id => actions[id] !== "skip");
+    if (restoredIds.length === 1) setActiveId(restoredIds[0]);
+    setPendingRestore(null);
+  };
+
+  // CSV import: entries grouped by profile id
+  const [csvOpen, setCsvOpen] = useState(false);
+  const [icsOpen, setIcsOpen] = useState(false);
+  const importCsv = (byProfile) => {
+    checkpoint(t("undo.csvImport"));
+    setProfiles(prev => {
+      const next = { ...prev };
+      for (const [id, entries] of Object.entries(byProfile)) {
+        if (!next[id]) continue;
+        const applied = applyCsvEntries(next[id], entries);
+        next[id] = appendAudit(applied, profileChanges(next[id], applied), { via: "csv" });
+      }
+      return next;
+    });
+  };
+
+  // Calendar actions; new calendars are subscribed by the active profile straight away
+  const subscribedIds = profile.calendarIds || [];
+  const toggleSubscribe = (id) => updateProfile(p => {
+    const cur = p.calendarIds || [];
+    return { ...p, calendarIds: cur.includes(id) ? cur.filter(x => x !== id) : [...cur, id] };
+  });
+  const createCalendar = (name) => {
+    const id = uuid();
+    setCalendars(prev => ({ ...prev, [id]: { id, name, holidays: {} } }));
+    updateProfile(p => ({ ...p, calendarIds: [...(p.calendarIds || []), id] }));
+    return id;
+  };
+  // A calendar's holidays are every subscriber's holidays, so each subscribed profile logs
+  // the dates an edit actually adds to or removes from its own holiday set
+  const auditCalendarChange = (id, nextCalendars) => {
+    const before = calendars[id]?.holidays || {};
+    const after = nextCalendars[id]?.holidays || {};
+    const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(iso => !before[iso] !== !after[iso]);
+    if (!changed.length) return;
+    const years = [...new Set(changed.map(iso => Number(iso.slice(0, 4))))];
+    setProfiles(prev => Object.fromEntries(Object.entries(prev).map(([pid, p]) => {
+      if (!(p.calendarIds || []).includes(id)) return [pid, p];
+      const had = profileHolidays(p, calendars, years);
+      const has = profileHolidays(p, nextCalendars, years);
+      const entries = changed.filter(iso => had.has(iso) !== has.has(iso)).map(iso => ({ action: "holiday", date: iso, to: has.has(iso) }));
+      return [pid, appendAudit(p, entries, { via: "calendar" })];
+    })));
+  };
+  const updateCalendar = (id, patch) => {
+    auditCalendarChange(id, { ...calendars, [id]: { id, ...calendars[id], ...patch } });
+    setCalendars(prev => ({ ...prev, [id]: { id, ...prev[id], ...patch } }));
+  };
+  const deleteCalendar = (id) => {
+    checkpoint(t("undo.deleteCalendar", { name: calendars[id]?.name }));
+    const rest = { ...calendars };
+    delete rest[id];
+    auditCalendarChange(id, rest);
+    setCalendars(prev => { const next = { ...prev }; delete next[id]; return next; });
+    setProfiles(prev => Object.fromEntries(Object.entries(prev).map(([pid, p]) => [pid, { ...p, calendarIds: (p.calendarIds || []).filter(x => x !== id) }])));
+  };
+
+  // Built-in presets; switching off a generated date keeps it out of the holiday set
+  const presetIds = profile.holidayPresets || [];
+  const yearPresetHolidays = useMemo(() => generatedHolidays(profile, [year]), [profile, year]);
+  const addPreset = (id) => updateProfile(p => ({ ...p, holidayPresets: [...new Set([...(p.holidayPresets || []), id])] }));
+  const removePreset = (id) => updateProfile(p => ({ ...p, holidayPresets: (p.holidayPresets || []).filter(x => x !== id) }));
+  const togglePresetHoliday = (iso) => updateProfile(p => {
+    const cur = p.disabledHolidays || [];
+    return { ...p, disabledHolidays: cur.includes(iso) ? cur.filter(x => x !== iso) : [...cur, iso].sort() };
+  });
+
+  // Policy timeline edits; entries are kept sorted by start date
+  const updatePolicies = (fn) => updateProfile(p => ({
+    ...p, policies: fn(policyTimeline(p)).sort((a, b) => a.start.localeCompare(b.start)),
+  }));
+  const updateMonthPolicy = (patch) => updatePolicies(tl => tl.map((e, i) => i === policyIndex ? { ...e, ...patch } : e));
+  const addPolicy = (start) => updatePolicies(tl => [...tl.filter(e => e.start !== start), { ...policyOn(tl, start), start }]);
+  const changePolicyStart = (index, start) => updatePolicies(tl => tl.map((e, i) => i === index ? { ...e, start } : e));
+  const removePolicy = (index) => updatePolicies(tl => tl.length > 1 ? tl.filter((_, i) => i !== index) : tl);
+
+  const toggleWorkday = (wd) => {
+    const days = workWeek.days.includes(wd) ? workWeek.days.filter(x => x !== wd) : [...workWeek.days, wd];
+    updateMonthPolicy({ workWeek: normalizeWorkWeek({ ...workWeek, days }) });
+  };
+  const setWeekStart = (wd) => updateMonthPolicy({ workWeek: { ...workWeek, weekStartsOn: wd } });
+  const toggleOfficeCounted = (id) => {
+    const cur = monthPolicy.excludedOffices || [];
+    updateMonthPolicy({ excludedOffices: cur.includes(id) ? cur.filter(x => x !== id) : [...cur, id] });
   };
 
   const clearMonth = () => {
+    const marked = Object.keys(monthData.days || {}).length;
+    const removes = [
+      t("month.markedDays", { count: marked }),
+      t("month.plannedDays", { count: (monthData.planned || []).length }),
+      t("month.extraHolidays", { count: monthData.holidays.length }),
+    ].join(", ");
+    if (!confirm(t("month.confirmClear", { month: formatDate(monthStart, "LLLL yyyy"), name: profile.name || t("profiles.profile"), removes }))) return;
+    checkpoint(t("undo.clearMonth"));
     setHolidayInput("");
-    setAttendanceDates(new Set());
+    updateProfile(p => ({ ...p, months: { ...p.months, [currentMonthKey]: EMPTY_MONTH } }), [{ action: "clear-month", month: currentMonthKey, count: marked }]);
+  };
+
+  // Bulk marking with the current brush. Days that can't be marked are skipped; if every
+  // remaining day already has the brush it is taken off instead, like a single click.
+  const canMark = (d) => isSameMonth(d, monthStart) && !isBefore(d, activeStart) && isWorkday(d, policyOn(timeline, d).workWeek) && !holidays.has(fmt(d));
+  const markDays = (dates, label) => {
+    const isos = dates.filter(canMark).map(fmt);
+    if (!isos.length) return;
+    checkpoint(label);
+    const plan = brush === PLAN_BRUSH;
+    const all = isos.every(iso => plan ? plannedDates.has(iso) : dayStatuses[iso] === brush && (monthData.locations?.[iso] ?? null) === brushLocation);
+    for (const [k, list] of Object.entries(byMonth(isos))) {
+      updateMonth(k, m => {
+        if (plan) {
+          const cur = m.planned || [];
+          return { ...m, planned: all ? cur.filter(x => !list.includes(x)) : [...new Set([...cur, ...list])].sort() };
+        }
+        return list.reduce((acc, iso) => withDay(acc, iso, all ? null : brush, brushLocation), m);
+      });
+    }
+  };
+  const markRange = (a, b) => markDays(daysBetween(a, b), t("undo.markRange", { from: formatDate(a), to: formatDate(b) }));
+  const markWeekdays = (weekdays) => markDays(weekdaysInMonth(monthStart, weekdays), t("undo.markWeekdays"));
+  const copyLastMonth = () => {
+    const pattern = [...lastMonthPattern(profile, monthStart)].filter(([iso]) => canMark(safeParseDate(iso)));
+    if (!pattern.length) { alert(t("bulk.nothingToCopy")); return; }
+    checkpoint(t("undo.copyLastMonth"));
+    updateMonth(currentMonthKey, m => pattern.reduce((acc, [iso, status]) => withDay(acc, iso, status, keptLocation(acc, iso, status)), m));
+  };
+
+  // Audit log; days marked more than lateMarkDays after the fact are flagged in the calendar
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const lateMarkDays = profile.lateMarkDays ?? DEFAULT_LATE_MARK_DAYS;
+  const late = useMemo(() => lateMarks(profile.audit, lateMarkDays), [profile.audit, lateMarkDays]);
+
+  // --- Reminders: checked once a minute while the app is open (see lib/reminders.js) ---
+  const [reminders, setReminders] = useState(loadReminderSettings);
+  const [remindersOpen, setRemindersOpen] = useState(false);
+  const changeReminders = (next) => { saveReminderSettings(next); setReminders(next); };
+  // One-tap answer to the end-of-day prompt: marks the day "in office" (at the first office)
+  // unless it's already marked. Only today is accepted, since the ?checkin= link that carries
+  // the answer when no window is open can be written by anyone.
+  const checkIn = (iso, id) => {
+    id ||= activeId;
+    const p = profiles[id];
+    const key = String(iso).slice(0, 7);
+    if (!p || iso !== fmt(new Date()) || p.months?.[key]?.days?.[iso]) return;
+    checkpoint(t("undo.mark", { date: formatDate(iso) }));
+    setProfiles(prev => {
+      const cur = prev[id];
+      if (!cur) return prev;
+      const m = cur.months?.[key] || EMPTY_MONTH;
+      const next = { ...cur, months: { ...cur.months, [key]: withDay(m, iso, DEFAULT_STATUS, cur.offices?.[0]?.id) } };
+      return { ...prev, [id]: appendAudit(next, profileChanges(cur, next), { via: "reminder" }) };
+    });
+    setActiveId(id);
   };
+  // Reminders, service worker messages and the ?checkin= link outlive the render that set them
+  // up, so they call checkIn through a ref that always holds the latest profiles
+  const checkInRef = useRef(checkIn);
+  useEffect(() => { checkInRef.current = checkIn; });
+  useEffect(() => {
+    if (!reminders.enabled || typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    const tick = () => {
+      const now = new Date();
+      const state = todayState(profile, now, { calendars });
+      for (const kind of dueReminders(reminders, state, now)) {
+        markReminderShown(kind, now);
+        const data = { kind, date: state.iso, profileId: activeId };
+        const options = kind === "checkIn"
+          ? { body: t("reminders.checkInBody"), actions: [{ action: "office", title: t("reminders.yes") }, { action: "dismiss", title: t("reminders.notToday") }] }
+          : { body: t("reminders.paceBody", { count: state.behindBy }) };
+        showReminder(t(`reminders.${kind}Title`, { name: profile.name || t("profiles.profile") }), { ...options, tag: `reminder-${kind}`, icon: `${import.meta.env.BASE_URL}icon-192.png`, data }, () => kind === "checkIn" && checkInRef.current(state.iso, activeId));
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 60000);
+    return () => clearInterval(timer);
+  }, [reminders, profile, calendars, activeId, t]);
+  // Taps on a reminder arrive from the service worker, or in the URL if no window was open
+  useEffect(() => {
+    const onMessage = (e) => { if (e.data?.type === "check-in") checkInRef.current(e.data.date, e.data.profileId); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker?.removeEventListener("message", onMessage);
+  }, []);
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const iso = url.searchParams.get("checkin");
+    if (!iso) return;
+    checkInRef.current(iso, url.searchParams.get("profile"));
+    url.searchParams.delete("checkin");
+    url.searchParams.delete("profile");
+    history.replaceState(null, "", url.toString());
+  }, []);
 
   return (
-    <div className="min-h-screen bg-gray-50 text-gray-900 p-6">
+    <div className="min-h-screen bg-gray-50 text-gray-900 p-6 print:p-0 print:bg-white">
       <div className="max-w-6xl mx-auto grid gap-6">
-        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
-          <h1 className="text-2xl sm:text-3xl font-semibold tracking-tight">Office Attendance Tracker</h1>
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 print:hidden">
+          <h1 className="text-2xl sm:text-3xl font-semibold tracking-tight">{t("app.title")}</h1>
           <div className="flex flex-wrap gap-2 items-center">
             <ProfileSwitcher
               profiles={profiles}
@@ -252,289 +660,359 @@ export default function App() {
               onRename={renameProfile}
               onDelete={deleteProfile}
             />
-            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={exportJson}><InlineIcon name="download" className="w-4 h-4 mr-2"/>Export</button>
-            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={importJson}><InlineIcon name="upload" className="w-4 h-4 mr-2"/>Import</button>
-            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => { navigator.clipboard.writeText(makeShareLink()); alert("Share link copied to clipboard"); }}><InlineIcon name="link" className="w-4 h-4 mr-2"/>Share link</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={exportJson} title={t("header.exportHint")}><InlineIcon name="download" className="w-4 h-4 mr-2"/>{t("header.export")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={importJson} title={t("header.importHint")}><InlineIcon name="upload" className="w-4 h-4 mr-2"/>{t("header.import")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setCsvOpen(o => !o)} title={t("header.csvHint")}><InlineIcon name="download" className="w-4 h-4 mr-2"/>CSV</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setIcsOpen(o => !o)} title={t("header.icsHint")}><InlineIcon name="calendar" className="w-4 h-4 mr-2"/>.ics</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setShareOpen(o => !o)}><InlineIcon name="link" className="w-4 h-4 mr-2"/>{t("header.share")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setHistoryOpen(o => !o)} title={t("header.historyHint")}><InlineIcon name="refresh" className="w-4 h-4 mr-2"/>{t("header.history")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setRemindersOpen(o => !o)} title={t("header.remindersHint")}><InlineIcon name="bell" className="w-4 h-4 mr-2"/>{t("header.reminders")}</button>
+            <SyncStatusButton status={syncStatus} onClick={() => setSyncOpen(o => !o)} />
+            <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={!undoStack.length} onClick={undo} title={undoStack.length ? t("header.undoHint", { action: undoStack.at(-1).label }) : t("header.nothingToUndo")}>↶ {t("header.undo")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={!redoStack.length} onClick={redo} title={redoStack.length ? t("header.redoHint", { action: redoStack.at(-1).label }) : t("header.nothingToRedo")}>↷ {t("header.redo")}</button>
+            <select className="border rounded-md p-2 bg-white" aria-label={t("header.language")} value={i18n.locale.id} onChange={e => onLocaleChange(e.target.value)}>
+              {LOCALES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+            </select>
           </div>
         </header>
 
-        <Panel>
+        {storageError && <p className="rounded-md border border-rose-200 bg-rose-50 text-rose-800 p-3 text-sm" role="alert">{t(`storage.${storageError}Failed`)}</p>}
+
+        {pendingShare && (
+          <ShareImportPreview
+            preview={sharePreview(pendingShare)}
+            existingName={profiles[pendingShare.id] ? (profiles[pendingShare.id].name || pendingShare.id) : null}
+            onReplace={() => acceptShare(false)}
+            onCopy={() => acceptShare(true)}
+            onCancel={() => setPendingShare(null)}
+          />
+        )}
+
+        {pendingRestore && (
+          <RestorePanel
+            backup={pendingRestore}
+            profiles={profiles}
+            calendars={calendars}
+            onApply={applyBackup}
+            onCancel={() => setPendingRestore(null)}
+          />
+        )}
+
+        {csvOpen && (
+          <CsvPanel
+            profiles={profiles}
+            calendars={calendars}
+            activeId={activeId}
+            defaultFrom={fmt(monthStart)}
+            defaultTo={fmt(monthEnd)}
+            onImport={importCsv}
+            onClose={() => setCsvOpen(false)}
+          />
+        )}
+
+        {icsOpen && (
+          <IcsExportDialog
+            profile={profile}
+            calendars={calendars}
+            defaultFrom={fmt(monthStart)}
+            defaultTo={fmt(monthEnd)}
+            onClose={() => setIcsOpen(false)}
+          />
+        )}
+
+        {syncOpen && (
+          <SyncPanel
+            status={syncStatus}
+            onSave={configureSync}
+            onSyncNow={syncNow}
+            onClose={() => setSyncOpen(false)}
+          />
+        )}
+
+        {remindersOpen && (
+          <RemindersPanel
+            settings={reminders}
+            profileName={profile.name || profile.id}
+            onChange={changeReminders}
+            onClose={() => setRemindersOpen(false)}
+          />
+        )}
+
+        {historyOpen && (
+          <AuditLogPanel
+            profile={profile}
+            monthKey={currentMonthKey}
+            lateMarkDays={lateMarkDays}
+            onLateMarkDaysChange={(n) => updateProfile(p => ({ ...p, lateMarkDays: n }))}
+            onClose={() => setHistoryOpen(false)}
+          />
+        )}
+
+        {shareOpen && (
+          <ShareDialog
+            defaultFrom={currentMonthKey}
+            defaultTo={currentMonthKey}
+            onCreate={makeShareLink}
+            onClose={() => setShareOpen(false)}
+          />
+        )}
+
+        <div className="flex gap-2 print:hidden" role="tablist">
+          {["month", "year", "team", "report"].map(id => (
+            <button key={id} role="tab" aria-selected={view === id} className={`px-3 py-2 rounded-md border ${view === id ? "font-semibold border-blue-600" : ""}`} onClick={() => setView(id)}>{t(`tabs.${id}`)}</button>
+          ))}
+        </div>
+
+        <Panel className="print:hidden">
           <div className="p-4 md:p-6 grid md:grid-cols-2 gap-4">
             <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
               <div className="col-span-1">
-                <label className="text-sm font-medium">Month</label>
+                <label className="text-sm font-medium">{t("settings.month")}</label>
                 <select className="w-full border rounded-md p-2 bg-white" value={month} onChange={e => setMonth(Number(e.target.value))}>
                   {[...Array(12).keys()].map(m => (
-                    <option key={m} value={m}>{format(new Date(2025, m, 1), "MMMM")}</option>
+                    <option key={m} value={m}>{i18n.monthName(m)}</option>
                   ))}
                 </select>
               </div>
               <div className="col-span-1">
-                <label className="text-sm font-medium">Year</label>
+                <label className="text-sm font-medium">{t("settings.year")}</label>
                 <input className="w-full border rounded-md p-2" type="number" value={year} onChange={e => setYear(Number(e.target.value))} />
               </div>
               <div className="col-span-2">
-                <label className="text-sm font-medium flex items-center gap-2"><InlineIcon name="calendar" className="w-4 h-4"/>Join Date</label>
-                <input className="w-full border rounded-md p-2" type="date" value={joinDate} onChange={e => setJoinDate(e.target.value)} />
+                <label className="text-sm font-medium flex items-center gap-2"><InlineIcon name="calendar" className="w-4 h-4"/>{t("settings.joinDate")}</label>
+                <input className="w-full border rounded-md p-2" type="date" value={joinDate} onChange={e => e.target.value && updateProfile(p => ({ ...p, joinDate: e.target.value }))} />
               </div>
               <div className="col-span-2">
-                <label className="text-sm font-medium">Days per week policy</label>
-                <input className="w-full border rounded-md p-2" type="number" min={0} max={5} value={daysPerWeek} onChange={e => setDaysPerWeek(Number(e.target.value))} />
+                <label className="text-sm font-medium">{t("settings.daysPerWeek")}</label>
+                <input className="w-full border rounded-md p-2" type="number" min={0} max={workWeek.days.length} value={daysPerWeek} onChange={e => e.target.value !== "" && updateMonthPolicy({ daysPerWeek: Math.max(0, Math.min(workWeek.days.length, Number(e.target.value))) })} />
+              </div>
+              <div className={policyMode === "rolling" ? "col-span-1" : "col-span-2"}>
+                <label className="text-sm font-medium">{t("settings.policyMode")}</label>
+                <select className="w-full border rounded-md p-2 bg-white" value={policyMode} onChange={e => updateProfile(p => ({ ...p, policyMode: e.target.value }))}>
+                  {POLICY_MODES.map(m => <option key={m.id} value={m.id}>{t(`policyModes.${m.id}`)}</option>)}
+                </select>
+              </div>
+              <div className="col-span-2 sm:col-span-3">
+                <label className="text-sm font-medium">{t("settings.workingDays")}</label>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {weekdayOrder(workWeek.weekStartsOn).map(wd => (
+                    <label key={wd} className={`px-2 py-1 rounded-md border text-sm cursor-pointer select-none ${workWeek.days.includes(wd) ? "bg-emerald-50 border-emerald-300" : "text-gray-500"}`}>
+                      <input type="checkbox" className="sr-only" checked={workWeek.days.includes(wd)} onChange={() => toggleWorkday(wd)} />
+                      {i18n.weekdayShort(wd)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="col-span-2 sm:col-span-1">
+                <label className="text-sm font-medium">{t("settings.weekStarts")}</label>
+                <select className="w-full border rounded-md p-2 bg-white" value={workWeek.weekStartsOn} onChange={e => setWeekStart(Number(e.target.value))}>
+                  {WEEKDAY_LABELS.map((_, wd) => <option key={wd} value={wd}>{i18n.weekdayLong(wd)}</option>)}
+                </select>
+              </div>
+              {policyMode === "rolling" && (
+                <div className="col-span-1">
+                  <label className="text-sm font-medium">{t("settings.rollingWeeks")}</label>
+                  <input className="w-full border rounded-md p-2" type="number" min={1} max={52} value={profile.rollingWeeks ?? DEFAULT_ROLLING_WEEKS} onChange={e => e.target.value !== "" && updateProfile(p => ({ ...p, rollingWeeks: Math.max(1, Math.min(52, Math.round(Number(e.target.value)))) }))} />
+                </div>
+              )}
+              <div className="col-span-2 sm:col-span-4">
+                <PolicyHistory
+                  timeline={timeline}
+                  offices={offices}
+                  activeIndex={policyIndex}
+                  defaultStart={fmt(monthStart)}
+                  onAdd={addPolicy}
+                  onChangeStart={changePolicyStart}
+                  onRemove={removePolicy}
+                />
               </div>
             </div>
 
             <div className="grid gap-3">
               <div>
-                <label className="text-sm font-medium">Public Holidays (YYYY-MM-DD; comma/line separated)</label>
-                <textarea className="w-full border rounded-md p-2 h-24" placeholder="2025-10-02, 2025-10-20" value={holidayInput} onChange={e => setHolidayInput(e.target.value)} />
+                <label className="text-sm font-medium">{t("settings.extraHolidays", { format: i18n.locale.dateFormat.toUpperCase() })}</label>
+                <textarea className="w-full border rounded-md p-2 h-24" placeholder={`${formatDate(new Date(year, month, 2))}, ${formatDate(new Date(year, month, 20))}`} value={holidayInput} onFocus={startHolidayEdit} onChange={e => changeHolidayInput(e.target.value)} onBlur={commitHolidayEdit} />
               </div>
               <div className="flex items-center gap-3">
-                <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={clearMonth}><InlineIcon name="refresh" className="w-4 h-4 mr-2"/>Clear this month</button>
+                <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={clearMonth}><InlineIcon name="refresh" className="w-4 h-4 mr-2"/>{t("settings.clearMonth")}</button>
               </div>
-              <p className="text-xs text-gray-500">Data is saved per user and per month automatically in your browser (localStorage). Use Export/Import or Share link to move it.</p>
+              <p className="text-xs text-gray-500">{t("settings.holidaysHint")}</p>
             </div>
           </div>
         </Panel>
 
-        <div className="grid md:grid-cols-3 gap-4">
-          <Stat title="Static Working Days" value={staticWorkingDays} sub="Weekdays minus holidays, from join date" />
-          <Stat title="Required Office Days" value={requiredOfficeDays} sub={`${daysPerWeek}/5 of working days`} />
-          <Stat title="Completed / Remaining" value={`${completed} / ${remaining}`} sub="Auto-counted from attendance" />
-        </div>
-
-        <Panel>
-          <div className="p-4 md:p-6">
-            <div className="flex items-center justify-between mb-3">
-              <h2 className="text-lg font-semibold">Progress</h2>
-              <span className="text-sm tabular-nums">{pct}%</span>
+        {view === "year" ? (
+          <YearOverview
+            profile={profile}
+            calendars={calendars}
+            year={year}
+            weekStartsOn={workWeek.weekStartsOn}
+            onSelectMonth={(m) => { setMonth(m); setView("month"); }}
+          />
+        ) : view === "team" ? (
+          <TeamView profiles={profiles} calendars={calendars} monthStart={monthStart} />
+        ) : view === "report" ? (
+          <ReportView profile={profile} calendars={calendars} monthStart={monthStart} />
+        ) : (
+          <>
+            <div className="grid md:grid-cols-3 gap-4">
+              <Stat title={t("stats.workingDays")} value={staticWorkingDays} sub={t("stats.workingDaysSub", { window: windowLabel })} />
+              <Stat title={t("stats.required")} value={requiredOfficeDays} sub={policyChangesInRange ? t("stats.requiredProrated") : t(summary.windows.length > 1 ? "stats.requiredSubPerWindow" : "stats.requiredSub", { days: daysPerWeek, of: workWeek.days.length })} />
+              <Stat title={t("stats.completed")} value={`${completed} / ${remaining}`} sub={t("stats.completedSub")} />
             </div>
-            <Progress value={pct} />
-            <div className="h-56 mt-6">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={chartData} margin={{ left: 8, right: 8, top: 8, bottom: 8 }}>
-                  <XAxis dataKey="date" interval={Math.max(0, Math.floor(chartData.length/6))} tick={{ fontSize: 12 }} />
-                  <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
-                  <Tooltip formatter={(v) => Math.round(Number(v))} />
-                  <Line type="monotone" dataKey="target" strokeWidth={2} dot={false} />
-                  <Line type="monotone" dataKey="actual" strokeWidth={2} dot={false} />
-                  <ReferenceLine y={requiredOfficeDays} strokeDasharray="3 3" />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
-          </div>
-        </Panel>
 
-        <CalendarGrid
-          monthStart={monthStart}
-          monthEnd={monthEnd}
-          joinDate={activeStart}
-          holidays={holidays}
-          attendanceDates={attendanceDates}
-          onToggle={toggleAttendance}
-        />
-
-        <Panel>
-          <div className="p-4 md:p-6 text-sm text-gray-600 leading-6">
-            <h3 className="font-semibold text-gray-800 mb-2">How totals are calculated</h3>
-            <ul className="list-disc ml-5">
-              <li><b>Static Working Days</b> = Weekdays (Mon–Fri) in the selected month on/after your join date, minus holidays.</li>
-              <li><b>Required Office Days</b> = ceil((DaysPerWeek / 5) × Static Working Days). Example: 3/5 of 19 = 12.</li>
-              <li><b>Completed</b> counts days you mark as attended that are valid working days within the month.</li>
-            </ul>
-            <p className="mt-2">No spreadsheet needed. Everything is saved per user/profile and month.</p>
-          </div>
-        </Panel>
-      </div>
-    </div>
-  );
-}
+            <Panel>
+              <div className="p-4 md:p-6">
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-lg font-semibold">{t("progress.title")}</h2>
+                  <span className="text-sm tabular-nums" aria-live="polite">{pct}%</span>
+                </div>
+                <Progress value={pct} label={t("progress.label")} />
+                <div className="h-56 mt-6">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={chartData} margin={{ left: 8, right: 8, top: 8, bottom: 8 }}>
+                      <XAxis dataKey="date" interval={Math.max(0, Math.floor(chartData.length/6))} tick={{ fontSize: 12 }} tickFormatter={(iso) => formatDate(iso, "dd MMM")} />
+                      <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                      <Tooltip formatter={(v) => Math.round(Number(v))} labelFormatter={(iso) => formatDate(iso, "EEE dd MMM")} />
+                      <Line type="monotone" dataKey="target" name={t("progress.target")} strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="actual" name={t("progress.actual")} strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="planned" name={t("calendar.planned")} stroke="#2563eb" strokeDasharray="4 3" strokeWidth={2} dot={false} />
+                      <ReferenceLine y={requiredOfficeDays} strokeDasharray="3 3" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <WindowList windows={summary.windows} />
+              </div>
+            </Panel>
 
-// --- Presentational primitives (no external UI libs) ---
-function Panel({ children }) {
-  return (
-    <div className="border rounded-2xl bg-white shadow-sm">{children}</div>
-  );
-}
+            {offices.size > 0 && <LocationBreakdown title={t("locations.month", { month: formatDate(monthStart, "LLLL yyyy") })} rows={monthLocations} />}
 
-function Progress({ value }) {
-  return (
-    <div className="w-full h-3 rounded-full bg-gray-200 overflow-hidden">
-      <div
-        className="h-full bg-emerald-500"
-        style={{ width: `${Math.max(0, Math.min(100, value))}%` }}
-      />
+            <PlannerPanel
+              plan={plan}
+              preferredDays={preferredDays}
+              weekStartsOn={workWeek.weekStartsOn}
+              onTogglePreferred={togglePreferred}
+              onApply={applyPlan}
+              onClear={clearPlan}
+            />
+
+            <CalendarGrid
+              monthStart={monthStart}
+              monthEnd={monthEnd}
+              joinDate={activeStart}
+              holidays={holidays}
+              workWeek={workWeek}
+              timeline={timeline}
+              dayStatuses={dayStatuses}
+              plannedDates={plannedDates}
+              lateMarks={late}
+              lateMarkDays={lateMarkDays}
+              rules={rules}
+              brush={brush}
+              onBrushChange={setBrush}
+              onRuleChange={setStatusRule}
+              onToggle={toggleAttendance}
+              onTogglePlanned={togglePlanned}
+              onMarkRange={markRange}
+              offices={offices}
+              dayLocations={monthData.locations || {}}
+              location={location}
+              locationEnabled={takesLocation}
+              onLocationChange={setOfficePick}
+              officeCounts={(iso, id) => officeCounts(timeline, iso, id)}
+            >
+              <BulkActions
+                weekStartsOn={workWeek.weekStartsOn}
+                workDays={workWeek.days}
+                brushLabel={brush === PLAN_BRUSH ? t("calendar.planned") : i18n.statusLabel(brush)}
+                onMarkWeekdays={markWeekdays}
+                onCopyLastMonth={copyLastMonth}
+              />
+            </CalendarGrid>
+          </>
+        )}
+
+        <div className="grid gap-6 print:hidden">
+          <OfficesPanel
+            offices={profile.offices || []}
+            excluded={monthPolicy.excludedOffices || []}
+            policyStart={monthPolicy.start}
+            onAdd={addOffice}
+            onUpdate={updateOffice}
+            onToggleCounted={toggleOfficeCounted}
+            onRemove={removeOffice}
+          />
+
+          <HolidayPresetsPanel
+            presetIds={presetIds}
+            year={year}
+            holidays={yearPresetHolidays}
+            onAdd={addPreset}
+            onRemove={removePreset}
+            onToggleHoliday={togglePresetHoliday}
+          />
+
+          <HolidayCalendarsPanel
+            calendars={calendars}
+            subscribedIds={subscribedIds}
+            onToggleSubscribe={toggleSubscribe}
+            onCreate={createCalendar}
+            onUpdate={updateCalendar}
+            onDelete={deleteCalendar}
+          />
+
+          <Panel>
+            <div className="p-4 md:p-6 text-sm text-gray-600 leading-6">
+              <TotalsExplanation workWeek={workWeek} />
+              <p className="mt-2">{t("explanation.footer")}</p>
+            </div>
+          </Panel>
+        </div>
+      </div>
     </div>
   );
 }
 
-function InlineIcon({ name, className = "" }) {
-  const common = { className };
-  if (name === "calendar") {
-    return (
-      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
-        <line x1="16" y1="2" x2="16" y2="6"/>
-        <line x1="8" y1="2" x2="8" y2="6"/>
-        <line x1="3" y1="10" x2="21" y2="10"/>
-      </svg>
-    );
-  }
-  if (name === "upload") {
-    return (
-      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-        <polyline points="17 8 12 3 7 8"/>
-        <line x1="12" y1="3" x2="12" y2="15"/>
-      </svg>
-    );
-  }
-  if (name === "download") {
-    return (
-      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-        <polyline points="7 10 12 15 17 10"/>
-        <line x1="12" y1="15" x2="12" y2="3"/>
-      </svg>
-    );
-  }
-  if (name === "link") {
-    return (
-      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-        <path d="M10 13a5 5 0 0 1 7 0l3 3a5 5 0 0 1-7 7l-1-1"/>
-        <path d="M14 11a5 5 0 0 1-7 0l-3-3a5 5 0 0 1 7-7l1 1"/>
-      </svg>
-    );
-  }
-  if (name === "refresh") {
-    return (
-      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-        <polyline points="23 4 23 10 17 10"/>
-        <polyline points="1 20 1 14 7 14"/>
-        <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10"/>
-        <path d="M20.49 15a9 9 0 0 1-14.85 3.36L1 14"/>
-      </svg>
-    );
-  }
-  return null;
-}
-
-function Stat({ title, value, sub }) {
+function WindowList({ windows }) {
+  const { t, windowLabel } = useI18n();
+  const badge = { met: "bg-emerald-100 text-emerald-800", missed: "bg-rose-100 text-rose-800", "in progress": "bg-gray-100 text-gray-700" };
   return (
-    <div className="border rounded-2xl bg-white shadow-sm p-4">
-      <div className="text-sm text-gray-500">{title}</div>
-      <div className="text-3xl font-semibold tabular-nums">{value}</div>
-      <div className="text-xs text-gray-500 mt-1">{sub}</div>
-    </div>
+    <ul className="mt-4 grid gap-1 text-sm">
+      {windows.map(w => (
+        <li key={w.label} className="flex items-center justify-between gap-3">
+          <span>{windowLabel(w)}</span>
+          <span className="flex items-center gap-3">
+            <span className="tabular-nums text-gray-600">{w.completed} / {w.required}</span>
+            <span className={`px-2 py-0.5 rounded-full text-xs ${badge[w.status]}`}>{t(`windows.status.${w.status}`)}</span>
+          </span>
+        </li>
+      ))}
+    </ul>
   );
 }
 
 function ProfileSwitcher({ profiles, activeId, onChange, onCreate, onRename, onDelete }) {
+  const { t } = useI18n();
   const ids = Object.keys(profiles);
   return (
     <div className="flex items-center gap-2">
-      <select className="border rounded-md p-2 bg-white" value={activeId} onChange={(e) => onChange(e.target.value)}>
+      <select className="border rounded-md p-2 bg-white" aria-label={t("profiles.profile")} value={activeId} onChange={(e) => onChange(e.target.value)}>
         {ids.map(id => <option key={id} value={id}>{profiles[id].name || id}</option>)}
       </select>
-      <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onCreate}>New</button>
-      <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onRename}>Rename</button>
-      <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onDelete}>Delete</button>
+      <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onCreate}>{t("profiles.new")}</button>
+      <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onRename}>{t("profiles.rename")}</button>
+      <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onDelete}>{t("profiles.delete")}</button>
     </div>
   );
 }
 
-function CalendarGrid({ monthStart, monthEnd, joinDate, holidays, attendanceDates, onToggle }) {
-  const weeks = buildCalendarWeeks(monthStart, monthEnd);
-  const isJoinActive = (d) => !isBefore(d, joinDate);
-  const isHoliday = (d) => holidays.has(fmt(d));
-  const attended = (d) => attendanceDates.has(fmt(d));
-
-  return (
-    <Panel>
-      <div className="p-4 md:p-6">
-        <h2 className="text-lg font-semibold mb-3">Mark Attendance (click to toggle)</h2>
-        <div className="grid grid-cols-7 text-center text-xs font-medium text-gray-500 mb-2">
-          {["Mon","Tue","Wed","Thu","Fri","Sat","Sun"].map((d) => <div key={d} className="py-1">{d}</div>)}
-        </div>
-        <div className="grid grid-cols-7 gap-2">
-          {weeks.map((week, wi) => week.map((d, di) => {
-            const inMonth = isSameMonth(d, monthStart);
-            const disabled = !inMonth || isWeekend(d) || isJoinActive(d) === false;
-            const holiday = isHoliday(d);
-            const isAtt = attended(d);
-            const base = "aspect-square rounded-2xl border flex items-center justify-center select-none";
-            const muted = !inMonth ? "opacity-30" : "";
-            const weekend = isWeekend(d) ? "bg-gray-50 text-gray-400" : "";
-            const hol = holiday ? "bg-rose-50 border-rose-200" : "";
-            const att = isAtt ? "bg-emerald-100 border-emerald-300" : "";
-            const clickable = (!disabled && !holiday && !isWeekend(d)) ? "cursor-pointer hover:shadow" : "";
-            return (
-              <div
-                key={`${wi}-${di}`}
-                onClick={() => { if (!disabled && !holiday && !isWeekend(d)) onToggle(d); }}
-                className={[base, muted, weekend, hol, att, clickable].join(" ")}
-                title={format(d, "yyyy-MM-dd")}
-              >
-                <div className="text-sm font-medium">{format(d, "d")}</div>
-              </div>
-            );
-          }))}
-        </div>
-        <div className="text-xs text-gray-500 mt-3 flex flex-wrap gap-4">
-          <Legend swatchClass="bg-emerald-200" label="Attended"/>
-          <Legend swatchClass="bg-rose-200" label="Holiday"/>
-          <Legend swatchClass="bg-gray-100" label="Weekend"/>
-          <Legend swatchClass="" label="Click weekday to toggle"/>
-        </div>
-      </div>
-    </Panel>
-  );
-}
-
-function Legend({ swatchClass, label }) {
-  return (
-    <span className="inline-flex items-center gap-2">
-      <span className={`w-3 h-3 rounded ${swatchClass} border`}></span>
-      {label}
-    </span>
-  );
-}
-
 // --- Utils ---
-function fmt(d) { return format(d, "yyyy-MM-dd"); }
-
-function parseHolidayInput(input, monthStart) {
+function parseHolidayInput(input, monthStart, parseDate) {
   const items = new Set();
   const parts = input.split(/\n|,|;|\s+/).map(s => s.trim()).filter(Boolean);
   for (const tok of parts) {
-    const d = safeParseDate(tok);
+    const d = parseDate(tok);
     if (d && isSameMonth(d, monthStart)) items.add(fmt(d));
   }
   return items;
 }
-
-function safeParseDate(s) {
-  if (!s) return null;
-  if (s instanceof Date && !isNaN(s)) return s;
-  try { return parseISO(String(s)); } catch {}
-  return null;
-}
-
-function buildCalendarWeeks(monthStart, monthEnd) {
-  // Start from Monday grid
-  const first = startOfWeekMonday(monthStart);
-  const last = endOfWeekSunday(monthEnd);
-  const all = eachDayOfInterval({ start: first, end: last });
-  const out = [];
-  for (let i = 0; i < all.length; i += 7) out.push(all.slice(i, i+7));
-  return out;
-}
-function startOfWeekMonday(d) {
-  const day = d.getDay(); // 0 Sun .. 6 Sat
-  const diff = (day === 0 ? -6 : 1 - day); // back to Monday
-  return addDays(d, diff);
-}
-function endOfWeekSunday(d) {
-  const day = d.getDay();
-  const diff = (day === 0 ? 0 : 7 - day);
-  return addDays(d, diff);
-}
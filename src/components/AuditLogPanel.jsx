@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { describeAudit, auditLag, auditMonth } from "../lib/audit.js";
+import { officeById } from "../lib/locations.js";
+import { useI18n } from "../lib/i18n.js";
+
+const PAGE = 50;
+
+// Newest-first view of the active profile's audit log
+export default function AuditLogPanel({ profile, monthKey, lateMarkDays, onLateMarkDaysChange, onClose }) {
+  const { t, formatDate, locale } = useI18n();
+  const formatPattern = locale.dateFormat;
+  const offices = officeById(profile);
+  const [scope, setScope] = useState("month");
+  const [shown, setShown] = useState(PAGE);
+  const entries = (profile.audit || [])
+    .filter(e => scope === "all" || auditMonth(e) === monthKey)
+    .slice().reverse();
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{t("audit.title", { name: profile.name || profile.id })}</h2>
+          <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <select className="border rounded-md p-2 bg-white" value={scope} onChange={e => { setScope(e.target.value); setShown(PAGE); }}>
+            <option value="month">{t("audit.scopeMonth", { month: formatDate(`${monthKey}-01`, "LLLL yyyy") })}</option>
+            <option value="all">{t("audit.scopeAll")}</option>
+          </select>
+          <label className="inline-flex items-center gap-2">{t("audit.flagBefore")}
+            <input className="w-16 border rounded-md p-1" type="number" min={0} max={365} value={lateMarkDays} onChange={e => e.target.value !== "" && onLateMarkDaysChange(Math.max(0, Math.min(365, Math.round(Number(e.target.value)))))} />
+            {t("audit.flagAfter")}
+          </label>
+        </div>
+        {entries.length === 0 ? <p className="text-gray-600">{t("audit.empty")}</p> : (
+          <table className="text-sm w-full border-collapse">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-3 font-medium">{t("audit.when")}</th>
+                <th className="py-1 pr-3 font-medium">{t("audit.day")}</th>
+                <th className="py-1 pr-3 font-medium">{t("audit.change")}</th>
+                <th className="py-1 font-medium">{t("audit.source")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.slice(0, shown).map(e => {
+                const lag = auditLag(e);
+                const late = e.action === "status" && e.to && lag > lateMarkDays;
+                return (
+                  <tr key={e.id} className="border-b">
+                    <td className="py-1 pr-3 tabular-nums whitespace-nowrap">{formatDate(new Date(e.at), `${formatPattern} HH:mm`)}</td>
+                    <td className="py-1 pr-3 tabular-nums whitespace-nowrap">{e.date ? formatDate(e.date) : e.month ? formatDate(`${e.month}-01`, "LLLL yyyy") : ""}</td>
+                    <td className="py-1 pr-3">
+                      {describeAudit(e, t, offices)}
+                      {late && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-800">{t("audit.daysLater", { count: lag })}</span>}
+                    </td>
+                    <td className="py-1 text-gray-600">{t(`audit.via.${e.via || "app"}`)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        {entries.length > shown && <button className="justify-self-start px-3 py-2 rounded-md border hover:bg-white" onClick={() => setShown(n => n + PAGE)}>{t("audit.showMore", { count: Math.min(PAGE, entries.length - shown) })}</button>}
+        <p className="text-xs text-gray-500">{t("audit.hint")}</p>
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,23 @@
+import React, { useState } from "react";
+import { weekdayOrder } from "../lib/dates.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Mark chosen weekdays across the month, or repeat last month's pattern
+export default function BulkActions({ weekStartsOn, workDays, brushLabel, onMarkWeekdays, onCopyLastMonth }) {
+  const { t, weekdayShort } = useI18n();
+  const [weekdays, setWeekdays] = useState([]);
+  const toggle = (wd) => setWeekdays(cur => cur.includes(wd) ? cur.filter(x => x !== wd) : [...cur, wd]);
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+      <span className="text-gray-600">{t("bulk.every")}</span>
+      {weekdayOrder(weekStartsOn).filter(wd => workDays.includes(wd)).map(wd => (
+        <label key={wd} className={`px-2 py-1 rounded-md border cursor-pointer select-none ${weekdays.includes(wd) ? "ring-2 ring-blue-500" : ""}`}>
+          <input type="checkbox" className="sr-only" checked={weekdays.includes(wd)} onChange={() => toggle(wd)} />
+          {weekdayShort(wd)}
+        </label>
+      ))}
+      <button className="px-2 py-1 rounded-md border hover:bg-white disabled:opacity-50" disabled={!weekdays.length} onClick={() => onMarkWeekdays(weekdays)}>{t("bulk.markWeekdays", { brush: brushLabel })}</button>
+      <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onCopyLastMonth} title={t("bulk.copyLastMonthHint")}>{t("bulk.copyLastMonth")}</button>
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { isSameMonth, isBefore, isAfter, isToday, addDays, startOfWeek, endOfWeek } from "date-fns";
+import { Panel, Legend } from "./ui.jsx";
+import { fmt, buildCalendarWeeks, isWorkday, weekdayOrder } from "../lib/dates.js";
+import { policyOn } from "../lib/policy.js";
+import { DEFAULT_STATUSES, STATUS_BY_ID, STATUS_EFFECTS } from "../lib/statuses.js";
+import { officeShort } from "../lib/locations.js";
+import { useI18n } from "../lib/i18n.js";
+
+export const PLAN_BRUSH = "planned";
+
+// ARIA grid of the month: one week per row, a single focusable day (roving tabindex),
+// arrow keys / Home / End to move, Space or Enter to toggle with the current brush.
+// Every state has a text marker and a spoken label as well as its colour.
+// With offices set up, attended days are marked at the chosen location and show its badge.
+export default function CalendarGrid({ monthStart, monthEnd, joinDate, holidays, workWeek, timeline, dayStatuses, plannedDates, lateMarks, lateMarkDays, rules, brush, onBrushChange, onRuleChange, onToggle, onTogglePlanned, onMarkRange, offices, dayLocations, location, locationEnabled, onLocationChange, officeCounts, children }) {
+  const { t, formatDate, statusLabel, statusShort, weekdayShort, weekdayLong } = useI18n();
+  const longDate = (d) => formatDate(d, "PPPP");
+  const effectLabel = (statusId) => t(`effects.${rules[statusId]}`);
+  const weeks = buildCalendarWeeks(monthStart, monthEnd, workWeek.weekStartsOn);
+  const isOff = (d) => !isWorkday(d, policyOn(timeline, d).workWeek);
+  const isJoinActive = (d) => !isBefore(d, joinDate);
+  const isHoliday = (d) => holidays.has(fmt(d));
+  const statusOf = (d) => STATUS_BY_ID[dayStatuses[fmt(d)]];
+  const officeOf = (d) => dayStatuses[fmt(d)] ? offices.get(dayLocations[fmt(d)]) : null;
+  const canMark = (d) => isSameMonth(d, monthStart) && !isOff(d) && isJoinActive(d) && !isHoliday(d);
+  const brushLabel = brush === PLAN_BRUSH ? t("calendar.planned") : statusLabel(brush);
+  const ids = { heading: useId(), help: useId() };
+
+  // Spoken description of a day, also used for the live region after a change
+  const describe = (d) => {
+    const iso = fmt(d);
+    const status = statusOf(d);
+    const parts = [longDate(d)];
+    if (isToday(d)) parts.push(t("calendar.today"));
+    if (isHoliday(d)) parts.push(t("calendar.holidayNamed", { name: holidays.get(iso) }));
+    else if (status) parts.push(`${statusLabel(status.id)}, ${effectLabel(status.id).toLowerCase()}`);
+    else parts.push(t("calendar.notMarked"));
+    const office = !isHoliday(d) && officeOf(d);
+    if (office) parts.push(officeCounts(iso, office.id) ? t("calendar.atOffice", { name: office.name }) : t("calendar.atOfficeNotCounted", { name: office.name }));
+    if (plannedDates.has(iso) && !status) parts.push(t("calendar.plannedState"));
+    if (isOff(d)) parts.push(t("calendar.nonWorking"));
+    if (!isJoinActive(d)) parts.push(t("calendar.beforeJoin"));
+    const late = status && lateMarks.get(iso);
+    if (late) parts.push(t("calendar.markedLate", { count: late.lag }));
+    return parts.join(", ");
+  };
+
+  // Roving focus: the remembered day if it's in this month, else today, else the 1st
+  const [focusIso, setFocusIso] = useState(null);
+  const cellRefs = useRef({});
+  const active = focusIso && isSameMonth(new Date(`${focusIso}T00:00`), monthStart) ? focusIso
+    : isSameMonth(new Date(), monthStart) ? fmt(new Date()) : fmt(monthStart);
+  const moveTo = (d) => {
+    const target = isBefore(d, monthStart) ? monthStart : isAfter(d, monthEnd) ? monthEnd : d;
+    setFocusIso(fmt(target));
+    cellRefs.current[fmt(target)]?.focus();
+  };
+
+  // Drag across days, or click one and shift-click another, to mark the whole range
+  const [drag, setDrag] = useState(null); // { from, to } while the button is held
+  const [anchor, setAnchor] = useState(null);
+  const [said, setSaid] = useState(null); // { from, to } of the last change, for the live region
+  useEffect(() => {
+    const cancel = () => setDrag(null);
+    window.addEventListener("pointerup", cancel);
+    return () => window.removeEventListener("pointerup", cancel);
+  }, []);
+  const toggle = (d) => {
+    (brush === PLAN_BRUSH ? onTogglePlanned : onToggle)(d);
+    setAnchor(d);
+    setSaid({ from: d, to: d });
+  };
+  const markRange = (a, b) => {
+    onMarkRange(a, b);
+    setAnchor(b);
+    setSaid({ from: a, to: b });
+  };
+  const press = (e, d) => {
+    if (e.button !== 0 || !isSameMonth(d, monthStart)) return;
+    if (e.shiftKey && anchor) { markRange(anchor, d); return; }
+    setDrag({ from: d, to: d });
+  };
+  const release = (d) => {
+    if (!drag) return;
+    if (fmt(drag.from) !== fmt(d)) markRange(drag.from, d);
+    else if (canMark(d)) toggle(d);
+    else setAnchor(d);
+    setDrag(null);
+  };
+  const inDrag = (d) => {
+    if (!drag) return false;
+    const [lo, hi] = [fmt(drag.from), fmt(drag.to)].sort();
+    return fmt(d) >= lo && fmt(d) <= hi;
+  };
+
+  const onKeyDown = (e, d) => {
+    const opts = { weekStartsOn: workWeek.weekStartsOn };
+    const moves = {
+      ArrowLeft: () => addDays(d, -1),
+      ArrowRight: () => addDays(d, 1),
+      ArrowUp: () => addDays(d, -7),
+      ArrowDown: () => addDays(d, 7),
+      Home: () => e.ctrlKey ? monthStart : startOfWeek(d, opts),
+      End: () => e.ctrlKey ? monthEnd : endOfWeek(d, opts),
+    };
+    if (moves[e.key]) { e.preventDefault(); moveTo(moves[e.key]()); return; }
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      if (e.shiftKey && anchor) markRange(anchor, d);
+      else if (canMark(d)) toggle(d);
+    }
+  };
+
+  const saidText = !said ? "" : fmt(said.from) === fmt(said.to) ? describe(said.from)
+    : t("calendar.rangeMarked", { from: longDate(said.from), to: longDate(said.to), brush: brushLabel });
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6">
+        <h2 id={ids.heading} className="text-lg font-semibold mb-3">{t("calendar.title")}</h2>
+        <div className="flex flex-wrap gap-2 mb-3 text-sm" role="toolbar" aria-label={t("calendar.brush")}>
+          {DEFAULT_STATUSES.map(st => (
+            <button
+              key={st.id}
+              aria-pressed={brush === st.id}
+              className={`px-2 py-1 rounded-md border inline-flex items-center gap-2 ${brush === st.id ? "ring-2 ring-blue-500 font-semibold" : ""}`}
+              onClick={() => onBrushChange(st.id)}
+              title={effectLabel(st.id)}
+            >
+              <span className={`w-3 h-3 rounded ${st.swatch} border`} aria-hidden="true"></span>{statusLabel(st.id)}
+              <span className="text-xs text-gray-500" aria-hidden="true">{statusShort(st.id)}</span>
+            </button>
+          ))}
+          <button
+            aria-pressed={brush === PLAN_BRUSH}
+            className={`px-2 py-1 rounded-md border inline-flex items-center gap-2 ${brush === PLAN_BRUSH ? "ring-2 ring-blue-500 font-semibold" : ""}`}
+            onClick={() => onBrushChange(PLAN_BRUSH)}
+            title={t("calendar.plannedHint")}
+          >
+            <span className="w-3 h-3 rounded border border-dashed border-blue-500" aria-hidden="true"></span>{t("calendar.planned")}
+            <span className="text-xs text-gray-500" aria-hidden="true">{t("calendar.markPlan")}</span>
+          </button>
+          {offices.size > 0 && (
+            <label className="inline-flex items-center gap-2 ml-auto">
+              {t("calendar.location")}
+              <select className="border rounded-md p-1 bg-white disabled:opacity-50" value={location ?? ""} disabled={!locationEnabled} title={locationEnabled ? undefined : t("calendar.locationHint")} onChange={e => onLocationChange(e.target.value || null)}>
+                {[...offices.values()].map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                <option value="">{t("calendar.noLocation")}</option>
+              </select>
+            </label>
+          )}
+        </div>
+        {children}
+        <div role="grid" aria-labelledby={ids.heading} aria-describedby={ids.help} className="grid gap-2">
+          <div role="row" className="grid grid-cols-7 text-center text-xs font-medium text-gray-500">
+            {weekdayOrder(workWeek.weekStartsOn).map((wd) => <div key={wd} role="columnheader" aria-label={weekdayLong(wd)} className="py-1">{weekdayShort(wd)}</div>)}
+          </div>
+          {weeks.map(week => (
+            <div key={fmt(week[0])} role="row" className="grid grid-cols-7 gap-2">
+              {week.map(d => {
+                const iso = fmt(d);
+                const inMonth = isSameMonth(d, monthStart);
+                const markable = canMark(d);
+                const holiday = isHoliday(d);
+                const status = inMonth ? statusOf(d) : null;
+                const isPlanned = inMonth && plannedDates.has(iso);
+                const base = "aspect-square rounded-2xl border flex flex-col items-center justify-center select-none focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-900";
+                const muted = !inMonth ? "opacity-30" : "";
+                const weekend = isOff(d) ? "bg-gray-50 text-gray-400" : "";
+                const hol = holiday ? "bg-rose-50 border-rose-200" : "";
+                const att = status && !holiday ? status.cell : "";
+                const plan = isPlanned && !holiday ? "border-2 border-dashed border-blue-400" : "";
+                const clickable = markable ? "cursor-pointer hover:shadow" : "";
+                const selecting = inMonth && inDrag(d) ? "ring-2 ring-blue-400" : "";
+                const lateMark = status && !holiday ? lateMarks.get(iso) : null;
+                const office = !holiday && officeOf(d);
+                const officeNote = office ? ` · ${office.name}` : "";
+                const lateNote = lateMark ? ` · ${t("calendar.lateNote", { count: lateMark.lag, date: formatDate(new Date(lateMark.at)) })}` : "";
+                // Text markers so no state depends on colour alone
+                const mark = holiday ? t("calendar.markHoliday") : status ? statusShort(status.id) : isPlanned ? t("calendar.markPlan") : inMonth && isOff(d) ? t("calendar.markOff") : "";
+                if (!inMonth) return <div key={iso} role="gridcell" aria-hidden="true" className={[base, muted, weekend].join(" ")}><div className="text-sm font-medium">{d.getDate()}</div></div>;
+                return (
+                  <div
+                    key={iso}
+                    ref={el => { cellRefs.current[iso] = el; }}
+                    role="gridcell"
+                    tabIndex={iso === active ? 0 : -1}
+                    aria-label={describe(d)}
+                    aria-disabled={!markable}
+                    onFocus={() => setFocusIso(iso)}
+                    onKeyDown={e => onKeyDown(e, d)}
+                    onPointerDown={e => press(e, d)}
+                    onPointerEnter={() => drag && setDrag(cur => ({ ...cur, to: d }))}
+                    onPointerUp={() => release(d)}
+                    className={[base, weekend, hol, att, plan, clickable, selecting].join(" ")}
+                    title={holiday ? `${formatDate(d)} · ${holidays.get(iso)}` : status ? `${formatDate(d)} · ${statusLabel(status.id)}${officeNote}${lateNote}` : formatDate(d)}
+                  >
+                    <div className={`text-sm font-medium ${isJoinActive(d) ? "" : "line-through"} ${isToday(d) ? "underline" : ""}`}>{d.getDate()}</div>
+                    {mark && <div className="text-[10px] leading-none text-gray-600">{mark}</div>}
+                    {office && <div className={`mt-0.5 px-1 rounded bg-white/70 text-[9px] leading-tight font-medium ${officeCounts(iso, office.id) ? "text-gray-700" : "text-gray-400 line-through"}`}>{officeShort(office)}</div>}
+                    {lateMark && <div className="text-[10px] leading-none text-amber-700">{t("calendar.markLate")}</div>}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+        <p className="sr-only" aria-live="polite">{saidText}</p>
+        <div className="text-xs text-gray-500 mt-3 flex flex-wrap gap-4">
+          <Legend swatchClass="bg-rose-200" label={t("calendar.legendHoliday", { mark: t("calendar.markHoliday") })}/>
+          <Legend swatchClass="bg-gray-100" label={t("calendar.legendOff", { mark: t("calendar.markOff") })}/>
+          <Legend swatchClass="border-dashed border-blue-500" label={t("calendar.legendPlanned", { mark: t("calendar.markPlan") })}/>
+          <span><span className="line-through">12</span> = {t("calendar.beforeJoin")}</span>
+          <span><span className="text-amber-700">{t("calendar.markLate")}</span> = {t("calendar.legendLate", { count: lateMarkDays })}</span>
+          {offices.size > 0 && <span><span className="line-through">{officeShort([...offices.values()][0])}</span> = {t("calendar.legendNotCounted")}</span>}
+        </div>
+        <p id={ids.help} className="text-xs text-gray-500 mt-2">{t("calendar.help")} {t("calendar.keyboardHelp")}</p>
+        <details className="mt-3 text-sm">
+          <summary className="cursor-pointer text-gray-600">{t("calendar.statusRules")}</summary>
+          <div className="mt-2 grid sm:grid-cols-2 gap-2">
+            {DEFAULT_STATUSES.map(st => (
+              <label key={st.id} className="flex items-center justify-between gap-2">
+                <Legend swatchClass={st.swatch} label={statusLabel(st.id)}/>
+                <select className="border rounded-md p-1 bg-white" value={rules[st.id]} onChange={e => onRuleChange(st.id, e.target.value)}>
+                  {STATUS_EFFECTS.map(ef => <option key={ef.id} value={ef.id}>{t(`effects.${ef.id}`)}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        </details>
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from "react";
+import { Panel } from "./ui.jsx";
+import { safeParseDate } from "../lib/dates.js";
+import { toCsv, parseCsv, dailyRows, monthlyRows, auditRows, DATE_FORMATS, guessMapping, readCsvRows, groupByProfile } from "../lib/csv.js";
+import { useI18n } from "../lib/i18n.js";
+
+const PREVIEW_ROWS = 10;
+const COLUMNS = [
+  { id: "date", required: true },
+  { id: "status" },
+  { id: "holiday" },
+  { id: "profile" },
+];
+
+function download(name, text) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type: "text/csv;charset=utf-8" }));
+  a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+}
+
+function CsvExport({ profiles, calendars, activeId, defaultFrom, defaultTo }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [from, setFrom] = useState(defaultFrom);
+  const [to, setTo] = useState(defaultTo);
+  const [ids, setIds] = useState([activeId]);
+  const start = safeParseDate(from);
+  const end = safeParseDate(to);
+  const valid = start && end && start <= end && ids.length > 0;
+  const suffix = `${from}_${to}`;
+
+  return (
+    <div className="grid gap-3">
+      <h3 className="font-medium">{t("csv.export")}</h3>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="grid gap-1">{t("ics.from")}<input className="border rounded-md p-2" type="date" value={from} onChange={e => setFrom(e.target.value)} /></label>
+        <label className="grid gap-1">{t("ics.to")}<input className="border rounded-md p-2" type="date" value={to} onChange={e => setTo(e.target.value)} /></label>
+      </div>
+      <div className="flex flex-wrap gap-3">
+        {Object.keys(profiles).map(id => (
+          <label key={id} className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={ids.includes(id)} onChange={() => setIds(cur => cur.includes(id) ? cur.filter(x => x !== id) : [...cur, id])} />
+            {profiles[id].name || id}
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={!valid} onClick={() => download(`attendance_${suffix}.csv`, toCsv(dailyRows(profiles, ids, start, end, { calendars, i18n })))}>{t("csv.daily")}</button>
+        <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={!valid} onClick={() => download(`attendance-summary_${suffix}.csv`, toCsv(monthlyRows(profiles, ids, start, end, { calendars, i18n })))}>{t("csv.monthly")}</button>
+        <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={!valid} onClick={() => download(`attendance-audit_${suffix}.csv`, toCsv(auditRows(profiles, ids, start, end, { i18n })))}>{t("csv.audit")}</button>
+      </div>
+      <p className="text-xs text-gray-500">{t("csv.exportHint")}</p>
+    </div>
+  );
+}
+
+function CsvImport({ profiles, activeId, onImport }) {
+  const i18n = useI18n();
+  const { t, locale, statusLabel } = i18n;
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS.find(f => f.id === locale.dateFormat)?.id || DATE_FORMATS[0].id);
+  const [target, setTarget] = useState(activeId);
+
+  const load = (text) => {
+    const parsed = parseCsv(text);
+    if (parsed.length < 2) { alert(t("csv.tooShort")); return; }
+    setRows(parsed);
+    setMapping(guessMapping(parsed[0], i18n));
+  };
+  const readFile = async (file) => { if (file) load(await file.text()); };
+
+  const result = useMemo(() => {
+    if (!rows || mapping.date < 0) return null;
+    const { entries, errors } = readCsvRows(rows.slice(1), mapping, dateFormat, i18n);
+    return { entries, errors, ...groupByProfile(entries, profiles, target) };
+  }, [rows, mapping, dateFormat, profiles, target, i18n]);
+
+  const header = rows?.[0] || [];
+  const count = result ? Object.values(result.byProfile).reduce((n, list) => n + list.length, 0) : 0;
+
+  return (
+    <div className="grid gap-3">
+      <h3 className="font-medium">{t("csv.import")}</h3>
+      <div className="flex flex-wrap items-center gap-3">
+        <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={e => readFile(e.target.files?.[0])} />
+        <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => { const s = prompt(t("csv.askPaste")); if (s) load(s); }}>{t("csv.paste")}</button>
+      </div>
+      {rows && (
+        <>
+          <div className="flex flex-wrap items-end gap-3">
+            {COLUMNS.map(c => (
+              <label key={c.id} className="grid gap-1">{t(`csv.columns.${c.id}`)}
+                <select className="border rounded-md p-2" value={mapping[c.id]} onChange={e => setMapping(m => ({ ...m, [c.id]: Number(e.target.value) }))}>
+                  <option value={-1}>{c.required ? t("csv.choose") : t("csv.notUsed")}</option>
+                  {header.map((h, i) => <option key={i} value={i}>{h || t("csv.column", { n: i + 1 })}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="grid gap-1">{t("csv.dateFormat")}
+              <select className="border rounded-md p-2" value={dateFormat} onChange={e => setDateFormat(e.target.value)}>
+                {DATE_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
+            </label>
+            {mapping.profile < 0 && (
+              <label className="grid gap-1">{t("csv.intoProfile")}
+                <select className="border rounded-md p-2" value={target} onChange={e => setTarget(e.target.value)}>
+                  {Object.keys(profiles).map(id => <option key={id} value={id}>{profiles[id].name || id}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">{t("csv.importHint")}</p>
+          {result && (
+            <>
+              <div className="overflow-x-auto">
+                <table className="text-xs border-collapse">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="pr-3 font-medium">{t("csv.row")}</th>
+                      <th className="pr-3 font-medium">{t("csv.columns.date")}</th>
+                      <th className="pr-3 font-medium">{t("csv.columns.status")}</th>
+                      <th className="pr-3 font-medium">{t("csv.holiday")}</th>
+                      {mapping.profile >= 0 && <th className="font-medium">{t("profiles.profile")}</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.entries.slice(0, PREVIEW_ROWS).map(e => (
+                      <tr key={e.row}>
+                        <td className="pr-3 text-gray-500">{e.row}</td>
+                        <td className="pr-3 tabular-nums">{e.iso}</td>
+                        <td className="pr-3">{e.status ? statusLabel(e.status) : ""}</td>
+                        <td className="pr-3">{e.holiday ? t("csv.yes") : ""}</td>
+                        {mapping.profile >= 0 && <td>{e.profile}</td>}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-gray-700">
+                {t("csv.summary", { count, profiles: Object.keys(result.byProfile).map(id => profiles[id].name || id).join(", ") || t("csv.noProfile") })}
+                {result.entries.length > PREVIEW_ROWS ? ` ${t("csv.firstShown", { n: PREVIEW_ROWS })}` : ""}.
+              </p>
+              {result.unknown.length > 0 && <p className="text-amber-800">{t("csv.unknownProfiles", { names: result.unknown.map(n => `“${n}”`).join(", ") })}</p>}
+              {result.errors.length > 0 && (
+                <ul className="text-rose-700 text-xs list-disc ml-5">
+                  {result.errors.slice(0, PREVIEW_ROWS).map(e => <li key={e.row}>{t("csv.rowError", { row: e.row, message: e.message })}</li>)}
+                  {result.errors.length > PREVIEW_ROWS && <li>{t("csv.moreErrors", { count: result.errors.length - PREVIEW_ROWS })}</li>}
+                </ul>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={count === 0} onClick={() => { onImport(result.byProfile); setRows(null); }}>{t("csv.importDays", { count })}</button>
+                <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setRows(null)}>{t("csv.discard")}</button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Spreadsheet export (daily rows + monthly summary) and import with column mapping
+export default function CsvPanel({ profiles, calendars, activeId, defaultFrom, defaultTo, onImport, onClose }) {
+  const { t } = useI18n();
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-6 text-sm">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{t("csv.title")}</h2>
+          <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <CsvExport profiles={profiles} calendars={calendars} activeId={activeId} defaultFrom={defaultFrom} defaultTo={defaultTo} />
+        <CsvImport profiles={profiles} activeId={activeId} onImport={onImport} />
+      </div>
+    </Panel>
+  );
+}
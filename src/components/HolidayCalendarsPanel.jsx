@@ -0,0 +1,92 @@
+import React, { useRef, useState } from "react";
+import { Panel, InlineIcon } from "./ui.jsx";
+import { parseHolidayLines, formatHolidayLines, parseIcs } from "../lib/holidays.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Shared holiday calendars: subscribe the active profile, edit dates, import .ics
+export default function HolidayCalendarsPanel({ calendars, subscribedIds, onToggleSubscribe, onCreate, onUpdate, onDelete }) {
+  const { t } = useI18n();
+  const ids = Object.keys(calendars);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState("");
+  const fileRef = useRef(null);
+  const editing = editingId && calendars[editingId];
+
+  const startEdit = (id) => {
+    setEditingId(id);
+    setDraft(formatHolidayLines(calendars[id]?.holidays));
+  };
+  const saveDraft = () => {
+    if (!editing) return;
+    onUpdate(editingId, { holidays: parseHolidayLines(draft) });
+    setEditingId(null);
+  };
+  const mergeIcs = (text, fallbackName) => {
+    const found = parseIcs(text);
+    const count = Object.keys(found).length;
+    if (count === 0) { alert(t("calendars.noEvents")); return; }
+    const id = editing ? editingId : onCreate(fallbackName);
+    const existing = editing ? parseHolidayLines(draft) : {};
+    const holidays = { ...existing, ...found };
+    onUpdate(id, { holidays });
+    setEditingId(id);
+    setDraft(formatHolidayLines(holidays));
+    alert(t("calendars.imported", { count }));
+  };
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    mergeIcs(await file.text(), file.name.replace(/\.ics$/i, ""));
+  };
+  const pasteIcs = () => {
+    const s = prompt(t("calendars.askIcs"));
+    if (s) mergeIcs(s, t("calendars.importedName"));
+  };
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">{t("calendars.title")}</h2>
+          <div className="flex flex-wrap gap-2">
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => startEdit(onCreate(prompt(t("calendars.askName"), t("calendars.defaultName")) || t("calendars.defaultName")))}>{t("calendars.new")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => fileRef.current?.click()}><InlineIcon name="upload" className="w-4 h-4 mr-2"/>{t("calendars.importIcs")}</button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={pasteIcs}>{t("calendars.pasteIcs")}</button>
+            <input ref={fileRef} type="file" accept=".ics,text/calendar" className="hidden" onChange={importFile} />
+          </div>
+        </div>
+        {ids.length === 0 && <p className="text-gray-500">{t("calendars.empty")}</p>}
+        <ul className="grid gap-1">
+          {ids.map(id => {
+            const cal = calendars[id];
+            return (
+              <li key={id} className="flex flex-wrap items-center justify-between gap-2">
+                <label className="inline-flex items-center gap-2">
+                  <input type="checkbox" checked={subscribedIds.includes(id)} onChange={() => onToggleSubscribe(id)} />
+                  <span className="font-medium">{cal.name}</span>
+                  <span className="text-gray-500">{t("calendars.dates", { count: Object.keys(cal.holidays || {}).length })}</span>
+                </label>
+                <span className="flex gap-2">
+                  <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => startEdit(id)}>{t("common.edit")}</button>
+                  <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => { const name = prompt(t("calendars.askName"), cal.name); if (name) onUpdate(id, { name }); }}>{t("common.rename")}</button>
+                  <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => { if (confirm(t("calendars.confirmDelete", { name: cal.name }))) { onDelete(id); if (editingId === id) setEditingId(null); } }}>{t("common.delete")}</button>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+        {editing && (
+          <div className="grid gap-2">
+            <label className="font-medium">{t("calendars.editHint", { name: editing.name })}</label>
+            <textarea className="w-full border rounded-md p-2 h-40 font-mono text-xs" placeholder={"2025-12-25 Christmas Day\n2026-01-01 New Year's Day"} value={draft} onChange={e => setDraft(e.target.value)} />
+            <div className="flex gap-2">
+              <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={saveDraft}>{t("common.save")}</button>
+              <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => setEditingId(null)}>{t("common.cancel")}</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </Panel>
+  );
+}
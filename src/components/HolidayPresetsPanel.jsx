@@ -0,0 +1,48 @@
+import React from "react";
+import { Panel } from "./ui.jsx";
+import { HOLIDAY_PRESETS } from "../lib/holidayPresets.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Built-in country/region holidays for the active profile, with per-date switches
+export default function HolidayPresetsPanel({ presetIds, year, holidays, onAdd, onRemove, onToggleHoliday }) {
+  const { t, formatDate, substituteName } = useI18n();
+  const available = Object.keys(HOLIDAY_PRESETS).filter(id => !presetIds.includes(id));
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">{t("presets.title")}</h2>
+          <select className="border rounded-md p-2 bg-white" value="" onChange={e => { if (e.target.value) onAdd(e.target.value); }}>
+            <option value="">{t("presets.add")}</option>
+            {available.map(id => <option key={id} value={id}>{HOLIDAY_PRESETS[id].name}</option>)}
+          </select>
+        </div>
+        {presetIds.length === 0 && <p className="text-gray-500">{t("presets.empty")}</p>}
+        <div className="flex flex-wrap gap-2">
+          {presetIds.map(id => (
+            <span key={id} className="inline-flex items-center gap-2 px-2 py-1 rounded-full border bg-rose-50 border-rose-200">
+              {HOLIDAY_PRESETS[id]?.name || id}
+              <button className="text-gray-500 hover:text-gray-900" title={t("common.remove")} onClick={() => onRemove(id)}>×</button>
+            </span>
+          ))}
+        </div>
+        {holidays.length > 0 && (
+          <div>
+            <div className="font-medium mb-1">{t("presets.untick", { year })}</div>
+            <ul className="grid sm:grid-cols-2 gap-1">
+              {holidays.map(h => (
+                <li key={`${h.presetId}-${h.date}`}>
+                  <label className={`inline-flex items-center gap-2 ${h.disabled ? "text-gray-400 line-through" : ""}`}>
+                    <input type="checkbox" checked={!h.disabled} onChange={() => onToggleHoliday(h.date)} />
+                    <span className="tabular-nums">{formatDate(h.date, "EEE dd MMM")}</span>
+                    <span>{h.substitute ? substituteName(h.name) : h.name}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { safeParseDate } from "../lib/dates.js";
+import { ICS_KINDS, buildIcs } from "../lib/icsExport.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Download the active profile's days as an .ics file for a calendar app
+export default function IcsExportDialog({ profile, calendars, defaultFrom, defaultTo, onClose }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [from, setFrom] = useState(defaultFrom);
+  const [to, setTo] = useState(defaultTo);
+  const [kinds, setKinds] = useState(["attendance", "planned"]);
+  const start = safeParseDate(from);
+  const end = safeParseDate(to);
+  const valid = start && end && start <= end && kinds.length > 0;
+
+  const download = () => {
+    const text = buildIcs(profile, start, end, { calendars, i18n, kinds });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([text], { type: "text/calendar;charset=utf-8" }));
+    a.download = `${(profile.name || "profile").replace(/\s+/g, "_")}_${from}_${to}.ics`;
+    document.body.appendChild(a); a.click(); a.remove();
+  };
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{t("ics.title")}</h2>
+          <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="grid gap-1">{t("ics.from")}<input className="border rounded-md p-2" type="date" value={from} onChange={e => setFrom(e.target.value)} /></label>
+          <label className="grid gap-1">{t("ics.to")}<input className="border rounded-md p-2" type="date" value={to} onChange={e => setTo(e.target.value)} /></label>
+          {ICS_KINDS.map(id => (
+            <label key={id} className="inline-flex items-center gap-1 pb-2">
+              <input type="checkbox" checked={kinds.includes(id)} onChange={() => setKinds(cur => cur.includes(id) ? cur.filter(x => x !== id) : [...cur, id])} />
+              {t(`ics.kinds.${id}`)}
+            </label>
+          ))}
+          <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={!valid} onClick={download}>{t("ics.download")}</button>
+        </div>
+        <p className="text-xs text-gray-500">{t("ics.hint")}</p>
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+import { Panel } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+
+// Attended days per office for a month or year (rows from locationBreakdown)
+export default function LocationBreakdown({ title, rows }) {
+  const { t } = useI18n();
+  const total = rows.reduce((n, r) => n + r.days, 0);
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <h2 className="text-lg font-semibold">{title}</h2>
+        <table className="w-full border-collapse">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1 pr-3 font-medium">{t("locations.office")}</th>
+              <th className="py-1 pr-3 font-medium text-right">{t("locations.days")}</th>
+              <th className="py-1 pr-3 font-medium text-right">{t("locations.counted")}</th>
+              <th className="py-1 font-medium w-1/3"><span className="sr-only">{t("locations.share")}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.id ?? "none"} className="border-b">
+                <td className="py-1 pr-3">{r.id ? <>{r.name} <span className="text-xs text-gray-500">{r.short}</span></> : <span className="text-gray-600">{t("locations.unassigned")}</span>}</td>
+                <td className="py-1 pr-3 text-right tabular-nums">{r.days}</td>
+                <td className={`py-1 pr-3 text-right tabular-nums ${r.counted < r.days ? "text-amber-800" : ""}`}>{r.counted}</td>
+                <td className="py-1">
+                  <div className="h-2 rounded-full bg-gray-100 overflow-hidden" aria-hidden="true">
+                    <div className="h-full bg-emerald-400" style={{ width: `${total ? Math.round((r.days / total) * 100) : 0}%` }} />
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500">{t("locations.hint")}</p>
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { officeShort } from "../lib/locations.js";
+import { useI18n } from "../lib/i18n.js";
+
+// The profile's offices; whether each counts is edited on the policy in force at month end
+export default function OfficesPanel({ offices, excluded, policyStart, onAdd, onUpdate, onToggleCounted, onRemove }) {
+  const { t, formatDate } = useI18n();
+  const [name, setName] = useState("");
+  const add = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onAdd(name.trim());
+    setName("");
+  };
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <h2 className="text-lg font-semibold">{t("offices.title")}</h2>
+        {offices.length === 0 && <p className="text-gray-500">{t("offices.empty")}</p>}
+        <ul className="grid gap-1">
+          {offices.map(o => (
+            <li key={o.id} className="flex flex-wrap items-center justify-between gap-2">
+              <span className="inline-flex items-center gap-2">
+                <span className="px-1.5 rounded bg-gray-100 text-xs font-medium">{officeShort(o)}</span>
+                <span className="font-medium">{o.name}</span>
+              </span>
+              <span className="flex flex-wrap items-center gap-2">
+                <label className="inline-flex items-center gap-2">
+                  <input type="checkbox" checked={!excluded.includes(o.id)} onChange={() => onToggleCounted(o.id)} />
+                  {t("offices.counts")}
+                </label>
+                <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => { const n = prompt(t("offices.askName"), o.name); if (n?.trim()) onUpdate(o.id, { name: n.trim() }); }}>{t("common.rename")}</button>
+                <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => { const s = prompt(t("offices.askShort"), officeShort(o)); if (s !== null) onUpdate(o.id, { short: s.trim().slice(0, 4) || undefined }); }}>{t("offices.shortCode")}</button>
+                <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => { if (confirm(t("offices.confirmRemove", { name: o.name }))) onRemove(o.id); }}>{t("common.remove")}</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+        <form className="flex flex-wrap items-center gap-2" onSubmit={add}>
+          <input className="border rounded-md p-2" placeholder={t("offices.namePlaceholder")} aria-label={t("offices.name")} value={name} onChange={e => setName(e.target.value)} />
+          <button className="px-3 py-2 rounded-md border hover:bg-white" type="submit">{t("offices.add")}</button>
+        </form>
+        <p className="text-xs text-gray-500">{t("offices.hint", { date: formatDate(policyStart) })}</p>
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,46 @@
+import React from "react";
+import { Panel } from "./ui.jsx";
+import { weekdayOrder } from "../lib/dates.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Suggests which open working days to go in to hit each window's requirement
+export default function PlannerPanel({ plan, preferredDays, weekStartsOn, onTogglePreferred, onApply, onClear }) {
+  const { t, formatDate, weekdayShort, windowLabel } = useI18n();
+  const suggestions = plan.flatMap(w => w.suggestions);
+  const unreachable = plan.filter(w => w.unreachable);
+  const plannedCount = plan.reduce((n, w) => n + w.planned, 0);
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">{t("planner.title")}</h2>
+          <div className="flex flex-wrap gap-2">
+            <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={suggestions.length === 0} onClick={() => onApply(suggestions)}>
+              {t("planner.apply", { count: suggestions.length })}
+            </button>
+            <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={plannedCount === 0} onClick={onClear}>{t("planner.clear")}</button>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="mr-1">{t("planner.prefer")}</span>
+          {weekdayOrder(weekStartsOn).map(wd => (
+            <label key={wd} className={`px-2 py-1 rounded-md border cursor-pointer select-none ${preferredDays.includes(wd) ? "bg-blue-50 border-blue-300" : "text-gray-500"}`}>
+              <input type="checkbox" className="sr-only" checked={preferredDays.includes(wd)} onChange={() => onTogglePreferred(wd)} />
+              {weekdayShort(wd)}
+            </label>
+          ))}
+        </div>
+        {unreachable.map(w => (
+          <div key={w.label} className="rounded-md border border-rose-200 bg-rose-50 text-rose-800 p-2">
+            {windowLabel(w.window)}: {t("planner.unreachable", { count: w.remaining, available: t("planner.workingDaysLeft", { count: w.available }) })}
+          </div>
+        ))}
+        {suggestions.length > 0 ? (
+          <p className="text-gray-600">{t("planner.suggested", { days: suggestions.map(iso => formatDate(iso, "EEE dd MMM")).join(", ") })}</p>
+        ) : (
+          <p className="text-gray-500">{plannedCount > 0 ? t("planner.covered", { count: plannedCount }) : t("planner.nothingLeft")}</p>
+        )}
+      </div>
+    </Panel>
+  );
+}
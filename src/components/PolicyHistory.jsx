@@ -0,0 +1,32 @@
+import React, { useState } from "react";
+import { useI18n } from "../lib/i18n.js";
+
+// Effective-dated policy entries; each applies from its start date until the next one
+export default function PolicyHistory({ timeline, offices, activeIndex, defaultStart, onAdd, onChangeStart, onRemove }) {
+  const { t, weekdayShort } = useI18n();
+  const [start, setStart] = useState("");
+  return (
+    <div className="grid gap-2 text-sm">
+      <div className="font-medium">{t("policyHistory.title")}</div>
+      <ul className="grid gap-1">
+        {timeline.map((e, i) => (
+          <li key={`${e.start}-${i}`} className={`flex flex-wrap items-center gap-2 ${i === activeIndex ? "font-medium" : "text-gray-600"}`}>
+            <span>{t("policyHistory.from")}</span>
+            <input className="border rounded-md p-1" type="date" value={e.start} onChange={ev => ev.target.value && onChangeStart(i, ev.target.value)} />
+            <span className="tabular-nums">{t("policyHistory.ratio", { days: e.daysPerWeek, count: e.workWeek.days.length })}</span>
+            <span>({e.workWeek.days.map(weekdayShort).join(", ") || t("policyHistory.noWorkingDays")})</span>
+            {e.excludedOffices?.length > 0 && <span>{t("policyHistory.notCounting", { names: e.excludedOffices.map(id => offices.get(id)?.name || id).join(", ") })}</span>}
+            {i === activeIndex && <span className="px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">{t("policyHistory.editing")}</span>}
+            {timeline.length > 1 && <button className="px-2 py-0.5 rounded-md border hover:bg-white" onClick={() => onRemove(i)}>{t("common.remove")}</button>}
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap items-center gap-2">
+        <span>{t("policyHistory.newFrom")}</span>
+        <input className="border rounded-md p-1" type="date" value={start || defaultStart} onChange={e => setStart(e.target.value)} />
+        <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={() => { onAdd(start || defaultStart); setStart(""); }}>{t("policyHistory.add")}</button>
+      </div>
+      <p className="text-xs text-gray-500">{t("policyHistory.hint")}</p>
+    </div>
+  );
+}
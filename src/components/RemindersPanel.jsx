@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+
+const supported = typeof Notification !== "undefined";
+
+// Opt-in local reminders for the active profile; the browser asks for permission first
+export default function RemindersPanel({ settings, profileName, onChange, onClose }) {
+  const { t } = useI18n();
+  const [permission, setPermission] = useState(supported ? Notification.permission : "unsupported");
+  const set = (patch) => onChange({ ...settings, ...patch });
+
+  const toggle = async (enabled) => {
+    if (!enabled) { set({ enabled }); return; }
+    const result = permission === "granted" ? "granted" : await Notification.requestPermission();
+    setPermission(result);
+    if (result === "granted") set({ enabled });
+  };
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{t("reminders.title")}</h2>
+          <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={settings.enabled} disabled={!supported || permission === "denied"} onChange={e => toggle(e.target.checked)} />
+          {t("reminders.enable", { name: profileName })}
+        </label>
+        {permission === "denied" && <p className="text-amber-800">{t("reminders.blocked")}</p>}
+        {!supported && <p className="text-amber-800">{t("reminders.unsupported")}</p>}
+        <div className="grid gap-2 ml-6">
+          <label className="inline-flex flex-wrap items-center gap-2">
+            <input type="checkbox" checked={settings.pace} disabled={!settings.enabled} onChange={e => set({ pace: e.target.checked })} />
+            {t("reminders.pace")}
+            <input className="border rounded-md p-1" type="time" value={settings.paceTime} disabled={!settings.enabled || !settings.pace} onChange={e => e.target.value && set({ paceTime: e.target.value })} />
+          </label>
+          <label className="inline-flex flex-wrap items-center gap-2">
+            <input type="checkbox" checked={settings.checkIn} disabled={!settings.enabled} onChange={e => set({ checkIn: e.target.checked })} />
+            {t("reminders.checkIn")}
+            <input className="border rounded-md p-1" type="time" value={settings.checkInTime} disabled={!settings.enabled || !settings.checkIn} onChange={e => e.target.value && set({ checkInTime: e.target.value })} />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">{t("reminders.hint")}</p>
+      </div>
+    </Panel>
+  );
+}
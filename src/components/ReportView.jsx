@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from "react";
+import { isSameMonth } from "date-fns";
+import { Panel } from "./ui.jsx";
+import TotalsExplanation from "./TotalsExplanation.jsx";
+import { fmt, buildCalendarWeeks, weekdayOrder } from "../lib/dates.js";
+import { DEFAULT_ROLLING_WEEKS } from "../lib/policy.js";
+import { STATUS_BY_ID } from "../lib/statuses.js";
+import { officeById } from "../lib/locations.js";
+import { REPORT_PERIODS, reportMonths, monthReport } from "../lib/report.js";
+import { useI18n } from "../lib/i18n.js";
+
+function policyText({ t, weekdayShort }, profile, policy) {
+  const mode = profile.policyMode || "monthly";
+  return t(`report.policy.${mode}`, {
+    days: policy.daysPerWeek,
+    count: policy.workWeek.days.length,
+    weekdays: policy.workWeek.days.map(weekdayShort).join(", ") || t("explanation.noDays"),
+    weeks: profile.rollingWeeks ?? DEFAULT_ROLLING_WEEKS,
+  });
+}
+
+function ReportMonth({ profile, report, newPage }) {
+  const i18n = useI18n();
+  const { t, formatDate, weekdayShort, statusLabel, statusShort, windowLabel } = i18n;
+  // Marks are text as well as colour so the calendar survives black-and-white printing
+  const dayMark = (d) => d.holiday ? t("calendar.markHoliday") : d.status ? statusShort(d.status) : "";
+  const { summary, policy, monthStart, monthEnd } = report;
+  const byIso = Object.fromEntries(report.days.map(d => [d.iso, d]));
+  const weeks = buildCalendarWeeks(monthStart, monthEnd, policy.workWeek.weekStartsOn);
+  const offices = officeById(profile);
+
+  return (
+    <section className={`grid gap-4 ${newPage ? "break-before-page" : ""}`}>
+      <div className="flex flex-wrap items-baseline justify-between gap-2 border-b pb-2">
+        <h2 className="text-xl font-semibold">{profile.name || profile.id} — {formatDate(monthStart, "LLLL yyyy")}</h2>
+        <span className="text-xs text-gray-500">{t("report.generated", { at: formatDate(new Date(), `${i18n.locale.dateFormat} HH:mm`) })}</span>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h3 className="font-medium mb-1">{t("report.policyApplied")}</h3>
+          <p>{policyText(i18n, profile, policy)}</p>
+          {profile.joinDate && <p className="text-gray-600">{t("report.joinDate", { date: formatDate(profile.joinDate) })}</p>}
+          {report.policyChanges.map(e => (
+            <p key={e.start} className="text-gray-600">{t("report.policyChange", { date: formatDate(e.start), days: e.daysPerWeek, count: e.workWeek.days.length })}</p>
+          ))}
+          {policy.excludedOffices?.length > 0 && <p className="text-gray-600">{t("report.excludedOffices", { names: policy.excludedOffices.map(id => offices.get(id)?.name || id).join(", ") })}</p>}
+          {report.rangeOutsideMonth && <p className="text-gray-600">{t("report.range", { from: formatDate(summary.range.start), to: formatDate(summary.range.end) })}</p>}
+        </div>
+        <div>
+          <h3 className="font-medium mb-1">{t("report.holidaysExcluded")}</h3>
+          {report.holidaysExcluded.length === 0 ? <p className="text-gray-600">{t("report.none")}</p> : (
+            <ul className="list-disc ml-5">
+              {report.holidaysExcluded.map(h => <li key={h.iso}><span className="tabular-nums">{formatDate(h.iso)}</span> {h.name}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <table className="text-sm w-full border-collapse">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-1 font-medium">{t("report.window")}</th>
+            <th className="py-1 font-medium text-right">{t("report.workingDays")}</th>
+            <th className="py-1 font-medium text-right">{t("report.required")}</th>
+            <th className="py-1 font-medium text-right">{t("report.completed")}</th>
+            <th className="py-1 font-medium text-right">{t("report.remaining")}</th>
+            <th className="py-1 font-medium text-right">{t("report.result")}</th>
+          </tr>
+        </thead>
+        <tbody className="tabular-nums">
+          {summary.windows.map(w => (
+            <tr key={w.label} className="border-b">
+              <td className="py-1">{windowLabel(w)}</td>
+              <td className="py-1 text-right">{w.workingDays}</td>
+              <td className="py-1 text-right">{w.required}</td>
+              <td className="py-1 text-right">{w.completed}</td>
+              <td className="py-1 text-right">{w.remaining}</td>
+              <td className="py-1 text-right">{t(`windows.status.${w.status}`)}</td>
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="py-1">{t("report.total")}</td>
+            <td className="py-1 text-right">{summary.workingDays}</td>
+            <td className="py-1 text-right">{summary.required}</td>
+            <td className="py-1 text-right">{summary.completed}</td>
+            <td className="py-1 text-right">{summary.remaining}</td>
+            <td className="py-1 text-right">{summary.pct}%</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div>
+        <div className="grid grid-cols-7 text-center text-xs font-medium text-gray-500 mb-1">
+          {weekdayOrder(policy.workWeek.weekStartsOn).map(wd => <div key={wd}>{weekdayShort(wd)}</div>)}
+        </div>
+        <div className="grid grid-cols-7 gap-1">
+          {weeks.flat().map(d => {
+            const day = byIso[fmt(d)];
+            if (!isSameMonth(d, monthStart)) return <div key={fmt(d)} />;
+            const tone = day.holiday ? "bg-rose-50" : day.status ? STATUS_BY_ID[day.status]?.swatch || "" : day.working ? "" : "bg-gray-100";
+            return (
+              <div key={fmt(d)} className={`border rounded h-12 p-1 text-left print-exact ${tone}`} title={day.holiday || (day.status ? statusLabel(day.status) : "")}>
+                <div className="text-xs font-medium">{formatDate(d, "d")}</div>
+                <div className="text-[10px] leading-none">{dayMark(day)}</div>
+              </div>
+            );
+          })}
+        </div>
+        <p className="mt-2 text-xs text-gray-600">
+          {Object.entries(report.statusCounts).map(([id, n]) => `${statusLabel(id)} (${statusShort(id)}): ${n}`).join(" · ") || t("report.noDaysMarked")} · {t("report.key", { mark: t("calendar.markHoliday") })}
+        </p>
+        {report.locations.length > 0 && (
+          <p className="mt-1 text-xs text-gray-600">
+            {t("report.byLocation")} {report.locations.map(r => t("report.locationCount", { name: r.id ? r.name : t("locations.unassigned"), days: r.days, counted: r.counted })).join(" · ")}
+          </p>
+        )}
+      </div>
+
+      <div className="text-xs text-gray-600 leading-5">
+        <TotalsExplanation workWeek={policy.workWeek} />
+      </div>
+    </section>
+  );
+}
+
+// Print-ready compliance report for the selected month or its quarter
+export default function ReportView({ profile, calendars, monthStart }) {
+  const { t, substituteName } = useI18n();
+  const [period, setPeriod] = useState("month");
+  const reports = useMemo(
+    () => reportMonths(period, monthStart).map(m => monthReport(profile, m, { calendars, substituteName })),
+    [period, monthStart, profile, calendars, substituteName],
+  );
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-6">
+        <div className="flex flex-wrap items-center gap-2 print:hidden">
+          {REPORT_PERIODS.map(p => (
+            <button key={p.id} className={`px-3 py-2 rounded-md border ${period === p.id ? "font-semibold border-blue-600" : ""}`} onClick={() => setPeriod(p.id)}>{t(`report.periods.${p.id}`)}</button>
+          ))}
+          <button className="px-3 py-2 rounded-md border hover:bg-white ml-auto" onClick={() => window.print()}>{t("report.print")}</button>
+        </div>
+        {reports.map((r, i) => <ReportMonth key={fmt(r.monthStart)} profile={profile} report={r} newPage={i > 0} />)}
+      </div>
+    </Panel>
+  );
+}
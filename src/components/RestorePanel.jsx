@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { RESTORE_ACTIONS, diffProfile, restoredProfiles } from "../lib/backup.js";
+import { describeError } from "../lib/schema.js";
+import { useI18n } from "../lib/i18n.js";
+
+const DIFF_KEYS = ["monthsAdded", "monthsRemoved", "daysAdded", "daysChanged", "daysRemoved"];
+
+function describe(t, diff) {
+  const parts = DIFF_KEYS.filter(k => diff[k]).map(k => t(`restore.${k}`, { count: diff[k] }));
+  return parts.length ? parts.join(", ") : t("restore.noChanges");
+}
+
+// Per-profile choice of replace / merge / keep both, with what each choice would change
+export default function RestorePanel({ backup, profiles, calendars, onApply, onCancel }) {
+  const { t, formatDate, locale } = useI18n();
+  const ids = Object.keys(backup.profiles);
+  const [actions, setActions] = useState(() => Object.fromEntries(ids.map(id => [id, profiles[id] ? "merge" : "replace"])));
+
+  const summary = (id) => {
+    const local = profiles[id];
+    const out = restoredProfiles(local, backup.profiles[id], actions[id], "copy", name => t("restore.copyName", { name: name || t("profiles.profile") }));
+    if (out.length === 0) return t("restore.nothingWritten");
+    if (!local) return t("restore.newProfile", { changes: describe(t, diffProfile(null, out[0])) });
+    if (actions[id] === "both") return t("restore.addedCopy", { changes: describe(t, diffProfile(null, out[1])) });
+    return describe(t, diffProfile(local, out[0]));
+  };
+
+  const calendarIds = Object.keys(backup.calendars);
+  const newCalendars = calendarIds.filter(id => !calendars[id]).length;
+  const newHolidays = calendarIds.reduce((n, id) => n + Object.keys(backup.calendars[id].holidays || {})
+    .filter(iso => !calendars[id]?.holidays?.[iso]).length, 0);
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <h2 className="text-lg font-semibold">{t("restore.title")}</h2>
+        {backup.exportedAt && <p className="text-gray-600">{t("restore.made", { at: formatDate(new Date(backup.exportedAt), `${locale.dateFormat} HH:mm`) })}</p>}
+        {backup.errors.length > 0 && (
+          <div className="text-amber-800">
+            <p>{t("restore.skipped")}</p>
+            <ul className="list-disc ml-5 text-xs">
+              {backup.errors.slice(0, 15).map((e, i) => <li key={i}>{describeError(e, t)}</li>)}
+              {backup.errors.length > 15 && <li>{t("restore.moreErrors", { count: backup.errors.length - 15 })}</li>}
+            </ul>
+          </div>
+        )}
+        <table className="text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-medium pr-3">{t("profiles.profile")}</th>
+              <th className="font-medium pr-3">{t("restore.action")}</th>
+              <th className="font-medium">{t("restore.changes")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ids.map(id => {
+              const local = profiles[id];
+              const choices = local ? RESTORE_ACTIONS : RESTORE_ACTIONS.filter(a => a.id === "replace" || a.id === "skip");
+              return (
+                <tr key={id} className="align-top">
+                  <td className="pr-3 py-1">{backup.profiles[id].name || id}{!local && <span className="text-gray-500"> {t("restore.new")}</span>}</td>
+                  <td className="pr-3 py-1">
+                    <select className="border rounded-md p-1" value={actions[id]} onChange={e => setActions(a => ({ ...a, [id]: e.target.value }))}>
+                      {choices.map(a => <option key={a.id} value={a.id}>{t(`restore.actions.${!local && a.id === "replace" ? "add" : a.id}`)}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1 text-gray-700">{summary(id)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {calendarIds.length > 0 && (
+          <p className="text-gray-700">{t("restore.calendars", { count: calendarIds.length, fresh: newCalendars, holidays: t("restore.holidaysAdded", { count: newHolidays }) })}</p>
+        )}
+        <p className="text-xs text-gray-500">{t("restore.hint")}</p>
+        <div className="flex flex-wrap gap-2">
+          <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={() => onApply(actions)}>{t("restore.restore")}</button>
+          <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onCancel}>{t("common.cancel")}</button>
+        </div>
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+
+// Options for a new share link: month range and optional passphrase
+export function ShareDialog({ defaultFrom, defaultTo, onCreate, onClose }) {
+  const { t } = useI18n();
+  const [from, setFrom] = useState(defaultFrom);
+  const [to, setTo] = useState(defaultTo);
+  const [passphrase, setPassphrase] = useState("");
+  const [link, setLink] = useState("");
+  const [busy, setBusy] = useState(false);
+  const reversed = from && to && from > to;
+
+  const create = async () => {
+    setBusy(true);
+    try {
+      const url = await onCreate({ from, to, passphrase });
+      setLink(url);
+      try { await navigator.clipboard.writeText(url); } catch { /* clipboard may be blocked; the link is shown below */ }
+    } catch (e) {
+      alert(t("share.createFailed", { message: e.message }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{t("share.title")}</h2>
+          <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="grid gap-1">{t("share.fromMonth")}<input className="border rounded-md p-2" type="month" value={from} onChange={e => setFrom(e.target.value)} /></label>
+          <label className="grid gap-1">{t("share.toMonth")}<input className="border rounded-md p-2" type="month" value={to} onChange={e => setTo(e.target.value)} /></label>
+          <label className="grid gap-1">{t("share.passphrase")}<input className="border rounded-md p-2" type="password" autoComplete="new-password" value={passphrase} onChange={e => setPassphrase(e.target.value)} /></label>
+          <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={busy || reversed} onClick={create}>{busy ? t("share.creating") : t("share.create")}</button>
+        </div>
+        {reversed && <p className="text-amber-800">{t("share.reversed")}</p>}
+        <p className="text-xs text-gray-500">{t("share.hint")}</p>
+        {link && (
+          <div className="grid gap-1">
+            <span className="text-gray-600">{t("share.copied", { count: link.length })}</span>
+            <input className="w-full border rounded-md p-2 font-mono text-xs" readOnly value={link} onFocus={e => e.target.select()} />
+          </div>
+        )}
+      </div>
+    </Panel>
+  );
+}
+
+// Shown before a shared profile is written to storage
+export function ShareImportPreview({ preview, existingName, onReplace, onCopy, onCancel }) {
+  const { t, formatDate } = useI18n();
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <h2 className="text-lg font-semibold">{t("share.importTitle")}</h2>
+        <ul className="list-disc ml-5 text-gray-700">
+          <li>{t("share.name")} <b>{preview.name}</b></li>
+          <li>{t("share.months", { count: preview.months })}{preview.months > 0 ? ` ${t("share.monthRange", { from: formatDate(`${preview.from}-01`, "LLL yyyy"), to: formatDate(`${preview.to}-01`, "LLL yyyy") })}` : ""}, {t("month.markedDays", { count: preview.markedDays })}</li>
+        </ul>
+        {existingName && (
+          <p className="rounded-md border border-amber-200 bg-amber-50 text-amber-900 p-2">
+            {t("share.existing", { name: existingName })}
+          </p>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onReplace}>{existingName ? t("share.update") : t("share.import")}</button>
+          {existingName && <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onCopy}>{t("share.importCopy")}</button>}
+          <button className="px-3 py-2 rounded-md border hover:bg-white" onClick={onCancel}>{t("common.cancel")}</button>
+        </div>
+      </div>
+    </Panel>
+  );
+}
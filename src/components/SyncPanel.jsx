@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { Panel } from "./ui.jsx";
+import { loadSyncSettings } from "../lib/sync.js";
+import { describeError } from "../lib/schema.js";
+import { useI18n } from "../lib/i18n.js";
+
+const DOT = { off: "bg-gray-300", idle: "bg-emerald-500", syncing: "bg-blue-500 animate-pulse", offline: "bg-amber-500", error: "bg-rose-500" };
+
+function statusLabel({ t, formatDate }, status) {
+  const pending = status.pending ? ` · ${t("sync.pending", { count: status.pending })}` : "";
+  switch (status.state) {
+    case "off": return t("sync.off");
+    case "syncing": return t("sync.syncing");
+    case "offline": return `${t("sync.offline")}${pending}`;
+    case "error": return `${t("sync.error")}${pending}`;
+    default: {
+      const skipped = status.skipped?.length ? ` · ${t("sync.skippedCount", { count: status.skipped.length })}` : "";
+      if (status.pending) return `${t("sync.pending", { count: status.pending })}${skipped}`;
+      return `${status.lastSync ? t("sync.synced", { time: formatDate(new Date(status.lastSync), "p") }) : t("sync.notYet")}${skipped}`;
+    }
+  }
+}
+
+// Header button: current sync state at a glance
+export function SyncStatusButton({ status, onClick }) {
+  const i18n = useI18n();
+  return (
+    <button className="px-3 py-2 rounded-md border hover:bg-white inline-flex items-center" onClick={onClick} title={status.message || i18n.t("sync.settings")}>
+      <span className={`w-2 h-2 rounded-full mr-2 ${DOT[status.state] || DOT.off}`} />
+      {statusLabel(i18n, status)}
+    </button>
+  );
+}
+
+export function SyncPanel({ status, onSave, onSyncNow, onClose }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [form, setForm] = useState(() => {
+    const { enabled, url, space, token } = loadSyncSettings();
+    return { enabled, url, space, token };
+  });
+  const set = (patch) => setForm(f => ({ ...f, ...patch }));
+  const ready = form.url.trim() && /^[A-Za-z0-9_-]{1,64}$/.test(form.space.trim());
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">{t("sync.title")}</h2>
+          <button className="px-2 py-1 rounded-md border hover:bg-white" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <p className="text-gray-600">{t("sync.intro")} <code>server/README.md</code></p>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="grid gap-1">{t("sync.url")}<input className="border rounded-md p-2 w-72" type="url" placeholder="https://sync.example.com" value={form.url} onChange={e => set({ url: e.target.value })} /></label>
+          <label className="grid gap-1">{t("sync.space")}<input className="border rounded-md p-2" placeholder="my-devices" value={form.space} onChange={e => set({ space: e.target.value })} /></label>
+          <label className="grid gap-1">{t("sync.token")}<input className="border rounded-md p-2" type="password" autoComplete="off" value={form.token} onChange={e => set({ token: e.target.value })} /></label>
+        </div>
+        <p className="text-xs text-gray-500">{t("sync.spaceHint")}</p>
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={form.enabled} disabled={!ready && !form.enabled} onChange={e => set({ enabled: e.target.checked })} />
+          {t("sync.enable")}
+        </label>
+        <div className="flex flex-wrap items-center gap-2">
+          <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={form.enabled && !ready} onClick={() => onSave(form)}>{t("common.save")}</button>
+          <button className="px-3 py-2 rounded-md border hover:bg-white disabled:opacity-50" disabled={status.state === "off" || status.state === "syncing"} onClick={onSyncNow}>{t("sync.now")}</button>
+          <span className="text-gray-600">{statusLabel(i18n, status)}{status.message ? ` — ${status.message}` : ""}</span>
+        </div>
+        {status.skipped?.length > 0 && (
+          <div className="text-amber-800">
+            <p>{t("sync.skipped")}</p>
+            <ul className="list-disc ml-5 text-xs">
+              {status.skipped.slice(0, 15).map((e, i) => <li key={i}>{describeError(e, t)}</li>)}
+              {status.skipped.length > 15 && <li>{t("sync.moreErrors", { count: status.skipped.length - 15 })}</li>}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from "react";
+import { Panel, Legend } from "./ui.jsx";
+import { fmt } from "../lib/dates.js";
+import { teamMonth } from "../lib/team.js";
+import { STATUS_BY_ID } from "../lib/statuses.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Profiles side by side for the selected month, to agree on common office days
+export default function TeamView({ profiles, calendars, monthStart }) {
+  const { t, formatDate, statusLabel, statusShort, substituteName } = useI18n();
+  const allIds = Object.keys(profiles);
+  const [hidden, setHidden] = useState([]);
+  const team = useMemo(() => {
+    const ids = Object.keys(profiles).filter(id => !hidden.includes(id));
+    return teamMonth(profiles, ids, monthStart, { calendars, substituteName });
+  }, [profiles, hidden, monthStart, calendars, substituteName]);
+  const { days, members, headcount, topDays } = team;
+
+  const cellClass = (c) => {
+    if (c.holiday) return "bg-rose-100";
+    if (c.inOffice) return "bg-emerald-300";
+    if (c.planned) return "bg-blue-100";
+    if (c.status) return STATUS_BY_ID[c.status]?.swatch || "";
+    return c.working ? "" : "bg-gray-100";
+  };
+  const cellMark = (c) => c.inOffice ? (c.status === "half" ? "½" : "●") : c.planned ? "○" : (c.status ? statusShort(c.status) : "");
+
+  return (
+    <Panel>
+      <div className="p-4 md:p-6 grid gap-3 text-sm">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">{t("team.title", { month: formatDate(monthStart, "LLLL yyyy") })}</h2>
+          <div className="flex flex-wrap gap-3">
+            {allIds.map(id => (
+              <label key={id} className="inline-flex items-center gap-1">
+                <input type="checkbox" checked={!hidden.includes(id)} onChange={() => setHidden(h => h.includes(id) ? h.filter(x => x !== id) : [...h, id])} />
+                {profiles[id].name || id}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="border-collapse text-xs">
+            <thead>
+              <tr>
+                <th className="text-left pr-3 font-medium">{t("team.name")}</th>
+                {days.map(d => (
+                  <th key={fmt(d)} className={`w-7 font-normal text-gray-500 ${topDays.has(fmt(d)) ? "bg-amber-100" : ""}`}>
+                    <div>{formatDate(d, "EEEEE")}</div>
+                    <div className="font-medium text-gray-700">{formatDate(d, "d")}</div>
+                  </th>
+                ))}
+                <th className="pl-3 font-medium">{t("team.compliance")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(m => (
+                <tr key={m.id}>
+                  <td className="pr-3 whitespace-nowrap">{m.name}</td>
+                  {days.map(d => {
+                    const c = m.cells[fmt(d)];
+                    return (
+                      <td key={fmt(d)} className={`w-7 h-7 text-center border ${cellClass(c)}`} title={`${m.name} · ${formatDate(d, "EEE dd MMM")}${c.holiday ? ` · ${c.holiday}` : c.status ? ` · ${statusLabel(c.status)}${c.office ? ` · ${c.office}` : ""}` : c.planned ? ` · ${t("calendar.planned")}` : ""}`}>
+                        {cellMark(c)}
+                      </td>
+                    );
+                  })}
+                  <td className="pl-3 tabular-nums whitespace-nowrap">{m.pct}% <span className="text-gray-500">({m.completed}/{m.required})</span></td>
+                </tr>
+              ))}
+              <tr>
+                <td className="pr-3 font-medium">{t("team.inOffice")}</td>
+                {days.map(d => {
+                  const h = headcount[fmt(d)];
+                  const apart = h.together < h.inOffice + h.planned ? ` · ${t("team.together", { count: h.together })}` : "";
+                  return (
+                    <td key={fmt(d)} className={`w-7 text-center tabular-nums font-medium ${topDays.has(fmt(d)) ? "bg-amber-100" : ""}`} title={`${t("team.headcount", { inOffice: h.inOffice, planned: h.planned })}${apart}`}>
+                      {h.inOffice + h.planned || ""}
+                    </td>
+                  );
+                })}
+                <td />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <div className="text-xs text-gray-500 flex flex-wrap gap-4">
+          <Legend swatchClass="bg-emerald-300" label={t("team.legendInOffice")}/>
+          <Legend swatchClass="bg-blue-100" label={t("team.legendPlanned")}/>
+          <Legend swatchClass="bg-rose-100" label={t("team.legendHoliday")}/>
+          <Legend swatchClass="bg-amber-100" label={t("team.legendOverlap")}/>
+        </div>
+      </div>
+    </Panel>
+  );
+}
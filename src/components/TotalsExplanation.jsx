@@ -0,0 +1,18 @@
+import React from "react";
+import { useI18n } from "../lib/i18n.js";
+
+const RULES = ["window", "working", "required", "changes", "completed", "reduces"];
+
+// The rules behind every total; shown under the month view and in the printed report
+export default function TotalsExplanation({ workWeek }) {
+  const { t, weekdayShort } = useI18n();
+  const vars = { days: workWeek.days.map(weekdayShort).join(", ") || t("explanation.noDays"), count: workWeek.days.length };
+  return (
+    <>
+      <h3 className="font-semibold text-gray-800 mb-2">{t("explanation.title")}</h3>
+      <ul className="list-disc ml-5">
+        {RULES.map(r => <li key={r}><b>{t(`explanation.${r}.term`)}</b> = {t(`explanation.${r}.text`, vars)}</li>)}
+      </ul>
+    </>
+  );
+}
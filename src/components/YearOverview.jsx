@@ -0,0 +1,100 @@
+import React, { useMemo } from "react";
+import { startOfWeek, differenceInCalendarDays } from "date-fns";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend as ChartLegend } from "recharts";
+import { Panel, Stat, Legend } from "./ui.jsx";
+import LocationBreakdown from "./LocationBreakdown.jsx";
+import { weekdayOrder } from "../lib/dates.js";
+import { yearSummary } from "../lib/yearStats.js";
+import { STATUS_BY_ID } from "../lib/statuses.js";
+import { useI18n } from "../lib/i18n.js";
+
+// Whole-year dashboard: heatmap, month-by-month chart, YTD totals, streaks and days per office
+export default function YearOverview({ profile, calendars, year, weekStartsOn, onSelectMonth }) {
+  const { t, formatDate, weekdayShort, statusLabel, substituteName } = useI18n();
+  const summary = useMemo(() => yearSummary(profile, year, { calendars, substituteName }), [profile, calendars, year, substituteName]);
+  const { ytd, streaks, cells } = summary;
+  const months = summary.months.map(m => ({ ...m, label: formatDate(new Date(year, m.month, 1), "LLL") }));
+  const ytdPct = ytd.required === 0 ? 100 : Math.min(100, Math.round((ytd.completed / ytd.required) * 100));
+
+  // Heatmap columns are weeks; leading blanks align Jan 1 to its weekday row
+  const offset = differenceInCalendarDays(cells[0].date, startOfWeek(cells[0].date, { weekStartsOn }));
+  const cellClass = (c) => {
+    if (c.holiday) return "bg-rose-200";
+    if (c.credit >= 1) return "bg-emerald-500";
+    if (c.credit > 0) return "bg-emerald-300";
+    if (c.status && STATUS_BY_ID[c.status]) return STATUS_BY_ID[c.status].swatch;
+    return c.working ? "bg-gray-200" : "bg-gray-50";
+  };
+
+  return (
+    <>
+      <div className="grid md:grid-cols-4 gap-4">
+        <Stat title={t("year.toDate")} value={`${ytd.completed} / ${ytd.required}`} sub={t("year.toDateSub", { pct: ytdPct })} />
+        <Stat title={t("year.monthsMet")} value={`${ytd.monthsMet} / ${ytd.monthsCounted}`} sub={t("year.monthsMetSub")} />
+        <Stat title={t("year.currentStreak")} value={streaks.current} sub={t("year.currentStreakSub")} />
+        <Stat title={t("year.longestStreak")} value={streaks.longest} sub={t("year.longestStreakSub", { year })} />
+      </div>
+
+      <Panel>
+        <div className="p-4 md:p-6">
+          <h2 className="text-lg font-semibold mb-3">{t("year.attendance", { year })}</h2>
+          <div className="flex gap-2 overflow-x-auto pb-2">
+            <div className="grid grid-rows-7 gap-[3px] text-[10px] text-gray-500 pr-1">
+              {weekdayOrder(weekStartsOn).map(wd => <div key={wd} className="h-3 leading-3">{weekdayShort(wd)}</div>)}
+            </div>
+            <div className="grid grid-rows-7 grid-flow-col gap-[3px]">
+              {[...Array(offset).keys()].map(i => <div key={`pad-${i}`} className="w-3 h-3" />)}
+              {cells.map(c => (
+                <div
+                  key={c.iso}
+                  className={`w-3 h-3 rounded-sm cursor-pointer ${cellClass(c)}`}
+                  title={`${formatDate(c.date, "EEE PP")}${c.holiday ? ` · ${c.holiday}` : c.status ? ` · ${statusLabel(c.status)}` : ""}`}
+                  onClick={() => onSelectMonth(c.date.getMonth())}
+                />
+              ))}
+            </div>
+          </div>
+          <div className="text-xs text-gray-500 mt-2 flex flex-wrap gap-4">
+            <Legend swatchClass="bg-emerald-500" label={t("year.legendAttended")}/>
+            <Legend swatchClass="bg-emerald-300" label={t("year.legendHalf")}/>
+            <Legend swatchClass="bg-rose-200" label={t("year.legendHoliday")}/>
+            <Legend swatchClass="bg-gray-200" label={t("year.legendNotAttended")}/>
+            <Legend swatchClass="bg-gray-50" label={t("year.legendNonWorking")}/>
+          </div>
+        </div>
+      </Panel>
+
+      <Panel>
+        <div className="p-4 md:p-6">
+          <h2 className="text-lg font-semibold mb-3">{t("year.chartTitle")}</h2>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={months} margin={{ left: 8, right: 8, top: 8, bottom: 8 }} onClick={(e) => { if (e?.activeTooltipIndex != null) onSelectMonth(Number(e.activeTooltipIndex)); }}>
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                <Tooltip />
+                <ChartLegend />
+                <Bar dataKey="required" name={t("year.required")} fill="#9ca3af" />
+                <Bar dataKey="completed" name={t("year.completed")} fill="#10b981" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="mt-3 grid grid-cols-6 md:grid-cols-12 gap-2 text-xs">
+            {months.map(m => (
+              <button
+                key={m.month}
+                className={`px-2 py-1 rounded-md border ${m.status === "met" ? "border-emerald-300" : m.status === "missed" ? "border-rose-300" : ""}`}
+                onClick={() => onSelectMonth(m.month)}
+                title={`${m.completed} / ${m.required} · ${t(`windows.status.${m.status}`)}`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </Panel>
+
+      {profile.offices?.length > 0 && <LocationBreakdown title={t("locations.year", { year })} rows={summary.locations} />}
+    </>
+  );
+}
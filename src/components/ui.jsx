@@ -0,0 +1,97 @@
+// --- Presentational primitives (no external UI libs) ---
+export function Panel({ children, className = "" }) {
+  return (
+    <div className={`border rounded-2xl bg-white shadow-sm ${className}`}>{children}</div>
+  );
+}
+
+export function Progress({ value, label = "Progress" }) {
+  const pct = Math.round(Math.max(0, Math.min(100, value)));
+  return (
+    <div className="w-full h-3 rounded-full bg-gray-200 overflow-hidden" role="progressbar" aria-label={label} aria-valuemin={0} aria-valuemax={100} aria-valuenow={pct} aria-valuetext={`${pct}%`}>
+      <div
+        className="h-full bg-emerald-500"
+        style={{ width: `${pct}%` }}
+      />
+    </div>
+  );
+}
+
+export function InlineIcon({ name, className = "" }) {
+  const common = { className };
+  if (name === "calendar") {
+    return (
+      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
+        <line x1="16" y1="2" x2="16" y2="6"/>
+        <line x1="8" y1="2" x2="8" y2="6"/>
+        <line x1="3" y1="10" x2="21" y2="10"/>
+      </svg>
+    );
+  }
+  if (name === "upload") {
+    return (
+      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+        <polyline points="17 8 12 3 7 8"/>
+        <line x1="12" y1="3" x2="12" y2="15"/>
+      </svg>
+    );
+  }
+  if (name === "download") {
+    return (
+      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+        <polyline points="7 10 12 15 17 10"/>
+        <line x1="12" y1="15" x2="12" y2="3"/>
+      </svg>
+    );
+  }
+  if (name === "link") {
+    return (
+      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M10 13a5 5 0 0 1 7 0l3 3a5 5 0 0 1-7 7l-1-1"/>
+        <path d="M14 11a5 5 0 0 1-7 0l-3-3a5 5 0 0 1 7-7l1 1"/>
+      </svg>
+    );
+  }
+  if (name === "refresh") {
+    return (
+      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <polyline points="23 4 23 10 17 10"/>
+        <polyline points="1 20 1 14 7 14"/>
+        <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10"/>
+        <path d="M20.49 15a9 9 0 0 1-14.85 3.36L1 14"/>
+      </svg>
+    );
+  }
+  if (name === "bell") {
+    return (
+      <svg {...common} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9"/>
+        <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
+      </svg>
+    );
+  }
+  return null;
+}
+
+// A live region, so screen readers hear the new figure when a day is marked
+export function Stat({ title, value, sub }) {
+  return (
+    <div className="border rounded-2xl bg-white shadow-sm p-4" role="status" aria-atomic="true">
+      <div className="text-sm text-gray-500">{title}</div>
+      <div className="text-3xl font-semibold tabular-nums">{value}</div>
+      <div className="text-xs text-gray-500 mt-1">{sub}</div>
+    </div>
+  );
+}
+
+export function Legend({ swatchClass, label }) {
+  return (
+    <span className="inline-flex items-center gap-2">
+      <span className={`w-3 h-3 rounded ${swatchClass} border`} aria-hidden="true"></span>
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,91 @@
+import { differenceInCalendarDays, parseISO } from "date-fns";
+
+// ---- Audit log ----
+// profile.audit is an append-only list of edits, oldest first:
+//   { id, at: ISO timestamp, action, date?: iso, month?: "yyyy-MM", from?, to?, location?, count?, via? }
+// actions: "status" (from/to status id or null, plus the office id when one was set),
+// "location" (from/to office id or null, the status unchanged), "planned" and "holiday"
+// (to = true when added), "holiday-off" (a built-in holiday switched off, to = true) and
+// "clear-month".
+// Entries are only ever added; merges (tabs, backups, sync) combine logs by id.
+export const AUDIT_ACTIONS = ["status", "location", "planned", "holiday", "holiday-off", "clear-month"];
+export const DEFAULT_LATE_MARK_DAYS = 7;
+
+const newId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+function listChanges(action, before = [], after = []) {
+  const out = [];
+  for (const iso of after) if (!before.includes(iso)) out.push({ action, date: iso, to: true });
+  for (const iso of before) if (!after.includes(iso)) out.push({ action, date: iso, to: false });
+  return out;
+}
+
+// Entries describing how a profile's days changed between two versions
+export function profileChanges(before, after) {
+  const out = [];
+  const months = new Set([...Object.keys(before?.months || {}), ...Object.keys(after?.months || {})]);
+  for (const key of [...months].sort()) {
+    const m0 = before?.months?.[key] || {};
+    const m1 = after?.months?.[key] || {};
+    if (m0 === m1) continue;
+    const d0 = m0.days || {};
+    const d1 = m1.days || {};
+    const l0 = m0.locations || {};
+    const l1 = m1.locations || {};
+    for (const iso of [...new Set([...Object.keys(d0), ...Object.keys(d1)])].sort()) {
+      if (d0[iso] !== d1[iso]) out.push({ action: "status", date: iso, from: d0[iso] ?? null, to: d1[iso] ?? null, ...(l1[iso] ? { location: l1[iso] } : {}) });
+      else if (d1[iso] && l0[iso] !== l1[iso]) out.push({ action: "location", date: iso, from: l0[iso] ?? null, to: l1[iso] ?? null });
+    }
+    out.push(...listChanges("planned", m0.planned, m1.planned), ...listChanges("holiday", m0.holidays, m1.holidays));
+  }
+  out.push(...listChanges("holiday-off", before?.disabledHolidays, after?.disabledHolidays));
+  return out;
+}
+
+export function appendAudit(profile, entries, { now = new Date(), via } = {}) {
+  if (!entries.length) return profile;
+  const at = now.toISOString();
+  const added = entries.map(e => ({ id: newId(), at, ...e, ...(via ? { via } : {}) }));
+  return { ...profile, audit: [...(profile.audit || []), ...added] };
+}
+
+// One-line description of an entry in the UI language, e.g. "In office → Working from home";
+// offices maps office ids to offices (see officeById)
+export function describeAudit(e, t, offices = new Map()) {
+  const statusName = (id) => id ? t(`statuses.${id}`) : t("audit.unmarked");
+  const officeName = (id) => id ? offices.get(id)?.name || id : t("calendar.noLocation");
+  if (e.action === "status") return `${statusName(e.from)} → ${statusName(e.to)}${e.location ? ` (${officeName(e.location)})` : ""}`;
+  if (e.action === "location") return t("audit.location", { from: officeName(e.from), to: officeName(e.to) });
+  if (e.action === "clear-month") return t("audit.clearMonth", { count: e.count ?? 0 });
+  return t(`audit.${e.action}.${e.to ? "on" : "off"}`);
+}
+
+// The "yyyy-MM" an entry belongs to; null when it has neither a date nor a month
+export const auditMonth = (e) => typeof e.month === "string" ? e.month : typeof e.date === "string" ? e.date.slice(0, 7) : null;
+
+// Days between the edited day and the edit; null for month-wide entries
+export const auditLag = (e) => e.date ? differenceInCalendarDays(parseISO(e.at), parseISO(e.date)) : null;
+
+// Union of two logs by id, in time order
+export function mergeAudit(a = [], b = []) {
+  const seen = new Set(a.map(e => e.id));
+  const extra = b.filter(e => !seen.has(e.id));
+  if (!extra.length) return a;
+  return [...a, ...extra].sort((x, y) => x.at.localeCompare(y.at));
+}
+
+// iso -> { at, lag } for days whose latest status was set more than `threshold` days after the day
+export function lateMarks(audit = [], threshold = DEFAULT_LATE_MARK_DAYS) {
+  const latest = new Map();
+  for (const e of audit) {
+    if (e.action === "status") latest.set(e.date, e);
+    else if (e.action === "clear-month") for (const iso of latest.keys()) if (iso.startsWith(e.month)) latest.delete(iso);
+  }
+  const out = new Map();
+  for (const [iso, e] of latest) {
+    if (!e.to) continue;
+    const lag = auditLag(e);
+    if (lag > threshold) out.set(iso, { at: e.at, lag });
+  }
+  return out;
+}
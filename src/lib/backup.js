@@ -0,0 +1,137 @@
+import { SCHEMA_VERSION, migrate, validateProfile, validateCalendar, checkImportedProfile, keyMismatchError, newerSchemaError, prefixErrors } from "./schema.js";
+import { normalizeProfile } from "./profile.js";
+import { mergeAudit } from "./audit.js";
+
+// ---- Workspace backup ----
+// A backup file is the storage envelope plus a marker:
+//   { kind: "officeTrackerBackup", schemaVersion, exportedAt, profiles, calendars }
+// Files from older versions that held a single profile are still accepted.
+export const BACKUP_KIND = "officeTrackerBackup";
+export const RESTORE_ACTIONS = [
+  { id: "merge", label: "Merge" },
+  { id: "replace", label: "Replace" },
+  { id: "both", label: "Keep both" },
+  { id: "skip", label: "Skip" },
+];
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export function buildBackup(profiles, calendars) {
+  return { kind: BACKUP_KIND, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), profiles, calendars };
+}
+
+// Returns { profiles, calendars, errors }; errors (see describeError) are prefixed with the profile
+// or calendar they belong to. A profile or calendar with errors is left out, so one bad entry doesn't block the rest.
+export function parseBackup(raw) {
+  if (!isObject(raw)) return { profiles: {}, calendars: {}, errors: [{ path: "backup", code: "object" }] };
+  if (raw.kind !== BACKUP_KIND) {
+    const { profile, errors } = checkImportedProfile(raw);
+    return { profiles: profile ? { [profile.id]: profile } : {}, calendars: {}, errors };
+  }
+  if (Number(raw.schemaVersion) > SCHEMA_VERSION) return { profiles: {}, calendars: {}, errors: [newerSchemaError(raw.schemaVersion)] };
+  let ws;
+  try { ws = migrate(raw); } catch { return { profiles: {}, calendars: {}, errors: [{ path: "schemaVersion", code: "upgrade" }] }; }
+  const errors = [];
+  if (!isObject(ws.profiles)) errors.push({ path: "profiles", code: "profiles" });
+  if (ws.calendars !== undefined && !isObject(ws.calendars)) errors.push({ path: "calendars", code: "calendars" });
+  if (errors.length) return { profiles: {}, calendars: {}, errors };
+  const profiles = {};
+  for (const [id, p] of Object.entries(ws.profiles)) {
+    const profile = normalizeProfile(p);
+    const label = `profiles.${isObject(p) && p.name ? p.name : id}`;
+    const found = prefixErrors(label, validateProfile(profile));
+    if (isObject(profile) && profile.id !== id) found.push(keyMismatchError(`${label}.id`, profile.id, id));
+    if (found.length) errors.push(...found); else profiles[id] = profile;
+  }
+  const calendars = {};
+  for (const [id, c] of Object.entries(ws.calendars || {})) {
+    const found = prefixErrors(`calendars.${isObject(c) && c.name ? c.name : id}`, validateCalendar(c));
+    if (found.length) errors.push(...found); else calendars[id] = c;
+  }
+  return { profiles, calendars, errors };
+}
+
+// ---- Merging ----
+// Day by day: the backup's status (with its location) wins where both sides marked the
+// same day, holiday and planned lists are combined.
+const union = (a = [], b = []) => [...new Set([...a, ...b])].sort();
+
+export function mergeMonth(local, incoming) {
+  if (!local) return incoming;
+  if (!incoming) return local;
+  const locations = Object.fromEntries(Object.entries(local.locations || {}).filter(([iso]) => !incoming.days?.[iso]));
+  return {
+    ...local, ...incoming,
+    holidays: union(local.holidays, incoming.holidays),
+    days: { ...local.days, ...incoming.days },
+    locations: { ...locations, ...incoming.locations },
+    planned: union(local.planned, incoming.planned),
+  };
+}
+
+// Offices are matched by id and the backup's version wins; offices only this browser has are
+// kept, since merged months can still have days marked there
+function mergeOffices(local = [], incoming = []) {
+  const ids = new Set(incoming.map(o => o.id));
+  return [...incoming, ...local.filter(o => !ids.has(o.id))];
+}
+
+// Settings come from the backup; subscriptions, offices, month data and audit logs are combined
+export function mergeProfile(local, incoming) {
+  const months = { ...local.months };
+  for (const [k, m] of Object.entries(incoming.months || {})) months[k] = mergeMonth(months[k], m);
+  return {
+    ...local, ...incoming,
+    calendarIds: union(local.calendarIds, incoming.calendarIds),
+    holidayPresets: union(local.holidayPresets, incoming.holidayPresets),
+    disabledHolidays: union(local.disabledHolidays, incoming.disabledHolidays),
+    offices: mergeOffices(local.offices, incoming.offices),
+    audit: mergeAudit(local.audit, incoming.audit),
+    months,
+  };
+}
+
+export function mergeCalendar(local, incoming) {
+  if (!local) return incoming;
+  return { ...local, ...incoming, holidays: { ...local.holidays, ...incoming.holidays } };
+}
+
+// ---- Diff summary ----
+// What writing `next` over `prev` would change in month data
+export function diffProfile(prev, next) {
+  const before = prev?.months || {};
+  const after = next?.months || {};
+  const diff = { monthsAdded: 0, monthsRemoved: 0, daysAdded: 0, daysChanged: 0, daysRemoved: 0 };
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!before[k]) diff.monthsAdded++;
+    else if (!after[k]) diff.monthsRemoved++;
+    const a = before[k]?.days || {};
+    const b = after[k]?.days || {};
+    for (const iso of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (!a[iso]) diff.daysAdded++;
+      else if (!b[iso]) diff.daysRemoved++;
+      else if (a[iso] !== b[iso]) diff.daysChanged++;
+    }
+  }
+  return diff;
+}
+
+// The profile(s) an action produces: [] for skip, two entries for keep-both. The copy is
+// named copyName(incoming.name), which the caller translates.
+export function restoredProfiles(local, incoming, action, newId, copyName) {
+  if (action === "skip") return [];
+  if (!local || action === "replace") return [incoming];
+  if (action === "merge") return [mergeProfile(local, incoming)];
+  return [local, { ...incoming, id: newId, name: copyName(incoming.name) }];
+}
+
+// Applies one action per backup profile; calendars are always merged by id
+export function applyRestore(workspace, backup, actions, makeId, copyName) {
+  const profiles = { ...workspace.profiles };
+  for (const [id, incoming] of Object.entries(backup.profiles)) {
+    for (const p of restoredProfiles(profiles[id], incoming, actions[id] || "merge", makeId(), copyName)) profiles[p.id] = p;
+  }
+  const calendars = { ...workspace.calendars };
+  for (const [id, c] of Object.entries(backup.calendars)) calendars[id] = mergeCalendar(calendars[id], c);
+  return { profiles, calendars };
+}
@@ -0,0 +1,36 @@
+import { eachDayOfInterval, startOfMonth, endOfMonth, subMonths, isBefore } from "date-fns";
+import { fmt, monthKey } from "./dates.js";
+
+// ---- Bulk calendar edits ----
+// Helpers return candidate days; the caller drops the ones that can't be marked
+// (non-working, holidays, before the join date) and applies the brush.
+export function daysBetween(a, b) {
+  return isBefore(b, a) ? eachDayOfInterval({ start: b, end: a }) : eachDayOfInterval({ start: a, end: b });
+}
+
+// Every day of the month falling on one of the weekdays (0 = Sunday)
+export function weekdaysInMonth(monthStart, weekdays) {
+  return eachDayOfInterval({ start: startOfMonth(monthStart), end: endOfMonth(monthStart) })
+    .filter(d => weekdays.includes(d.getDay()));
+}
+
+// 1 for the first Tuesday of a month, 2 for the second, …
+const nthOfWeekday = (d) => Math.floor((d.getDate() - 1) / 7) + 1;
+
+// Last month's statuses moved onto this month by weekday and occurrence: the 2nd Tuesday
+// of last month maps to the 2nd Tuesday of this one. Returns Map iso -> status id.
+export function lastMonthPattern(profile, monthStart) {
+  const prevStart = subMonths(startOfMonth(monthStart), 1);
+  const prevDays = profile.months?.[monthKey(prevStart)]?.days || {};
+  const slots = new Map();
+  for (const d of eachDayOfInterval({ start: prevStart, end: endOfMonth(prevStart) })) {
+    const status = prevDays[fmt(d)];
+    if (status) slots.set(`${d.getDay()}-${nthOfWeekday(d)}`, status);
+  }
+  const out = new Map();
+  for (const d of eachDayOfInterval({ start: startOfMonth(monthStart), end: endOfMonth(monthStart) })) {
+    const status = slots.get(`${d.getDay()}-${nthOfWeekday(d)}`);
+    if (status) out.set(fmt(d), status);
+  }
+  return out;
+}
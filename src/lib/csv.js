@@ -0,0 +1,214 @@
+import { parse, isValid, startOfMonth, endOfMonth, eachDayOfInterval, eachMonthOfInterval, isBefore } from "date-fns";
+import { fmt, safeParseDate } from "./dates.js";
+import { profileDaySets, windowStats } from "./policy.js";
+import { DEFAULT_STATUSES, DEFAULT_STATUS } from "./statuses.js";
+import { describeAudit, auditLag } from "./audit.js";
+import { officeById, withDay, keptLocation } from "./locations.js";
+import { EMPTY_MONTH } from "./profile.js";
+
+// ---- CSV ----
+// Plain RFC 4180 CSV, written with a BOM so Excel opens it as UTF-8.
+const BOM = "\uFEFF";
+
+// Cells starting with these would run as formulas in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  let s = v === null || v === undefined ? "" : String(v);
+  if (typeof v === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  return BOM + rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Delimiter is whichever of , ; or tab appears most in the first line (Excel in many
+// locales saves with ;). Returns an array of rows, each an array of strings.
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delim = [",", ";", "\t"].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === delim) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// ---- Export ----
+// Exports take the UI's i18n object ({ t, formatDate, statusLabel, substituteName }) so
+// headers, weekdays, statuses and yes/no cells come out in the chosen language.
+const headerRow = (t, ids) => ids.map(id => t(`csv.headers.${id}`));
+
+function monthsIn(from, to) {
+  return eachMonthOfInterval({ start: from, end: to });
+}
+
+// One row per profile per day between from and to (inclusive)
+export function dailyRows(profiles, ids, from, to, { calendars, i18n }) {
+  const { t, formatDate, statusLabel, substituteName } = i18n;
+  const yesNo = (b) => t(b ? "csv.yes" : "csv.no");
+  const years = [];
+  for (let y = from.getFullYear(); y <= to.getFullYear(); y++) years.push(y);
+  const rows = [headerRow(t, ["profile", "date", "weekday", "status", "location", "holiday", "holidayName", "working", "planned", "credit"])];
+  for (const id of ids) {
+    const p = profiles[id];
+    const daySets = profileDaySets(p, calendars, years, { substituteName });
+    const offices = officeById(p);
+    const join = safeParseDate(p.joinDate);
+    for (const d of eachDayOfInterval({ start: from, end: to })) {
+      const iso = fmt(d);
+      const status = daySets.statuses.get(iso);
+      const holiday = daySets.holidays.get(iso);
+      const working = !(join && isBefore(d, join)) && daySets.isWorking(d);
+      const location = status && daySets.locations.get(iso);
+      rows.push([p.name || id, iso, formatDate(d, "EEE"), status ? statusLabel(status) : "", location ? offices.get(location)?.name || "" : "", yesNo(holiday), holiday || "",
+        yesNo(working), yesNo(daySets.planned.has(iso)), daySets.credit(iso)]);
+    }
+  }
+  return rows;
+}
+
+// One row per profile per calendar month, counted like the year overview
+export function monthlyRows(profiles, ids, from, to, { calendars, i18n, today = new Date() }) {
+  const { t, formatDate } = i18n;
+  const years = [];
+  for (let y = from.getFullYear(); y <= to.getFullYear(); y++) years.push(y);
+  const rows = [headerRow(t, ["profile", "month", "workingDays", "required", "completed", "remaining", "status"])];
+  for (const id of ids) {
+    const p = profiles[id];
+    const daySets = profileDaySets(p, calendars, years);
+    for (const m of monthsIn(from, to)) {
+      // Partial first/last months only count the days inside the range
+      const start = isBefore(startOfMonth(m), from) ? from : startOfMonth(m);
+      const end = isBefore(to, endOfMonth(m)) ? to : endOfMonth(m);
+      const w = windowStats(p, { start, end }, daySets, today);
+      rows.push([p.name || id, formatDate(m, "yyyy-MM"), w.workingDays, w.required, w.completed, w.remaining, t(`windows.status.${w.status}`)]);
+    }
+  }
+  return rows;
+}
+
+// One row per audit entry about a day (or month) in the range, oldest first
+export function auditRows(profiles, ids, from, to, { i18n }) {
+  const { t } = i18n;
+  const [lo, hi] = [fmt(from), fmt(to)];
+  const rows = [headerRow(t, ["profile", "changedAt", "day", "change", "daysAfter", "source"])];
+  for (const id of ids) {
+    const p = profiles[id];
+    const offices = officeById(p);
+    for (const e of p.audit || []) {
+      const inRange = e.date ? e.date >= lo && e.date <= hi : e.month >= lo.slice(0, 7) && e.month <= hi.slice(0, 7);
+      if (inRange) rows.push([p.name || id, e.at, e.date || e.month, describeAudit(e, t, offices), auditLag(e) ?? "", t(`audit.via.${e.via || "app"}`)]);
+    }
+  }
+  return rows;
+}
+
+// ---- Import ----
+export const DATE_FORMATS = [
+  { id: "yyyy-MM-dd", label: "2025-03-31" },
+  { id: "dd/MM/yyyy", label: "31/03/2025" },
+  { id: "MM/dd/yyyy", label: "03/31/2025" },
+  { id: "dd.MM.yyyy", label: "31.03.2025" },
+];
+const TRUTHY = new Set(["x", "✓", "✔", "y", "yes", "true", "1"]);
+const FALSY = new Set(["", "n", "no", "false", "0", "-"]);
+
+export function parseCsvDate(value, dateFormat) {
+  const s = value.trim();
+  if (!s) return null;
+  // Spreadsheets often append a time; ISO dates are accepted whatever the chosen format
+  const iso = /^(\d{4}-\d{2}-\d{2})/.exec(s);
+  const d = iso ? parse(iso[1], "yyyy-MM-dd", new Date()) : parse(s.split(/[ T]/)[0], dateFormat, new Date());
+  return isValid(d) ? d : null;
+}
+
+// Matches a status id, label or short code, in English or the UI language (so exported
+// files read back in); a bare tick/yes/1 means the default status
+export function parseCsvStatus(value, { t, statusLabel, statusShort }) {
+  const s = value.trim().toLowerCase();
+  if (FALSY.has(s) || s === t("csv.no").toLowerCase()) return null;
+  const hit = DEFAULT_STATUSES.find(st => [st.id, st.label, st.short, statusLabel(st.id), statusShort(st.id)].some(x => x.toLowerCase() === s));
+  if (hit) return hit.id;
+  if (TRUTHY.has(s) || s === t("csv.yes").toLowerCase()) return DEFAULT_STATUS;
+  return undefined;
+}
+
+// Guess mapping from header names, including the headers of our own daily export;
+// columns are indexes, -1 = not used
+export function guessMapping(header, { t }) {
+  const find = (re, id) => header.findIndex(h => re.test(h.trim()) || h.trim().toLowerCase() === t(`csv.headers.${id}`).toLowerCase());
+  return {
+    date: find(/^(date|day|datum|fecha)$/i, "date"),
+    status: find(/^(status|attendance|office|in office|present)$/i, "status"),
+    holiday: find(/^(holiday|public holiday|bank holiday)$/i, "holiday"),
+    profile: find(/^(profile|name|employee)$/i, "profile"),
+  };
+}
+
+// Rows (without header) → { entries: [{ row, iso, status, holiday, profile }], errors: [{ row, message }] }
+// with messages in the UI language
+export function readCsvRows(rows, mapping, dateFormat, i18n) {
+  const { t } = i18n;
+  const yes = t("csv.yes").toLowerCase();
+  const entries = [];
+  const errors = [];
+  rows.forEach((r, i) => {
+    const row = i + 2; // 1-based, after the header line
+    const d = parseCsvDate(r[mapping.date] ?? "", dateFormat);
+    if (!d) { errors.push({ row, message: t("csv.badDate", { value: r[mapping.date] ?? "", format: dateFormat }) }); return; }
+    const status = mapping.status >= 0 ? parseCsvStatus(r[mapping.status] ?? "", i18n) : null;
+    if (status === undefined) { errors.push({ row, message: t("csv.unknownStatus", { value: r[mapping.status] }) }); return; }
+    const cell = (r[mapping.holiday] ?? "").trim().toLowerCase();
+    const holiday = mapping.holiday >= 0 && (TRUTHY.has(cell) || cell === yes);
+    const profile = mapping.profile >= 0 ? (r[mapping.profile] ?? "").trim() : "";
+    if (!status && !holiday) return;
+    entries.push({ row, iso: fmt(d), status, holiday, profile });
+  });
+  return { entries, errors };
+}
+
+// Sends entries to the profile named in the row (case-insensitive) or, without a
+// profile column, to fallbackId. Returns { byProfile: { id: entries }, unknown: [names] }.
+export function groupByProfile(entries, profiles, fallbackId) {
+  const byName = new Map(Object.values(profiles).map(p => [(p.name || p.id).toLowerCase(), p.id]));
+  const byProfile = {};
+  const unknown = new Set();
+  for (const e of entries) {
+    const id = e.profile ? byName.get(e.profile.toLowerCase()) : fallbackId;
+    if (!id) { unknown.add(e.profile); continue; }
+    (byProfile[id] ||= []).push(e);
+  }
+  return { byProfile, unknown: [...unknown] };
+}
+
+// Writes entries into profile.months; a status replaces whatever the day had, and the
+// day's location is only kept when the status stays the same
+export function applyCsvEntries(profile, entries) {
+  const months = { ...profile.months };
+  for (const e of entries) {
+    const key = e.iso.slice(0, 7);
+    const m = months[key] || EMPTY_MONTH;
+    months[key] = {
+      ...(e.status ? withDay(m, e.iso, e.status, keptLocation(m, e.iso, e.status)) : m),
+      holidays: e.holiday && !m.holidays.includes(e.iso) ? [...m.holidays, e.iso].sort() : m.holidays,
+    };
+  }
+  return { ...profile, months };
+}
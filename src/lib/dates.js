@@ -0,0 +1,40 @@
+import { format, parseISO, eachDayOfInterval, startOfWeek, endOfWeek } from "date-fns";
+
+// ---- Date helpers shared by the app and the policy engine ----
+export function fmt(d) { return format(d, "yyyy-MM-dd"); }
+export function monthKey(d) { return format(d, "yyyy-MM"); }
+
+export function safeParseDate(s) {
+  if (!s) return null;
+  if (s instanceof Date && !isNaN(s)) return s;
+  try {
+    const d = parseISO(String(s));
+    return isNaN(d) ? null : d;
+  } catch { return null; }
+}
+
+// ---- Work week ----
+// Weekdays use JS numbering (0 Sun .. 6 Sat), same as Date#getDay and date-fns weekStartsOn.
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const DEFAULT_WORK_WEEK = { days: [1, 2, 3, 4, 5], weekStartsOn: 1 };
+
+export function normalizeWorkWeek(ww) {
+  const days = Array.isArray(ww?.days) ? [...new Set(ww.days.map(Number))].filter(n => n >= 0 && n <= 6).sort((a, b) => a - b) : DEFAULT_WORK_WEEK.days;
+  const weekStartsOn = Number.isInteger(ww?.weekStartsOn) && ww.weekStartsOn >= 0 && ww.weekStartsOn <= 6 ? ww.weekStartsOn : DEFAULT_WORK_WEEK.weekStartsOn;
+  return { days, weekStartsOn };
+}
+export function isWorkday(d, workWeek = DEFAULT_WORK_WEEK) { return workWeek.days.includes(d.getDay()); }
+
+// Weekday numbers in grid order, starting from the configured first day of the week
+export function weekdayOrder(weekStartsOn = 1) {
+  return [...Array(7).keys()].map(i => (weekStartsOn + i) % 7);
+}
+
+export function buildCalendarWeeks(monthStart, monthEnd, weekStartsOn = 1) {
+  const first = startOfWeek(monthStart, { weekStartsOn });
+  const last = endOfWeek(monthEnd, { weekStartsOn });
+  const all = eachDayOfInterval({ start: first, end: last });
+  const out = [];
+  for (let i = 0; i < all.length; i += 7) out.push(all.slice(i, i+7));
+  return out;
+}
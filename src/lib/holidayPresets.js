@@ -0,0 +1,180 @@
+import { addDays, getDay, lastDayOfMonth } from "date-fns";
+import { fmt } from "./dates.js";
+
+// ---- Built-in public holiday presets ----
+// Everything is generated from rules, so any year works offline.
+// Rule types:
+//   fixed    { month, day }                 same date every year
+//   nth      { month, weekday, n }          n-th weekday of the month (n = -1 for the last one)
+//   onOrBefore { month, day, weekday }      last given weekday on or before a date (e.g. Victoria Day)
+//   easter   { offset }                     days relative to Western Easter Sunday
+// Optional `substitute` moves a holiday that falls on a weekend:
+//   "next"    to the next weekday that isn't already a holiday (UK/AU/CA style)
+//   "nearest" Saturday -> Friday, Sunday -> Monday (US federal style)
+// Months are 1-12, weekdays 0 Sun .. 6 Sat.
+export const HOLIDAY_PRESETS = {
+  "GB-ENG": {
+    name: "United Kingdom – England & Wales",
+    rules: [
+      { name: "New Year's Day", type: "fixed", month: 1, day: 1, substitute: "next" },
+      { name: "Good Friday", type: "easter", offset: -2 },
+      { name: "Easter Monday", type: "easter", offset: 1 },
+      { name: "Early May bank holiday", type: "nth", month: 5, weekday: 1, n: 1 },
+      { name: "Spring bank holiday", type: "nth", month: 5, weekday: 1, n: -1 },
+      { name: "Summer bank holiday", type: "nth", month: 8, weekday: 1, n: -1 },
+      { name: "Christmas Day", type: "fixed", month: 12, day: 25, substitute: "next" },
+      { name: "Boxing Day", type: "fixed", month: 12, day: 26, substitute: "next" },
+    ],
+  },
+  "GB-SCT": {
+    name: "United Kingdom – Scotland",
+    rules: [
+      { name: "New Year's Day", type: "fixed", month: 1, day: 1, substitute: "next" },
+      { name: "2nd January", type: "fixed", month: 1, day: 2, substitute: "next" },
+      { name: "Good Friday", type: "easter", offset: -2 },
+      { name: "Early May bank holiday", type: "nth", month: 5, weekday: 1, n: 1 },
+      { name: "Spring bank holiday", type: "nth", month: 5, weekday: 1, n: -1 },
+      { name: "Summer bank holiday", type: "nth", month: 8, weekday: 1, n: 1 },
+      { name: "St Andrew's Day", type: "fixed", month: 11, day: 30, substitute: "next" },
+      { name: "Christmas Day", type: "fixed", month: 12, day: 25, substitute: "next" },
+      { name: "Boxing Day", type: "fixed", month: 12, day: 26, substitute: "next" },
+    ],
+  },
+  US: {
+    name: "United States – Federal",
+    rules: [
+      { name: "New Year's Day", type: "fixed", month: 1, day: 1, substitute: "nearest" },
+      { name: "Martin Luther King Jr. Day", type: "nth", month: 1, weekday: 1, n: 3 },
+      { name: "Washington's Birthday", type: "nth", month: 2, weekday: 1, n: 3 },
+      { name: "Memorial Day", type: "nth", month: 5, weekday: 1, n: -1 },
+      { name: "Juneteenth", type: "fixed", month: 6, day: 19, substitute: "nearest" },
+      { name: "Independence Day", type: "fixed", month: 7, day: 4, substitute: "nearest" },
+      { name: "Labor Day", type: "nth", month: 9, weekday: 1, n: 1 },
+      { name: "Columbus Day", type: "nth", month: 10, weekday: 1, n: 2 },
+      { name: "Veterans Day", type: "fixed", month: 11, day: 11, substitute: "nearest" },
+      { name: "Thanksgiving Day", type: "nth", month: 11, weekday: 4, n: 4 },
+      { name: "Christmas Day", type: "fixed", month: 12, day: 25, substitute: "nearest" },
+    ],
+  },
+  CA: {
+    name: "Canada – Federal",
+    rules: [
+      { name: "New Year's Day", type: "fixed", month: 1, day: 1, substitute: "next" },
+      { name: "Good Friday", type: "easter", offset: -2 },
+      { name: "Victoria Day", type: "onOrBefore", month: 5, day: 24, weekday: 1 },
+      { name: "Canada Day", type: "fixed", month: 7, day: 1, substitute: "next" },
+      { name: "Labour Day", type: "nth", month: 9, weekday: 1, n: 1 },
+      { name: "Thanksgiving", type: "nth", month: 10, weekday: 1, n: 2 },
+      { name: "Christmas Day", type: "fixed", month: 12, day: 25, substitute: "next" },
+      { name: "Boxing Day", type: "fixed", month: 12, day: 26, substitute: "next" },
+    ],
+  },
+  AU: {
+    name: "Australia – National",
+    rules: [
+      { name: "New Year's Day", type: "fixed", month: 1, day: 1, substitute: "next" },
+      { name: "Australia Day", type: "fixed", month: 1, day: 26, substitute: "next" },
+      { name: "Good Friday", type: "easter", offset: -2 },
+      { name: "Easter Monday", type: "easter", offset: 1 },
+      { name: "Anzac Day", type: "fixed", month: 4, day: 25 },
+      { name: "Christmas Day", type: "fixed", month: 12, day: 25, substitute: "next" },
+      { name: "Boxing Day", type: "fixed", month: 12, day: 26, substitute: "next" },
+    ],
+  },
+  DE: {
+    name: "Germany – National",
+    rules: [
+      { name: "Neujahr", type: "fixed", month: 1, day: 1 },
+      { name: "Karfreitag", type: "easter", offset: -2 },
+      { name: "Ostermontag", type: "easter", offset: 1 },
+      { name: "Tag der Arbeit", type: "fixed", month: 5, day: 1 },
+      { name: "Christi Himmelfahrt", type: "easter", offset: 39 },
+      { name: "Pfingstmontag", type: "easter", offset: 50 },
+      { name: "Tag der Deutschen Einheit", type: "fixed", month: 10, day: 3 },
+      { name: "1. Weihnachtstag", type: "fixed", month: 12, day: 25 },
+      { name: "2. Weihnachtstag", type: "fixed", month: 12, day: 26 },
+    ],
+  },
+  FR: {
+    name: "France",
+    rules: [
+      { name: "Jour de l'an", type: "fixed", month: 1, day: 1 },
+      { name: "Lundi de Pâques", type: "easter", offset: 1 },
+      { name: "Fête du Travail", type: "fixed", month: 5, day: 1 },
+      { name: "Victoire 1945", type: "fixed", month: 5, day: 8 },
+      { name: "Ascension", type: "easter", offset: 39 },
+      { name: "Lundi de Pentecôte", type: "easter", offset: 50 },
+      { name: "Fête nationale", type: "fixed", month: 7, day: 14 },
+      { name: "Assomption", type: "fixed", month: 8, day: 15 },
+      { name: "Toussaint", type: "fixed", month: 11, day: 1 },
+      { name: "Armistice", type: "fixed", month: 11, day: 11 },
+      { name: "Noël", type: "fixed", month: 12, day: 25 },
+    ],
+  },
+};
+
+// Western (Gregorian) Easter Sunday, anonymous Gregorian algorithm
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+function ruleDate(rule, year) {
+  if (rule.type === "fixed") return new Date(year, rule.month - 1, rule.day);
+  if (rule.type === "easter") return addDays(easterSunday(year), rule.offset);
+  if (rule.type === "onOrBefore") {
+    const d = new Date(year, rule.month - 1, rule.day);
+    return addDays(d, -((getDay(d) - rule.weekday + 7) % 7));
+  }
+  if (rule.type === "nth") {
+    if (rule.n < 0) {
+      const last = lastDayOfMonth(new Date(year, rule.month - 1, 1));
+      return addDays(last, -((getDay(last) - rule.weekday + 7) % 7));
+    }
+    const first = new Date(year, rule.month - 1, 1);
+    return addDays(first, ((rule.weekday - getDay(first) + 7) % 7) + 7 * (rule.n - 1));
+  }
+  return null;
+}
+
+const isSatSun = (d) => getDay(d) === 0 || getDay(d) === 6;
+
+// Holidays of one preset for one year: [{ date: iso, name, presetId, substitute? }];
+// a substitute day keeps the holiday's own name and is flagged with substitute: true
+export function presetHolidays(presetId, year) {
+  const preset = HOLIDAY_PRESETS[presetId];
+  if (!preset) return [];
+  const base = preset.rules
+    .map(rule => ({ rule, date: ruleDate(rule, year) }))
+    .filter(x => x.date)
+    .sort((a, b) => a.date - b.date);
+  const taken = new Set(base.map(x => fmt(x.date)));
+  const out = [];
+  for (const { rule, date } of base) {
+    out.push({ date: fmt(date), name: rule.name, presetId });
+    if (!rule.substitute || !isSatSun(date)) continue;
+    let sub;
+    if (rule.substitute === "nearest") {
+      sub = addDays(date, getDay(date) === 6 ? -1 : 1);
+    } else {
+      sub = addDays(date, 1);
+      while (isSatSun(sub) || taken.has(fmt(sub))) sub = addDays(sub, 1);
+    }
+    taken.add(fmt(sub));
+    out.push({ date: fmt(sub), name: rule.name, presetId, substitute: true });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,128 @@
+import { addDays, addYears, isAfter, eachDayOfInterval } from "date-fns";
+import { fmt, safeParseDate } from "./dates.js";
+import { presetHolidays } from "./holidayPresets.js";
+
+// ---- Holiday calendars ----
+// Named calendars live next to profiles (not inside them) so one set of national
+// holidays can be shared by every profile that subscribes to it.
+// calendar = { id, name, holidays: { iso: holidayName } }
+export const DEFAULT_HOLIDAY_NAME = "Public holiday";
+
+// Years worth generating preset holidays for: every month with data plus this year
+export function profileYears(profile) {
+  const years = new Set([new Date().getFullYear()]);
+  for (const k of Object.keys(profile?.months || {})) years.add(Number(k.slice(0, 4)));
+  return [...years].filter(Number.isFinite);
+}
+
+// Preset-generated holidays for the given years, including ones the user switched off.
+// A holiday observed early can land in the year before (New Year's Day on a Saturday is
+// observed on 31 Dec), so each following year is generated too and filtered back.
+export function generatedHolidays(profile, years = profileYears(profile)) {
+  const disabled = new Set(profile?.disabledHolidays || []);
+  const wanted = new Set(years.map(String));
+  const out = [];
+  for (const presetId of profile?.holidayPresets || []) {
+    for (const y of new Set(years.flatMap(y => [y, y + 1]))) {
+      for (const h of presetHolidays(presetId, y)) if (wanted.has(h.date.slice(0, 4))) out.push({ ...h, disabled: disabled.has(h.date) });
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// All holidays that apply to a profile: built-in presets, its subscribed calendars
+// and the one-off dates typed into a single month. Returns Map iso -> name.
+// substituteName(name) names the weekday a weekend holiday is moved to; the UI passes a translated one.
+export function profileHolidays(profile, calendars = {}, years, { substituteName = (name) => name } = {}) {
+  const out = new Map();
+  for (const h of generatedHolidays(profile, years)) {
+    if (!h.disabled && !out.has(h.date)) out.set(h.date, h.substitute ? substituteName(h.name) : h.name);
+  }
+  for (const id of profile?.calendarIds || []) {
+    for (const [iso, name] of Object.entries(calendars[id]?.holidays || {})) out.set(iso, name);
+  }
+  for (const m of Object.values(profile?.months || {})) {
+    for (const iso of m.holidays || []) if (!out.has(iso)) out.set(iso, DEFAULT_HOLIDAY_NAME);
+  }
+  return out;
+}
+
+// "2025-12-25 Christmas Day" per line; bare dates may also be comma separated
+export function parseHolidayLines(text) {
+  const out = {};
+  for (const line of String(text || "").split(/\n/)) {
+    const m = /^\s*(\S+?)[\s,;]+(.*)$/.exec(line) || [null, line.trim(), ""];
+    const d = safeParseDate(m[1]);
+    if (!d) continue;
+    const rest = m[2].trim();
+    const more = rest.split(/[\s,;]+/).filter(Boolean);
+    if (more.length && more.every(t => safeParseDate(t))) {
+      out[fmt(d)] = DEFAULT_HOLIDAY_NAME;
+      for (const t of more) out[fmt(safeParseDate(t))] = DEFAULT_HOLIDAY_NAME;
+    } else {
+      out[fmt(d)] = rest || DEFAULT_HOLIDAY_NAME;
+    }
+  }
+  return out;
+}
+
+export function formatHolidayLines(holidays) {
+  return Object.keys(holidays || {}).sort().map(iso => `${iso} ${holidays[iso]}`).join("\n");
+}
+
+// ---- iCalendar (.ics) import ----
+// Reads all-day and timed VEVENTs; multi-day events expand to every day they cover
+// and simple FREQ=YEARLY rules repeat (capped so open-ended rules stay bounded).
+const MAX_EVENT_DAYS = 31;
+const MAX_YEARLY_REPEATS = 10;
+
+export function parseIcs(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const out = {};
+  let ev = null;
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase();
+    if (upper === "BEGIN:VEVENT") { ev = {}; continue; }
+    if (upper === "END:VEVENT") { if (ev) addIcsEvent(out, ev); ev = null; continue; }
+    if (!ev) continue;
+    const i = line.indexOf(":");
+    if (i < 0) continue;
+    const name = line.slice(0, i).split(";")[0].toUpperCase();
+    ev[name] = line.slice(i + 1).trim();
+  }
+  return out;
+}
+
+function icsDate(v) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(v || "");
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+function icsText(v) {
+  return String(v || "").replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+function addIcsEvent(out, ev) {
+  if ((ev.STATUS || "").toUpperCase() === "CANCELLED") return;
+  const start = icsDate(ev.DTSTART);
+  if (!start) return;
+  const allDay = !/T/.test(ev.DTSTART);
+  const rawEnd = icsDate(ev.DTEND);
+  // DTEND is exclusive for all-day events
+  let end = rawEnd && isAfter(rawEnd, start) ? (allDay ? addDays(rawEnd, -1) : rawEnd) : start;
+  if (isAfter(end, addDays(start, MAX_EVENT_DAYS - 1))) end = addDays(start, MAX_EVENT_DAYS - 1);
+  const name = icsText(ev.SUMMARY) || DEFAULT_HOLIDAY_NAME;
+
+  const rule = Object.fromEntries(String(ev.RRULE || "").split(";").filter(Boolean).map(p => p.split("=")));
+  let repeats = 1;
+  let until = null;
+  if ((rule.FREQ || "").toUpperCase() === "YEARLY") {
+    repeats = Math.min(MAX_YEARLY_REPEATS, Number(rule.COUNT) || MAX_YEARLY_REPEATS);
+    until = icsDate(rule.UNTIL);
+  }
+  for (let y = 0; y < repeats; y++) {
+    const s = addYears(start, y);
+    if (until && isAfter(s, until)) break;
+    for (const d of eachDayOfInterval({ start: s, end: addYears(end, y) })) out[fmt(d)] = name;
+  }
+}
@@ -0,0 +1,87 @@
+import { createContext, useContext } from "react";
+import { format, parse, parseISO, isValid, getWeek, getQuarter } from "date-fns";
+import { enGB, enUS, de, fr } from "date-fns/locale";
+import en from "./translations/en.js";
+import deMessages from "./translations/de.js";
+import frMessages from "./translations/fr.js";
+
+// ---- Localization ----
+// A locale picks the message catalogue, the date-fns locale for month and day names,
+// the short date format for showing and typing dates, and the first day of the week
+// offered to new profiles. It is a per-browser setting, like the sync settings.
+const SETTINGS_KEY = "officeTrackerLocale";
+const CATALOGUES = { en, de: deMessages, fr: frMessages };
+
+export const LOCALES = [
+  { id: "en", label: "English", lang: "en", dateLocale: enGB, dateFormat: "yyyy-MM-dd" },
+  { id: "en-US", label: "English (US)", lang: "en", dateLocale: enUS, dateFormat: "MM/dd/yyyy" },
+  { id: "de", label: "Deutsch", lang: "de", dateLocale: de, dateFormat: "dd.MM.yyyy" },
+  { id: "fr", label: "Français", lang: "fr", dateLocale: fr, dateFormat: "dd/MM/yyyy" },
+];
+export const DEFAULT_LOCALE = "en";
+const LOCALE_BY_ID = Object.fromEntries(LOCALES.map(l => [l.id, l]));
+
+// Saved choice, else the closest match to the browser language
+export function loadLocale() {
+  const saved = localStorage.getItem(SETTINGS_KEY);
+  if (LOCALE_BY_ID[saved]) return saved;
+  for (const tag of navigator.languages || [navigator.language]) {
+    if (LOCALE_BY_ID[tag]) return tag;
+    const lang = tag?.split("-")[0];
+    if (LOCALE_BY_ID[lang]) return lang;
+  }
+  return DEFAULT_LOCALE;
+}
+export function saveLocale(id) { localStorage.setItem(SETTINGS_KEY, id); }
+
+const lookup = (messages, key) => key.split(".").reduce((node, k) => node?.[k], messages);
+
+// t(key, vars): "{name}" placeholders are filled from vars; a message given as
+// { one, other, … } is picked with the locale's plural rules for vars.count.
+// Missing keys fall back to English, then to the key itself.
+function translator(locale) {
+  const messages = CATALOGUES[locale.lang];
+  const plurals = new Intl.PluralRules(locale.id);
+  return (key, vars = {}) => {
+    let msg = lookup(messages, key) ?? lookup(en, key) ?? key;
+    if (typeof msg === "object") msg = msg[plurals.select(vars.count ?? 0)] ?? msg.other;
+    return msg.replace(/\{(\w+)\}/g, (m, k) => k in vars ? String(vars[k]) : m);
+  };
+}
+
+export function makeI18n(id = DEFAULT_LOCALE) {
+  const locale = LOCALE_BY_ID[id] || LOCALE_BY_ID[DEFAULT_LOCALE];
+  const t = translator(locale);
+  const opts = { locale: locale.dateLocale };
+  const asDate = (d) => typeof d === "string" ? parseISO(d) : d;
+  const formatDate = (d, pattern = locale.dateFormat) => format(asDate(d), pattern, opts);
+  return {
+    locale, t, formatDate,
+    weekStartsOn: locale.dateLocale.options?.weekStartsOn ?? 1,
+    // ISO dates are always accepted; otherwise the locale's own format
+    parseDate: (s) => {
+      const text = String(s).trim();
+      const d = /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseISO(text) : parse(text, locale.dateFormat, new Date());
+      return isValid(d) ? d : null;
+    },
+    // 2024-01-07 was a Sunday, so day numbers match Date#getDay
+    weekdayShort: (wd) => format(new Date(2024, 0, 7 + wd), "EEE", opts),
+    weekdayLong: (wd) => format(new Date(2024, 0, 7 + wd), "EEEE", opts),
+    monthName: (m) => format(new Date(2024, m, 1), "LLLL", opts),
+    statusLabel: (id) => t(`statuses.${id}`),
+    statusShort: (id) => t(`statusShort.${id}`),
+    // Name for the weekday a weekend holiday is moved to (see presetHolidays)
+    substituteName: (name) => t("presets.substitute", { name }),
+    windowLabel: (w) => {
+      const wk = { weekStartsOn: w.weekStartsOn ?? 1 };
+      if (w.kind === "week") return t("windows.week", { n: getWeek(w.start, wk), from: formatDate(w.start, "dd MMM"), to: formatDate(w.end, "dd MMM") });
+      if (w.kind === "quarter") return t("windows.quarter", { n: getQuarter(w.start), year: formatDate(w.start, "yyyy") });
+      if (w.kind === "rolling") return t("windows.rolling", { count: w.weeks, end: formatDate(w.end, "dd MMM yyyy") });
+      if (w.kind === "month") return formatDate(w.start, "LLLL yyyy");
+      return w.label;
+    },
+  };
+}
+
+export const I18nContext = createContext(makeI18n());
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,80 @@
+import { format, addDays, eachDayOfInterval } from "date-fns";
+import { fmt } from "./dates.js";
+import { profileDaySets } from "./policy.js";
+import { statusRules, statusCredit } from "./statuses.js";
+
+// ---- iCalendar (.ics) export ----
+// One all-day event per marked day, planned day and (optionally) holiday in the range.
+// UIDs depend only on profile, date and kind, so importing a newer file into the same
+// calendar updates the existing events instead of adding duplicates.
+export const ICS_KINDS = ["attendance", "planned", "holidays"];
+const PRODID = "-//Office Attendance Tracker//EN";
+const UID_DOMAIN = "office-tracker";
+
+function escapeText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 §3.1)
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; size = 0; }
+    cur += ch; size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDay = (d) => format(d, "yyyyMMdd");
+
+function eventLines({ uid, date, summary, category, stamp }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDay(date)}`,
+    `DTEND;VALUE=DATE:${icsDay(addDays(date, 1))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `CATEGORIES:${escapeText(category)}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+// kinds: ids from ICS_KINDS. Summaries, categories and the calendar name are written in
+// the language of the UI's i18n object.
+export function buildIcs(profile, from, to, { calendars, i18n, kinds = ["attendance", "planned"], now = new Date() }) {
+  const { t, statusLabel, substituteName } = i18n;
+  const years = [];
+  for (let y = from.getFullYear(); y <= to.getFullYear(); y++) years.push(y);
+  const daySets = profileDaySets(profile, calendars, years, { substituteName });
+  const rules = statusRules(profile);
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const name = profile.name || profile.id;
+  const uid = (iso, kind) => `${profile.id}-${iso}-${kind}@${UID_DOMAIN}`;
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH", `X-WR-CALNAME:${escapeText(t("ics.calendarName", { name }))}`];
+  for (const d of eachDayOfInterval({ start: from, end: to })) {
+    const iso = fmt(d);
+    const status = daySets.statuses.get(iso);
+    if (kinds.includes("attendance") && status) {
+      // Only statuses the profile's rules credit are filed as attendance; leave, sick days etc. are not
+      const category = t(statusCredit(status, rules) > 0 ? "ics.categories.attendance" : "ics.categories.notAttended");
+      lines.push(...eventLines({ uid: uid(iso, "attendance"), date: d, summary: statusLabel(status), category, stamp }));
+    }
+    // A planned day that has since been marked is covered by its attendance event
+    if (kinds.includes("planned") && daySets.planned.has(iso) && !status) {
+      lines.push(...eventLines({ uid: uid(iso, "planned"), date: d, summary: t("ics.plannedDay"), category: t("ics.categories.planned"), stamp }));
+    }
+    if (kinds.includes("holidays") && daySets.holidays.has(iso)) {
+      lines.push(...eventLines({ uid: uid(iso, "holiday"), date: d, summary: daySets.holidays.get(iso), category: t("ics.categories.holiday"), stamp }));
+    }
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
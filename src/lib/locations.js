@@ -0,0 +1,41 @@
+import { eachDayOfInterval, isBefore } from "date-fns";
+import { fmt, safeParseDate } from "./dates.js";
+
+// ---- Office locations ----
+// profile.offices = [{ id, name, short? }]; each attended day may carry one in
+// months[key].locations. Which offices count is part of the policy (see policyTimeline).
+export const officeShort = (office) => office.short?.trim() || office.name.split(/\s+/).filter(Boolean).map(w => w[0]).join("").slice(0, 3).toUpperCase();
+
+export const officeById = (profile) => new Map((profile?.offices || []).map(o => [o.id, o]));
+
+// Month data with one day's status set (or cleared when status is null). The location
+// goes with the status, so changing or clearing a day never leaves a stale one behind.
+export function withDay(m, iso, status, location = null) {
+  const days = { ...m.days };
+  const locations = { ...m.locations };
+  if (status) days[iso] = status; else delete days[iso];
+  if (status && location) locations[iso] = location; else delete locations[iso];
+  return { ...m, days, locations };
+}
+
+// A day's current location, kept when it is re-marked with the same status
+export const keptLocation = (m, iso, status) => m.days?.[iso] === status ? m.locations?.[iso] ?? null : null;
+
+// Attended days between start and end per office, in profile order, with a null-id row for
+// days without a location. `days` is the status credit (a half day is 0.5); `counted` is what
+// went into "completed" after the policy's office exclusions. Offices never visited in the
+// range are listed with zeros so a quiet office still shows.
+export function locationBreakdown(profile, daySets, start, end) {
+  const join = safeParseDate(profile.joinDate);
+  const rows = new Map((profile.offices || []).map(o => [o.id, { id: o.id, name: o.name, short: officeShort(o), days: 0, counted: 0 }]));
+  const unassigned = { id: null, days: 0, counted: 0 };
+  for (const d of eachDayOfInterval({ start, end })) {
+    const iso = fmt(d);
+    const days = daySets.attendance(iso);
+    if (days === 0) continue;
+    const row = rows.get(daySets.locations.get(iso)) || unassigned;
+    row.days += days;
+    if (daySets.isWorking(d) && !(join && isBefore(d, join))) row.counted += daySets.credit(iso);
+  }
+  return unassigned.days > 0 ? [...rows.values(), unassigned] : [...rows.values()];
+}
@@ -0,0 +1,44 @@
+// ---- Three-way merge ----
+// rebase(base, next, target) replays the edits that turned `base` into `next` on top
+// of `target` (what another tab saved meanwhile). Objects merge key by key, so two
+// tabs editing different days of the same month both keep their edit; lists of plain
+// values (holidays, planned days, subscriptions) merge as sets, as do lists of objects
+// that all carry an id (audit log entries), whose entries present on both sides are
+// rebased field by field; anything else is taken from `next` when it was edited.
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isPlainList = (v) => Array.isArray(v) && v.every(x => x === null || typeof x !== "object");
+const isIdList = (v) => Array.isArray(v) && v.length > 0 && v.every(x => isObject(x) && typeof x.id === "string");
+
+export function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function rebase(base, next, target) {
+  if (sameValue(base, next)) return target;
+  if (target === undefined || sameValue(base, target)) return next;
+  if (isObject(next) && isObject(target)) {
+    const from = isObject(base) ? base : {};
+    const out = { ...target };
+    for (const k of new Set([...Object.keys(from), ...Object.keys(next)])) {
+      if (!(k in next)) delete out[k];
+      else out[k] = rebase(from[k], next[k], target[k]);
+    }
+    return out;
+  }
+  if (isPlainList(next) && isPlainList(target)) {
+    const from = isPlainList(base) ? base : [];
+    const removed = new Set(from.filter(x => !next.includes(x)));
+    const kept = target.filter(x => !removed.has(x));
+    return [...kept, ...next.filter(x => !from.includes(x) && !kept.includes(x))];
+  }
+  if (isIdList(next) && (isIdList(target) || (Array.isArray(target) && target.length === 0))) {
+    const from = new Map(Array.isArray(base) ? base.filter(isObject).map(x => [x.id, x]) : []);
+    const edited = new Map(next.map(x => [x.id, x]));
+    const have = new Set(target.map(x => x.id));
+    const kept = target
+      .filter(x => !from.has(x.id) || edited.has(x.id))
+      .map(x => edited.has(x.id) ? rebase(from.get(x.id), edited.get(x.id), x) : x);
+    return [...kept, ...next.filter(x => !from.has(x.id) && !have.has(x.id))];
+  }
+  return next;
+}
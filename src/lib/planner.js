@@ -0,0 +1,42 @@
+import { eachDayOfInterval, isAfter, startOfDay } from "date-fns";
+import { fmt } from "./dates.js";
+
+// ---- Attendance planner ----
+// Planned days live in months[key].planned, apart from recorded statuses, so a plan
+// never inflates "completed". Suggestions fill each window's shortfall with open
+// working days from today onwards, preferred weekdays first, earliest first.
+export function planWindows(summary, { preferredDays = [], today = new Date() } = {}) {
+  const { daySets } = summary;
+  const from = startOfDay(today);
+  const preferred = new Set(preferredDays);
+  return summary.windows.map(w => {
+    const start = isAfter(from, w.activeStart) ? from : w.activeStart;
+    const open = isAfter(start, w.end) ? [] : eachDayOfInterval({ start, end: w.end })
+      .filter(d => daySets.isWorking(d) && !daySets.statuses.has(fmt(d)));
+    const plannedOpen = open.filter(d => daySets.planned.has(fmt(d)));
+    const needed = Math.max(0, Math.ceil(w.remaining) - plannedOpen.length);
+    const suggestions = open
+      .filter(d => !daySets.planned.has(fmt(d)))
+      .sort((a, b) => (preferred.has(b.getDay()) - preferred.has(a.getDay())) || (a - b))
+      .slice(0, needed)
+      .map(fmt)
+      .sort();
+    return {
+      label: w.label,
+      window: w,
+      remaining: w.remaining,
+      available: open.length,
+      planned: plannedOpen.length,
+      suggestions,
+      // More office days still needed than working days left
+      unreachable: w.remaining > open.length,
+    };
+  });
+}
+
+// Group ISO dates by their "yyyy-MM" month key
+export function byMonth(isos) {
+  const out = {};
+  for (const iso of isos) (out[iso.slice(0, 7)] ||= []).push(iso);
+  return out;
+}
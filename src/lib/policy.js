@@ -0,0 +1,175 @@
+import {
+  format, startOfMonth, endOfMonth, startOfQuarter, endOfQuarter, startOfWeek, endOfWeek,
+  eachWeekOfInterval, eachDayOfInterval, getWeek, getQuarter, subWeeks, isAfter, isBefore,
+} from "date-fns";
+import { fmt, safeParseDate, normalizeWorkWeek, isWorkday } from "./dates.js";
+import { statusRules, statusCredit, statusReduces } from "./statuses.js";
+import { profileHolidays } from "./holidays.js";
+
+// ---- Attendance policy engine ----
+// A policy mode splits time into compliance windows. Each window gets its own
+// required total (ceil(ratio × working days)) and is met or missed on its own.
+export const POLICY_MODES = [
+  { id: "monthly", label: "Monthly" },
+  { id: "weekly", label: "Weekly" },
+  { id: "quarterly", label: "Quarterly" },
+  { id: "rolling", label: "Rolling N weeks" },
+];
+export const DEFAULT_ROLLING_WEEKS = 12;
+export const DEFAULT_DAYS_PER_WEEK = 3;
+
+// ---- Policy timeline ----
+// profile.policies = [{ start: iso, daysPerWeek, workWeek, excludedOffices? }], sorted by start.
+// Each entry is in force from its start date until the next one, so changing policy never
+// rewrites earlier months. Days before the first entry fall back to the first entry.
+// excludedOffices lists office ids whose days don't count toward "completed".
+export function policyTimeline(profile) {
+  const list = (profile?.policies || [])
+    .filter(e => safeParseDate(e?.start))
+    .map(e => ({
+      start: fmt(safeParseDate(e.start)), daysPerWeek: Number(e.daysPerWeek) || 0, workWeek: normalizeWorkWeek(e.workWeek),
+      ...(e.excludedOffices?.length ? { excludedOffices: [...e.excludedOffices] } : {}),
+    }));
+  if (list.length === 0) {
+    list.push({ start: profile?.joinDate || fmt(new Date()), daysPerWeek: Number(profile?.daysPerWeek ?? DEFAULT_DAYS_PER_WEEK), workWeek: normalizeWorkWeek(profile?.workWeek) });
+  }
+  return list.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+export function policyOn(timeline, d) {
+  const iso = typeof d === "string" ? d : fmt(d);
+  let cur = timeline[0];
+  for (const e of timeline) if (e.start <= iso) cur = e;
+  return cur;
+}
+
+// Days without a location (or before any offices were set up) always count
+export function officeCounts(timeline, iso, officeId) {
+  return !officeId || !policyOn(timeline, iso).excludedOffices?.includes(officeId);
+}
+
+// Windows that contain (or, for weekly mode, overlap) the selected month.
+// Weeks follow the profile's first day of the week. `label` is English; `kind` (plus
+// weekStartsOn / weeks) lets the UI build a translated one.
+export function policyWindows(mode, monthStart, { rollingWeeks = DEFAULT_ROLLING_WEEKS, weekStartsOn = 1 } = {}) {
+  const monthEnd = endOfMonth(monthStart);
+  const wk = { weekStartsOn };
+  if (mode === "weekly") {
+    return eachWeekOfInterval({ start: monthStart, end: monthEnd }, wk).map(w => ({
+      start: w,
+      end: endOfWeek(w, wk),
+      kind: "week",
+      weekStartsOn,
+      label: `Week ${getWeek(w, wk)} (${format(w, "dd MMM")} – ${format(endOfWeek(w, wk), "dd MMM")})`,
+    }));
+  }
+  if (mode === "quarterly") {
+    return [{ start: startOfQuarter(monthStart), end: endOfQuarter(monthStart), kind: "quarter", label: `Q${getQuarter(monthStart)} ${format(monthStart, "yyyy")}` }];
+  }
+  if (mode === "rolling") {
+    const weeks = Math.max(1, Math.floor(Number(rollingWeeks) || DEFAULT_ROLLING_WEEKS));
+    const end = endOfWeek(monthEnd, wk);
+    const start = startOfWeek(subWeeks(end, weeks - 1), wk);
+    return [{ start, end, kind: "rolling", weeks, label: `${weeks} weeks to ${format(end, "dd MMM yyyy")}` }];
+  }
+  return [{ start: startOfMonth(monthStart), end: monthEnd, kind: "month", label: format(monthStart, "MMMM yyyy") }];
+}
+
+// Flatten holidays (Map iso -> name), per-month day statuses and locations so windows can span
+// months. attendance(iso) is the status's own credit; credit(iso) is how much the day adds to
+// "completed", which is nothing at an office the policy excludes; excused(iso) drops a day
+// from the required base; isWorking(d) applies the work week of the policy in force that day.
+export function profileDaySets(profile, calendars, years, { substituteName } = {}) {
+  const holidays = profileHolidays(profile, calendars, years, { substituteName });
+  const statuses = new Map();
+  const locations = new Map();
+  const planned = new Set();
+  for (const m of Object.values(profile?.months || {})) {
+    for (const [iso, st] of Object.entries(m.days || {})) statuses.set(iso, st);
+    for (const [iso, office] of Object.entries(m.locations || {})) locations.set(iso, office);
+    for (const iso of m.planned || []) planned.add(iso);
+  }
+  const rules = statusRules(profile);
+  const timeline = policyTimeline(profile);
+  const excused = (iso) => statuses.has(iso) && statusReduces(statuses.get(iso), rules);
+  const attendance = (iso) => statuses.has(iso) ? statusCredit(statuses.get(iso), rules) : 0;
+  return {
+    holidays,
+    statuses,
+    locations,
+    planned,
+    timeline,
+    attendance,
+    credit: (iso) => officeCounts(timeline, iso, locations.get(iso)) ? attendance(iso) : 0,
+    excused,
+    isWorking: (d) => { const iso = fmt(d); return isWorkday(d, policyOn(timeline, iso).workWeek) && !holidays.has(iso) && !excused(iso); },
+    ratioOn: (d) => { const p = policyOn(timeline, d); return policyRatio(p.daysPerWeek, p.workWeek); },
+  };
+}
+
+export function windowStats(profile, window, daySets = profileDaySets(profile), today = new Date()) {
+  const join = safeParseDate(profile.joinDate);
+  const start = join && isAfter(join, window.start) ? join : window.start;
+  const days = isAfter(start, window.end) ? [] : eachDayOfInterval({ start, end: window.end });
+  const working = days.filter(d => daySets.isWorking(d));
+  // Each day contributes the ratio of the policy in force that day, so a mid-window change
+  // is prorated; rounding first keeps float noise (e.g. 12.000000001) from adding a day.
+  const requiredRaw = working.reduce((n, d) => n + daySets.ratioOn(d), 0);
+  const required = Math.ceil(Number(requiredRaw.toFixed(6)));
+  const completed = working.reduce((n, d) => n + daySets.credit(fmt(d)), 0);
+  const remaining = Math.max(0, required - completed);
+  const status = remaining === 0 ? "met" : isBefore(window.end, today) ? "missed" : "in progress";
+  return { ...window, activeStart: start, workingDays: working.length, requiredRaw, required, completed, remaining, status };
+}
+
+// Share of working days required, e.g. 3 of a 5-day week or 2 of a 4-day contract
+export function policyRatio(daysPerWeek, workWeek) {
+  return workWeek.days.length === 0 ? 0 : Math.min(1, Number(daysPerWeek) / workWeek.days.length);
+}
+
+// Stats for every window around the selected month plus their totals.
+// Surplus days in one window never make up for a shortfall in another.
+export function policySummary(profile, monthStart, { calendars, substituteName, today = new Date() } = {}) {
+  const { weekStartsOn } = policyOn(policyTimeline(profile), endOfMonth(monthStart)).workWeek;
+  const spans = policyWindows(profile.policyMode, monthStart, { rollingWeeks: profile.rollingWeeks, weekStartsOn });
+  const years = [];
+  for (let y = spans[0].start.getFullYear(); y <= spans[spans.length - 1].end.getFullYear(); y++) years.push(y);
+  const daySets = profileDaySets(profile, calendars, years, { substituteName });
+  const windows = spans.map(w => windowStats(profile, w, daySets, today));
+  const sum = (k) => windows.reduce((n, w) => n + w[k], 0);
+  const required = sum("required");
+  const remaining = sum("remaining");
+  return {
+    windows,
+    daySets,
+    range: { start: windows[0].start, end: windows[windows.length - 1].end },
+    workingDays: sum("workingDays"),
+    required,
+    completed: sum("completed"),
+    remaining,
+    pct: required === 0 ? 100 : Math.min(100, Math.round(((required - remaining) / required) * 100)),
+  };
+}
+
+// Cumulative target vs actual across the whole evaluated range; `date` is ISO.
+export function policyChartData(summary) {
+  const { daySets } = summary;
+  const points = [];
+  let cumulativeTarget = 0;
+  let cumulativeActual = 0;
+  let cumulativePlanned = 0; // planned days not yet marked, on top of actual
+  for (const w of summary.windows) {
+    // Scale each day's policy ratio so the line ends exactly on the rounded-up requirement
+    const scale = w.requiredRaw > 0 ? w.required / w.requiredRaw : 0;
+    for (const d of eachDayOfInterval({ start: w.start, end: w.end })) {
+      const key = fmt(d);
+      if (daySets.isWorking(d) && !isBefore(d, w.activeStart)) {
+        cumulativeTarget += daySets.ratioOn(d) * scale;
+        cumulativeActual += daySets.credit(key);
+        if (daySets.planned.has(key) && !daySets.statuses.has(key)) cumulativePlanned += 1;
+      }
+      points.push({ date: key, target: Number(cumulativeTarget.toFixed(2)), actual: cumulativeActual, planned: cumulativeActual + cumulativePlanned });
+    }
+  }
+  return points;
+}
@@ -0,0 +1,36 @@
+import { policyTimeline } from "./policy.js";
+
+// ---- Profile shape ----
+// months["yyyy-MM"] = { holidays: [iso...], days: { iso: statusId }, planned: [iso...], locations: { iso: officeId } }
+// policies = [{ start: iso, daysPerWeek, workWeek, excludedOffices? }] sorted by start date
+// offices = [{ id, name, short? }]; a location is only kept for days whose status counts as attendance
+// Older profiles stored attended days as a flat `attendance: [iso...]` array;
+// those are read as "office" days so existing data keeps loading. Older profiles
+// also had a single daysPerWeek/workWeek, which becomes the first policy entry.
+export const EMPTY_MONTH = { holidays: [], days: {}, planned: [], locations: {} };
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Only well-formed parts are reshaped; anything malformed is left as-is so
+// validation (see schema.js) can report it instead of it being silently dropped.
+export function normalizeMonth(m) {
+  if (!isObject(m)) return m;
+  const { attendance: _legacy, ...rest } = m;
+  const days = rest.days === undefined ? {} : isObject(rest.days) ? { ...rest.days } : rest.days;
+  if (Array.isArray(_legacy) && isObject(days)) for (const iso of _legacy) if (!days[iso]) days[iso] = "office";
+  return {
+    ...rest,
+    holidays: rest.holidays === undefined ? [] : rest.holidays,
+    days,
+    planned: rest.planned === undefined ? [] : rest.planned,
+    locations: rest.locations === undefined ? {} : rest.locations,
+  };
+}
+
+export function normalizeProfile(p) {
+  if (!isObject(p)) return p;
+  let months = p.months === undefined ? {} : p.months;
+  if (isObject(months)) months = Object.fromEntries(Object.entries(months).map(([k, m]) => [k, normalizeMonth(m)]));
+  const { daysPerWeek: _dpw, workWeek: _ww, ...rest } = p;
+  const policies = p.policies === undefined ? policyTimeline(p) : p.policies;
+  return { ...rest, policies, months };
+}
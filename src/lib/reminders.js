@@ -0,0 +1,63 @@
+import { startOfMonth, isBefore } from "date-fns";
+import { fmt, safeParseDate } from "./dates.js";
+import { policySummary, policyChartData } from "./policy.js";
+
+// ---- Local reminders (opt-in) ----
+// Checked by the open app while a tab or installed window is running; there is no push
+// server. Settings are per browser, like sync and locale. SHOWN_KEY records which
+// reminders already went out today so several open tabs don't repeat them.
+const SETTINGS_KEY = "officeTrackerReminders";
+const SHOWN_KEY = "officeTrackerRemindersShown";
+export const DEFAULT_REMINDERS = { enabled: false, pace: true, paceTime: "09:00", checkIn: true, checkInTime: "17:30" };
+export const REMINDER_KINDS = ["pace", "checkIn"];
+
+export function loadReminderSettings() {
+  try { return { ...DEFAULT_REMINDERS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) }; } catch { return DEFAULT_REMINDERS; }
+}
+export function saveReminderSettings(settings) { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }
+
+function loadShown() {
+  try { return JSON.parse(localStorage.getItem(SHOWN_KEY)) || {}; } catch { return {}; }
+}
+// Only today's record is kept
+export function markReminderShown(kind, now = new Date()) {
+  const today = fmt(now);
+  const shown = loadShown();
+  localStorage.setItem(SHOWN_KEY, JSON.stringify({ [today]: { ...(shown[today] || {}), [kind]: true } }));
+}
+
+const minutes = (hhmm) => { const [h, m] = String(hhmm).split(":").map(Number); return h * 60 + (m || 0); };
+
+// Today's state for the profile: whether it is a working day, its status and the pace
+// against the month's chart line. Behind means at least a whole day under the target.
+export function todayState(profile, now = new Date(), { calendars } = {}) {
+  const iso = fmt(now);
+  const summary = policySummary(profile, startOfMonth(now), { calendars, today: now });
+  const { daySets } = summary;
+  const join = safeParseDate(profile.joinDate);
+  const working = daySets.isWorking(now) && !(join && isBefore(now, join));
+  const point = policyChartData(summary).find(p => p.date === iso);
+  const gap = point ? point.target - point.actual : 0;
+  return { iso, working, status: daySets.statuses.get(iso) || null, behindBy: gap >= 1 ? Math.floor(gap) : 0 };
+}
+
+// Reminder kinds due now and not yet shown today
+export function dueReminders(settings, state, now = new Date()) {
+  if (!settings.enabled || !state.working) return [];
+  const shown = loadShown()[state.iso] || {};
+  const at = now.getHours() * 60 + now.getMinutes();
+  const due = [];
+  if (settings.pace && state.behindBy > 0 && !state.status && at >= minutes(settings.paceTime)) due.push("pace");
+  if (settings.checkIn && !state.status && at >= minutes(settings.checkInTime)) due.push("checkIn");
+  return due.filter(kind => !shown[kind]);
+}
+
+// Shown through the service worker when there is one, so taps and action buttons reach
+// public/sw.js even if this tab has closed; plain notifications call onClick instead.
+export async function showReminder(title, options, onClick) {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (reg) return reg.showNotification(title, options);
+  const { actions: _actions, ...plain } = options;
+  const n = new Notification(title, plain);
+  n.onclick = () => { window.focus(); n.close(); onClick?.(); };
+}
@@ -0,0 +1,52 @@
+import { startOfMonth, endOfMonth, startOfQuarter, addMonths, eachDayOfInterval, isAfter, isBefore } from "date-fns";
+import { fmt, isWorkday } from "./dates.js";
+import { policySummary, policyTimeline, policyOn } from "./policy.js";
+import { locationBreakdown } from "./locations.js";
+
+// ---- Compliance report ----
+// A report is one section per month. Each section comes from policySummary, the same
+// call the month view makes, so printed numbers always match the app.
+export const REPORT_PERIODS = [
+  { id: "month", label: "Month" },
+  { id: "quarter", label: "Quarter" },
+];
+
+export function reportMonths(period, monthStart) {
+  if (period !== "quarter") return [startOfMonth(monthStart)];
+  const q = startOfQuarter(monthStart);
+  return [0, 1, 2].map(i => addMonths(q, i));
+}
+
+export function monthReport(profile, monthStart, { calendars, substituteName, today = new Date() } = {}) {
+  const monthEnd = endOfMonth(monthStart);
+  const summary = policySummary(profile, monthStart, { calendars, substituteName, today });
+  const timeline = policyTimeline(profile);
+  const { start, end } = summary.range;
+  // Holidays that actually removed a working day somewhere in the evaluated range
+  const holidaysExcluded = eachDayOfInterval({ start, end })
+    .filter(d => summary.daySets.holidays.has(fmt(d)) && isWorkday(d, policyOn(timeline, d).workWeek))
+    .map(d => ({ iso: fmt(d), name: summary.daySets.holidays.get(fmt(d)) }));
+  const policyChanges = timeline.filter(e => e.start > fmt(start) && e.start <= fmt(end));
+  const days = eachDayOfInterval({ start: monthStart, end: monthEnd }).map(d => ({
+    date: d,
+    iso: fmt(d),
+    status: summary.daySets.statuses.get(fmt(d)),
+    holiday: summary.daySets.holidays.get(fmt(d)),
+    working: summary.daySets.isWorking(d),
+    future: isAfter(d, today),
+  }));
+  const statusCounts = {};
+  for (const d of days) if (d.status) statusCounts[d.status] = (statusCounts[d.status] || 0) + 1;
+  return {
+    monthStart,
+    monthEnd,
+    summary,
+    policy: policyOn(timeline, monthEnd),
+    policyChanges,
+    holidaysExcluded,
+    days,
+    statusCounts,
+    locations: profile.offices?.length ? locationBreakdown(profile, summary.daySets, monthStart, monthEnd) : [],
+    rangeOutsideMonth: isBefore(start, monthStart) || isAfter(end, monthEnd),
+  };
+}
@@ -0,0 +1,177 @@
+import { isValid, parseISO } from "date-fns";
+import { normalizeProfile } from "./profile.js";
+import { POLICY_MODES } from "./policy.js";
+import { STATUS_BY_ID, STATUS_EFFECTS } from "./statuses.js";
+import { HOLIDAY_PRESETS } from "./holidayPresets.js";
+import { AUDIT_ACTIONS } from "./audit.js";
+
+// ---- Storage schema ----
+// Stored data is an envelope { schemaVersion, profiles, calendars }.
+// Version history:
+//   1  bare { [id]: profile } under "officeTrackerProfiles_v2", calendars under their own key,
+//      months with `attendance` arrays and a single daysPerWeek/workWeek per profile
+//   2  versioned envelope; months use `days` status maps, profiles carry `policies`
+// To change the shape, bump SCHEMA_VERSION and add a MIGRATIONS entry that upgrades
+// the previous version; older data walks the chain one step at a time on load.
+export const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = {
+  1: (data) => ({
+    schemaVersion: 2,
+    profiles: Object.fromEntries(Object.entries(data.profiles || {}).map(([id, p]) => [id, normalizeProfile(p)])),
+    calendars: data.calendars || {},
+  }),
+};
+
+export function migrate(data) {
+  let cur = { ...data, schemaVersion: Number(data?.schemaVersion) || 1 };
+  if (cur.schemaVersion > SCHEMA_VERSION) throw new Error(`Data was saved by a newer version of the app (schema ${cur.schemaVersion}).`);
+  while (cur.schemaVersion < SCHEMA_VERSION) cur = MIGRATIONS[cur.schemaVersion](cur);
+  return cur;
+}
+
+// ---- Validation ----
+// Each check pushes { path, code, ...params } so users see exactly which fields are wrong;
+// describeError() words one in the UI language from the errors.<code> message.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_KEY = /^\d{4}-\d{2}$/;
+const isIsoDate = (v) => typeof v === "string" && ISO_DATE.test(v) && isValid(parseISO(v));
+const isWeekday = (v) => Number.isInteger(v) && v >= 0 && v <= 6;
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const err = (path, code, params) => ({ path, code, ...params });
+
+function checkDateList(errors, path, list, monthKey) {
+  if (list === undefined) return;
+  if (!Array.isArray(list)) { errors.push(err(path, "dateList")); return; }
+  list.forEach((iso, i) => {
+    if (!isIsoDate(iso)) errors.push(err(`${path}[${i}]`, "date", { value: iso }));
+    else if (monthKey && !iso.startsWith(monthKey)) errors.push(err(`${path}[${i}]`, "outsideMonth", { value: iso, month: monthKey }));
+  });
+}
+
+function checkWorkWeek(errors, path, ww) {
+  if (ww === undefined) return;
+  if (!isObject(ww)) { errors.push(err(path, "object")); return; }
+  if (!Array.isArray(ww.days) || !ww.days.every(isWeekday)) errors.push(err(`${path}.days`, "weekdays"));
+  if (ww.weekStartsOn !== undefined && !isWeekday(ww.weekStartsOn)) errors.push(err(`${path}.weekStartsOn`, "weekday"));
+}
+
+export function validateProfile(p) {
+  const errors = [];
+  if (!isObject(p)) return [err("profile", "object")];
+  if (typeof p.id !== "string" || !p.id.trim()) errors.push(err("id", "nonEmptyString"));
+  if (p.name !== undefined && typeof p.name !== "string") errors.push(err("name", "string"));
+  if (p.joinDate !== undefined && !isIsoDate(p.joinDate)) errors.push(err("joinDate", "date", { value: p.joinDate }));
+  if (p.policyMode !== undefined && !POLICY_MODES.some(m => m.id === p.policyMode)) errors.push(err("policyMode", "oneOf", { values: POLICY_MODES.map(m => m.id).join(", ") }));
+  if (p.rollingWeeks !== undefined && !(Number.isInteger(p.rollingWeeks) && p.rollingWeeks >= 1 && p.rollingWeeks <= 52)) errors.push(err("rollingWeeks", "wholeNumber", { min: 1, max: 52 }));
+
+  const officeIds = new Set();
+  if (p.offices !== undefined) {
+    if (!Array.isArray(p.offices)) errors.push(err("offices", "list"));
+    else p.offices.forEach((o, i) => {
+      if (!isObject(o) || typeof o.id !== "string" || !o.id.trim()) { errors.push(err(`offices[${i}]`, "officeId")); return; }
+      if (officeIds.has(o.id)) errors.push(err(`offices[${i}].id`, "duplicateId", { value: o.id }));
+      officeIds.add(o.id);
+      if (typeof o.name !== "string" || !o.name.trim()) errors.push(err(`offices[${i}].name`, "nonEmptyString"));
+      if (o.short !== undefined && typeof o.short !== "string") errors.push(err(`offices[${i}].short`, "string"));
+    });
+  }
+
+  if (!Array.isArray(p.policies) || p.policies.length === 0) errors.push(err("policies", "nonEmptyList"));
+  else p.policies.forEach((e, i) => {
+    const path = `policies[${i}]`;
+    if (!isObject(e)) { errors.push(err(path, "object")); return; }
+    if (!isIsoDate(e.start)) errors.push(err(`${path}.start`, "date", { value: e.start }));
+    if (typeof e.daysPerWeek !== "number" || e.daysPerWeek < 0 || e.daysPerWeek > 7) errors.push(err(`${path}.daysPerWeek`, "number", { min: 0, max: 7 }));
+    checkWorkWeek(errors, `${path}.workWeek`, e.workWeek);
+    if (e.excludedOffices !== undefined) {
+      if (!Array.isArray(e.excludedOffices)) errors.push(err(`${path}.excludedOffices`, "officeIds"));
+      else e.excludedOffices.forEach((id, j) => { if (!officeIds.has(id)) errors.push(err(`${path}.excludedOffices[${j}]`, "unknownOffice", { value: id })); });
+    }
+  });
+
+  if (p.calendarIds !== undefined && !(Array.isArray(p.calendarIds) && p.calendarIds.every(x => typeof x === "string"))) errors.push(err("calendarIds", "calendarIds"));
+  if (p.holidayPresets !== undefined) {
+    if (!Array.isArray(p.holidayPresets)) errors.push(err("holidayPresets", "list"));
+    else p.holidayPresets.forEach((id, i) => { if (!HOLIDAY_PRESETS[id]) errors.push(err(`holidayPresets[${i}]`, "unknownRegion", { value: id })); });
+  }
+  checkDateList(errors, "disabledHolidays", p.disabledHolidays);
+  if (p.preferredDays !== undefined && !(Array.isArray(p.preferredDays) && p.preferredDays.every(isWeekday))) errors.push(err("preferredDays", "weekdays"));
+  if (p.statusRules !== undefined) {
+    if (!isObject(p.statusRules)) errors.push(err("statusRules", "object"));
+    else for (const [id, effect] of Object.entries(p.statusRules)) {
+      if (!STATUS_BY_ID[id]) errors.push(err(`statusRules.${id}`, "unknownStatus", { value: id }));
+      else if (!STATUS_EFFECTS.some(e => e.id === effect)) errors.push(err(`statusRules.${id}`, "unknownRule", { value: effect }));
+    }
+  }
+  if (p.lateMarkDays !== undefined && !(Number.isInteger(p.lateMarkDays) && p.lateMarkDays >= 0 && p.lateMarkDays <= 365)) errors.push(err("lateMarkDays", "wholeNumber", { min: 0, max: 365 }));
+  if (p.audit !== undefined) {
+    if (!Array.isArray(p.audit)) errors.push(err("audit", "list"));
+    else p.audit.forEach((e, i) => {
+      if (!isObject(e) || typeof e.id !== "string" || typeof e.at !== "string" || Number.isNaN(Date.parse(e.at))) errors.push(err(`audit[${i}]`, "auditEntry"));
+      else if (!AUDIT_ACTIONS.includes(e.action)) errors.push(err(`audit[${i}].action`, "unknownAction", { value: e.action }));
+      else if (e.action === "clear-month" ? !(typeof e.month === "string" && MONTH_KEY.test(e.month)) : !isIsoDate(e.date)) {
+        errors.push(e.action === "clear-month" ? err(`audit[${i}].month`, "monthKey") : err(`audit[${i}].date`, "date", { value: e.date }));
+      }
+    });
+  }
+
+  if (!isObject(p.months)) errors.push(err("months", "months"));
+  else for (const [key, m] of Object.entries(p.months)) {
+    const path = `months.${key}`;
+    if (!MONTH_KEY.test(key)) { errors.push(err(path, "monthKey")); continue; }
+    if (!isObject(m)) { errors.push(err(path, "object")); continue; }
+    checkDateList(errors, `${path}.holidays`, m.holidays, key);
+    checkDateList(errors, `${path}.planned`, m.planned, key);
+    if (m.days !== undefined && !isObject(m.days)) errors.push(err(`${path}.days`, "days"));
+    else for (const [iso, st] of Object.entries(m.days || {})) {
+      if (!isIsoDate(iso) || !iso.startsWith(key)) errors.push(err(`${path}.days`, "dateInMonth", { value: iso, month: key }));
+      if (!STATUS_BY_ID[st]) errors.push(err(`${path}.days.${iso}`, "unknownStatus", { value: st }));
+    }
+    if (m.locations !== undefined && !isObject(m.locations)) errors.push(err(`${path}.locations`, "locations"));
+    else for (const [iso, id] of Object.entries(m.locations || {})) {
+      if (!isObject(m.days) || !m.days[iso]) errors.push(err(`${path}.locations.${iso}`, "noStatus"));
+      else if (!officeIds.has(id)) errors.push(err(`${path}.locations.${iso}`, "unknownOffice", { value: id }));
+    }
+  }
+  return errors;
+}
+
+export function validateCalendar(c) {
+  const errors = [];
+  if (!isObject(c)) return [err("calendar", "object")];
+  if (typeof c.id !== "string" || !c.id.trim()) errors.push(err("id", "nonEmptyString"));
+  if (c.name !== undefined && typeof c.name !== "string") errors.push(err("name", "string"));
+  if (!isObject(c.holidays)) errors.push(err("holidays", "holidays"));
+  else for (const [iso, name] of Object.entries(c.holidays)) {
+    if (!isIsoDate(iso)) errors.push(err("holidays", "date", { value: iso }));
+    else if (typeof name !== "string") errors.push(err(`holidays.${iso}`, "holidayName"));
+  }
+  return errors;
+}
+
+// Errors about an entry stored under `key` whose own id differs, and about data from a newer app
+export const keyMismatchError = (path, id, key) => err(path, "keyMismatch", { value: id, key });
+export const newerSchemaError = (version) => err("schemaVersion", "newerSchema", { value: version, max: SCHEMA_VERSION });
+
+// Places a nested entry's errors under its parent, e.g. "profiles.Alice" + "months" -> "profiles.Alice.months"
+export const prefixErrors = (prefix, errors) => errors.map(e => ({ ...e, path: `${prefix}.${e.path}` }));
+
+// Imported or shared profiles may come from any app version: migrate, then validate.
+// Returns { profile, errors }; the profile is only safe to store when errors is empty.
+export function checkImportedProfile(obj) {
+  if (!isObject(obj)) return { profile: null, errors: [err("profile", "object")] };
+  const { schemaVersion, ...raw } = obj;
+  if (Number(schemaVersion) > SCHEMA_VERSION) return { profile: null, errors: [newerSchemaError(schemaVersion)] };
+  const profile = normalizeProfile(raw);
+  return { profile, errors: validateProfile(profile) };
+}
+
+// "path: problem" in the UI language
+export const describeError = (e, t) => `${e.path}: ${t(`errors.${e.code}`, e)}`;
+
+export function formatErrors(title, errors, t, max = 15) {
+  const shown = errors.slice(0, max).map(e => `• ${describeError(e, t)}`);
+  if (errors.length > max) shown.push(t("errors.more", { count: errors.length - max }));
+  return `${title}\n${shown.join("\n")}`;
+}
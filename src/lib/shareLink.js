@@ -0,0 +1,100 @@
+import { auditMonth } from "./audit.js";
+
+// ---- Share links ----
+// A link carries one profile (optionally only a range of months) in the `share` URL param:
+//   "z.<data>"  deflate-compressed UTF-8 JSON
+//   "u.<data>"  uncompressed UTF-8 JSON (browsers without CompressionStream)
+//   "e.<data>"  salt(16) + iv(12) + AES-GCM ciphertext of the compressed JSON,
+//               key derived from a passphrase with PBKDF2-SHA-256
+// <data> is base64url, so the link survives any profile name (José, 山田, …).
+// Links made by older versions used `state` = btoa(JSON) and are still read.
+export const SHARE_PARAM = "share";
+export const LEGACY_SHARE_PARAM = "state";
+const PBKDF2_ITERATIONS = 250000;
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((s.length + 3) % 4);
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+async function pipe(bytes, stream) {
+  const res = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+const canCompress = () => typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+async function deriveKey(passphrase, salt) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+// Keep only months whose "yyyy-MM" key falls inside [from, to]; empty bounds are open
+export function profileForRange(profile, from, to) {
+  if (from && to && from > to) throw new Error(`the range starts (${from}) after it ends (${to})`);
+  const inRange = (k) => (!from || k >= from) && (!to || k <= to);
+  const months = Object.fromEntries(Object.entries(profile.months || {}).filter(([k]) => inRange(k)));
+  // Audit entries go along for the same months
+  const audit = (profile.audit || []).filter(e => { const k = auditMonth(e); return k && inRange(k); });
+  return { ...profile, months, audit };
+}
+
+export async function encodeShare(payload, passphrase) {
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  if (!canCompress() && !passphrase) return `u.${toBase64Url(json)}`;
+  const packed = canCompress() ? await pipe(json, new CompressionStream("deflate-raw")) : json;
+  if (!passphrase) return `z.${toBase64Url(packed)}`;
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  // Flag byte records whether the encrypted body is compressed
+  const body = new Uint8Array([canCompress() ? 1 : 0, ...packed]);
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, body));
+  return `e.${toBase64Url(new Uint8Array([...salt, ...iv, ...cipher]))}`;
+}
+
+export function isEncryptedShare(value) { return String(value).startsWith("e."); }
+
+// Throws on damaged links; a wrong passphrase fails AES-GCM authentication and throws too
+export async function decodeShare(value, passphrase) {
+  const [kind, data] = [value.slice(0, 2), value.slice(2)];
+  let bytes = fromBase64Url(data);
+  let compressed = kind === "z.";
+  if (kind === "e.") {
+    const key = await deriveKey(passphrase || "", bytes.slice(0, 16));
+    const plain = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: bytes.slice(16, 28) }, key, bytes.slice(28)));
+    compressed = plain[0] === 1;
+    bytes = plain.slice(1);
+  } else if (kind !== "z." && kind !== "u.") {
+    throw new Error("Unknown share link format");
+  }
+  if (compressed) bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Pre-Unicode links: btoa(JSON.stringify(profile)), URI-encoded
+export function decodeLegacyShare(value) {
+  return JSON.parse(atob(decodeURIComponent(value)));
+}
+
+// What a link contains, for the confirmation shown before anything is stored
+export function sharePreview(profile) {
+  const keys = Object.keys(profile.months || {}).sort();
+  const markedDays = keys.reduce((n, k) => n + Object.keys(profile.months[k]?.days || {}).length, 0);
+  return { name: profile.name || profile.id, months: keys.length, from: keys[0], to: keys[keys.length - 1], markedDays };
+}
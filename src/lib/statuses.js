@@ -0,0 +1,39 @@
+// ---- Day statuses ----
+// Every marked day carries one status. What a status does to the totals is a
+// per-profile rule, so "business travel counts" can differ between employers.
+export const STATUS_EFFECTS = [
+  { id: "attended", label: "Counts as attended", credit: 1 },
+  { id: "half", label: "Counts as half a day", credit: 0.5 },
+  { id: "reduce", label: "Reduces required days", credit: 0 },
+  { id: "none", label: "Not counted", credit: 0 },
+];
+
+// Class strings are spelled out so Tailwind keeps them in the build; `short` is the
+// text marker shown in cells so no status relies on colour alone
+export const DEFAULT_STATUSES = [
+  { id: "office", label: "In office", short: "✓", effect: "attended", cell: "bg-emerald-100 border-emerald-300", swatch: "bg-emerald-200" },
+  { id: "half", label: "Half office day", short: "½", effect: "half", cell: "bg-lime-50 border-lime-300", swatch: "bg-lime-200" },
+  { id: "travel", label: "Business travel", short: "BT", effect: "attended", cell: "bg-sky-100 border-sky-300", swatch: "bg-sky-200" },
+  { id: "client", label: "Client site", short: "CS", effect: "attended", cell: "bg-indigo-100 border-indigo-300", swatch: "bg-indigo-200" },
+  { id: "wfh", label: "Working from home", short: "WFH", effect: "none", cell: "bg-slate-100 border-slate-300", swatch: "bg-slate-200" },
+  { id: "leave", label: "Annual leave", short: "AL", effect: "reduce", cell: "bg-amber-100 border-amber-300", swatch: "bg-amber-200" },
+  { id: "sick", label: "Sick day", short: "SICK", effect: "reduce", cell: "bg-orange-100 border-orange-300", swatch: "bg-orange-200" },
+];
+export const STATUS_BY_ID = Object.fromEntries(DEFAULT_STATUSES.map(s => [s.id, s]));
+export const DEFAULT_STATUS = "office";
+
+// Effective rule for each status: profile overrides win over the defaults
+export function statusRules(profile) {
+  const overrides = profile?.statusRules || {};
+  const valid = new Set(STATUS_EFFECTS.map(e => e.id));
+  return Object.fromEntries(DEFAULT_STATUSES.map(s => [s.id, valid.has(overrides[s.id]) ? overrides[s.id] : s.effect]));
+}
+
+export function statusCredit(statusId, rules) {
+  const effect = rules[statusId];
+  return STATUS_EFFECTS.find(e => e.id === effect)?.credit ?? 0;
+}
+export function statusReduces(statusId, rules) { return rules[statusId] === "reduce"; }
+
+// Statuses that mean someone is physically at the office (for team headcounts)
+export const IN_OFFICE_STATUSES = new Set(["office", "half"]);
@@ -0,0 +1,242 @@
+import { SCHEMA_VERSION, migrate } from "./schema.js";
+import { rebase, sameValue } from "./merge.js";
+import { stampChanges } from "./syncMerge.js";
+
+// ---- Storage helpers ----
+// Everything is kept in one versioned envelope { schemaVersion, profiles, calendars },
+// stored in IndexedDB (localStorage when IndexedDB is unavailable, e.g. some private
+// windows). Earlier versions kept the envelope in localStorage, and before that used
+// separate unversioned keys read as schema 1; both are migrated on first load and the
+// old keys are left untouched as a fallback copy.
+//
+// Several tabs can be open at once. Each save replays this tab's edits on top of what
+// is stored (see merge.js) inside one transaction, then tells the other tabs, which
+// reload and merge in the same way, so edits to different days never overwrite each other.
+// Each save also records per-day change stamps in the envelope's `stamps` field, which
+// server sync (see sync.js) uses to settle conflicts between devices.
+export const STORAGE_KEY = "officeTrackerData";
+const LEGACY_PROFILES_KEY = "officeTrackerProfiles_v2";
+const LEGACY_CALENDARS_KEY = "officeTrackerCalendars_v1";
+const DB_NAME = "officeTracker";
+const DB_STORE = "workspace";
+const DB_RECORD = "current";
+const CHANNEL = "officeTracker";
+const PING_KEY = "officeTrackerChanged";
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+// Last envelope this tab read or wrote; edits are computed against it
+let base = { schemaVersion: SCHEMA_VERSION, profiles: {}, calendars: {} };
+// Stays false when stored data can't be read (e.g. saved by a newer version), so an
+// empty in-memory workspace never overwrites it.
+let writable = true;
+let backend = null;
+// Saves and remote reloads run one at a time, in order
+let queue = Promise.resolve();
+let channel = null;
+const remoteListeners = new Set();
+const saveListeners = new Set();
+const errorListeners = new Set();
+// What last went wrong: "load" | "save" | "reload", or null once a save succeeds again
+let failure = null;
+
+function setFailure(kind) {
+  failure = kind;
+  errorListeners.forEach(fn => fn(kind));
+}
+
+function readJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch { return null; }
+}
+
+function readLocalEnvelope() {
+  const stored = readJson(STORAGE_KEY);
+  return isObject(stored)
+    ? stored
+    : { schemaVersion: 1, profiles: readJson(LEGACY_PROFILES_KEY) || {}, calendars: readJson(LEGACY_CALENDARS_KEY) || {} };
+}
+
+// ---- Backends: read() and update(fn), where fn maps the stored value to the new one ----
+const localBackend = {
+  async read() { return readJson(STORAGE_KEY); },
+  async update(fn) {
+    const cur = readJson(STORAGE_KEY);
+    const next = fn(cur);
+    if (next !== cur) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    return next;
+  },
+};
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbBackend(db) {
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        const req = db.transaction(DB_STORE).objectStore(DB_STORE).get(DB_RECORD);
+        req.onsuccess = () => resolve(req.result ?? null);
+        req.onerror = () => reject(req.error);
+      });
+    },
+    // get and put share one readwrite transaction, so tabs can't interleave them
+    update(fn) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(DB_STORE, "readwrite");
+        const store = tx.objectStore(DB_STORE);
+        let next;
+        const req = store.get(DB_RECORD);
+        req.onsuccess = () => {
+          const cur = req.result ?? null;
+          next = fn(cur);
+          if (next !== cur) store.put(next, DB_RECORD);
+        };
+        tx.oncomplete = () => resolve(next);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+  };
+}
+
+async function pickBackend() {
+  if (typeof indexedDB === "undefined") return localBackend;
+  try { return idbBackend(await openDb()); } catch { return localBackend; }
+}
+
+function toWorkspace(env) {
+  return { profiles: isObject(env.profiles) ? env.profiles : {}, calendars: isObject(env.calendars) ? env.calendars : {} };
+}
+
+export async function loadWorkspace() {
+  backend = await pickBackend();
+  let stored = await backend.read();
+  if (!isObject(stored)) stored = readLocalEnvelope();
+  try {
+    const env = { schemaVersion: SCHEMA_VERSION, ...toWorkspace(migrate(stored)) };
+    writable = true;
+    // Another tab may have finished the same migration first; keep its copy then
+    base = await backend.update(cur => (isObject(cur) && cur.schemaVersion === SCHEMA_VERSION ? cur : env));
+  } catch {
+    setFailure("load");
+    base = { schemaVersion: SCHEMA_VERSION, profiles: {}, calendars: {} };
+    writable = false;
+  }
+  return toWorkspace(base);
+}
+
+// A channel object doesn't receive its own messages, so one per tab serves both directions
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== "undefined") channel = new BroadcastChannel(CHANNEL);
+  return channel;
+}
+
+function notifyOtherTabs() {
+  const ch = getChannel();
+  if (ch) ch.postMessage("changed");
+  else {
+    try { localStorage.setItem(PING_KEY, String(Date.now())); } catch { /* other tabs catch up on reload */ }
+  }
+}
+
+function adopt(stored) {
+  const prev = base;
+  base = stored;
+  remoteListeners.forEach(fn => fn(toWorkspace(stored), toWorkspace(prev)));
+}
+
+function commit(patch) {
+  queue = queue.then(async () => {
+    if (!writable || !backend) return;
+    const edited = { ...base, ...patch };
+    if (sameValue(base, edited)) return;
+    const prev = base;
+    const next = { ...edited, stamps: stampChanges(prev, edited, Date.now()) };
+    let changed = false;
+    base = await backend.update(cur => {
+      const merged = isObject(cur) ? rebase(prev, next, cur) : next;
+      changed = !sameValue(cur, merged);
+      return changed ? merged : cur;
+    });
+    if (changed) {
+      notifyOtherTabs();
+      saveListeners.forEach(fn => fn(toWorkspace(prev), toWorkspace(next)));
+    }
+    if (failure === "save") setFailure(null);
+  }).catch(() => setFailure("save"));
+  return queue;
+}
+
+export function saveProfiles(profiles) { return commit({ profiles }); }
+export function saveCalendars(calendars) { return commit({ calendars }); }
+
+// The stored envelope as this tab last saw it, stamps included
+export function storedSnapshot() {
+  return queue.then(() => base);
+}
+
+// Writes fn(stored envelope) without stamping it as a local edit (used for data
+// pulled from a sync server); this tab and the others are told as for remote saves.
+export function applyExternal(fn) {
+  const run = queue.then(async () => {
+    if (!writable || !backend) return;
+    let changed = false;
+    const stored = await backend.update(cur => {
+      const next = fn(isObject(cur) ? cur : base);
+      changed = !sameValue(cur, next);
+      return changed ? next : cur;
+    });
+    if (changed) {
+      notifyOtherTabs();
+      adopt(stored);
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Calls onSaved(previous, next) after each local edit is stored
+export function onSaved(fn) {
+  saveListeners.add(fn);
+  return () => saveListeners.delete(fn);
+}
+
+// Calls onError(kind) when stored data can't be loaded, saved or reloaded (see failure),
+// and onError(null) once saving works again; a failed load is reported straight away
+export function onStorageError(fn) {
+  errorListeners.add(fn);
+  if (failure) fn(failure);
+  return () => errorListeners.delete(fn);
+}
+
+// Calls onRemote(workspace, previous) when another tab saved or synced data arrived.
+// `previous` is what this tab last had in storage, so callers can rebase unsaved
+// edits onto `workspace`.
+export function subscribe(onRemote) {
+  const reload = () => {
+    queue = queue.then(async () => {
+      if (!writable || !backend) return;
+      const stored = await backend.read();
+      if (!isObject(stored) || stored.schemaVersion !== SCHEMA_VERSION || sameValue(stored, base)) return;
+      adopt(stored);
+    }).catch(() => setFailure("reload"));
+  };
+  remoteListeners.add(onRemote);
+  const ch = getChannel();
+  if (ch) ch.addEventListener("message", reload);
+  const onStorage = (e) => { if (e.key === PING_KEY || e.key === STORAGE_KEY) reload(); };
+  if (!ch) window.addEventListener("storage", onStorage);
+  return () => {
+    remoteListeners.delete(onRemote);
+    if (ch) ch.removeEventListener("message", reload);
+    else window.removeEventListener("storage", onStorage);
+  };
+}
@@ -0,0 +1,175 @@
+import { storedSnapshot, applyExternal, onSaved } from "./storage.js";
+import { sameValue } from "./merge.js";
+import { mergeStamped } from "./syncMerge.js";
+import { SCHEMA_VERSION, checkImportedProfile, validateCalendar, keyMismatchError, prefixErrors } from "./schema.js";
+
+// ---- Server sync (opt-in) ----
+// Pushes changed profiles and calendars to a self-hosted server and pulls everything
+// back; the protocol is documented in server/README.md. Local saves queue the ids they
+// touched in SETTINGS_KEY, so edits made offline are sent once the server is reachable.
+// Conflicts are settled per day by the change stamps storage.js records (syncMerge.js).
+const SETTINGS_KEY = "officeTrackerSync";
+const PUSH_DELAY_MS = 2000;
+const POLL_MS = 60000;
+const DEFAULT_SETTINGS = { enabled: false, url: "", space: "", token: "", lastSync: null, pending: { profiles: {}, calendars: {} } };
+
+let status = { state: "off", skipped: [] };
+let skipped = [];
+let statusListener = null;
+let running = false;
+let pushTimer = null;
+
+export function loadSyncSettings() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SETTINGS, ...s, pending: { ...DEFAULT_SETTINGS.pending, ...s?.pending } };
+  } catch { return DEFAULT_SETTINGS; }
+}
+
+function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+const pendingCount = (s) => Object.keys(s.pending.profiles).length + Object.keys(s.pending.calendars).length;
+
+// state: off | idle | syncing | offline | error; skipped lists the server entries the last
+// sync left out because they failed validation
+function setStatus(state, message) {
+  const s = loadSyncSettings();
+  status = s.enabled
+    ? { state, message, pending: pendingCount(s), lastSync: s.lastSync, skipped }
+    : { state: "off", pending: 0, lastSync: s.lastSync, skipped: [] };
+  statusListener?.(status);
+}
+
+function endpoint(s) {
+  return `${s.url.trim().replace(/\/+$/, "")}/api/spaces/${encodeURIComponent(s.space.trim())}/sync`;
+}
+
+function markPending(prev, next) {
+  const s = loadSyncSettings();
+  if (!s.enabled) return;
+  const now = Date.now();
+  for (const kind of ["profiles", "calendars"]) {
+    for (const id of new Set([...Object.keys(prev[kind]), ...Object.keys(next[kind])])) {
+      if (!sameValue(prev[kind][id], next[kind][id])) s.pending[kind][id] = now;
+    }
+  }
+  saveSettings(s);
+  setStatus(status.state === "syncing" ? "syncing" : "idle");
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(syncNow, PUSH_DELAY_MS);
+}
+
+// Only queued profiles and calendars are sent, each with its stamps
+function pendingChanges(env, pending) {
+  const pick = (kind) => Object.fromEntries(Object.keys(pending[kind]).filter(id => env[kind]?.[id]).map(id => [id, env[kind][id]]));
+  const pickStamps = (kind) => Object.fromEntries(Object.keys(pending[kind]).filter(id => env.stamps?.[kind]?.[id]).map(id => [id, env.stamps[kind][id]]));
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    profiles: pick("profiles"),
+    calendars: pick("calendars"),
+    stamps: { profiles: pickStamps("profiles"), calendars: pickStamps("calendars") },
+  };
+}
+
+// Server data is checked like an import; entries that fail validation are left out and
+// their errors returned in skipped, prefixed like parseBackup's
+function checkRemote(doc) {
+  if (doc === null || typeof doc !== "object") throw new Error("Server sent something that isn't a workspace");
+  if (Number(doc.schemaVersion) > SCHEMA_VERSION) throw new Error("Server data was saved by a newer version of the app");
+  const skipped = [];
+  const profiles = {};
+  for (const [id, p] of Object.entries(doc.profiles || {})) {
+    const { profile, errors } = checkImportedProfile(p);
+    const label = `profiles.${p?.name || id}`;
+    if (profile && profile.id !== id) errors.push(keyMismatchError("id", profile.id, id));
+    if (errors.length) skipped.push(...prefixErrors(label, errors));
+    else profiles[id] = profile;
+  }
+  const calendars = {};
+  for (const [id, c] of Object.entries(doc.calendars || {})) {
+    const errors = validateCalendar(c);
+    if (!errors.length && c.id !== id) errors.push(keyMismatchError("id", c.id, id));
+    if (errors.length) skipped.push(...prefixErrors(`calendars.${c?.name || id}`, errors));
+    else calendars[id] = c;
+  }
+  return { profiles, calendars, stamps: doc.stamps || {}, skipped };
+}
+
+export async function syncNow() {
+  const s = loadSyncSettings();
+  if (!s.enabled || !s.url.trim() || !s.space.trim() || running) return;
+  if (typeof navigator !== "undefined" && navigator.onLine === false) { setStatus("offline"); return; }
+  running = true;
+  setStatus("syncing");
+  const sentAt = Date.now();
+  try {
+    const env = await storedSnapshot();
+    const res = await fetch(endpoint(s), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(s.token ? { Authorization: `Bearer ${s.token}` } : {}) },
+      body: JSON.stringify(pendingChanges(env, s.pending)),
+    });
+    if (!res.ok) throw new Error(`Server answered ${res.status} ${res.statusText}`.trim());
+    const remote = checkRemote(await res.json());
+    await applyExternal(cur => mergeStamped(cur, remote));
+    // Entries queued while the request was in flight stay for the next round
+    const after = loadSyncSettings();
+    for (const kind of ["profiles", "calendars"]) {
+      for (const [id, at] of Object.entries(after.pending[kind])) if (at <= sentAt) delete after.pending[kind][id];
+    }
+    saveSettings({ ...after, lastSync: new Date().toISOString() });
+    skipped = remote.skipped;
+    setStatus("idle");
+  } catch (e) {
+    // fetch rejects with a TypeError when the server can't be reached
+    if (e instanceof TypeError) setStatus("offline");
+    else setStatus("error", e.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Turning sync on (or pointing it somewhere new) queues everything for the first push
+export async function configureSync(patch) {
+  const prev = loadSyncSettings();
+  const next = { ...prev, ...patch };
+  const target = (s) => `${s.url.trim()}|${s.space.trim()}`;
+  if (next.enabled && (!prev.enabled || target(prev) !== target(next))) {
+    const env = await storedSnapshot();
+    const now = Date.now();
+    next.pending = {
+      profiles: Object.fromEntries(Object.keys(env.profiles).map(id => [id, now])),
+      calendars: Object.fromEntries(Object.keys(env.calendars).map(id => [id, now])),
+    };
+    next.lastSync = null;
+  }
+  saveSettings(next);
+  setStatus("idle");
+  if (next.enabled) await syncNow();
+}
+
+// Starts queueing, polling and retrying; onStatus receives { state, message, pending, lastSync, skipped }
+export function startSync(onStatus) {
+  statusListener = onStatus;
+  setStatus("idle");
+  const offSaved = onSaved(markPending);
+  const online = () => syncNow();
+  const offline = () => setStatus("offline");
+  const visible = () => { if (document.visibilityState === "visible") syncNow(); };
+  window.addEventListener("online", online);
+  window.addEventListener("offline", offline);
+  document.addEventListener("visibilitychange", visible);
+  const poll = setInterval(syncNow, POLL_MS);
+  syncNow();
+  return () => {
+    offSaved();
+    window.removeEventListener("online", online);
+    window.removeEventListener("offline", offline);
+    document.removeEventListener("visibilitychange", visible);
+    clearInterval(poll);
+    clearTimeout(pushTimer);
+    statusListener = null;
+  };
+}
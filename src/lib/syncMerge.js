@@ -0,0 +1,145 @@
+import { mergeAudit } from "./audit.js";
+
+// ---- Change stamps and sync merge ----
+// Shared by the app and the reference sync server (server/sync-server.js), so it
+// must not touch browser APIs.
+//
+// Every local save records when each part of the data last changed, in
+//   stamps = {
+//     profiles:  { [id]: { settings: ms, days: { iso: ms }, deleted?: ms } },
+//     calendars: { [id]: { updated: ms, deleted?: ms } },
+//   }
+// A "day" is its status and location plus whether it is a month holiday or planned,
+// so those travel together. "settings" is everything in a profile except months and the audit
+// log; logs are append-only and always combined, so they need no stamps.
+// Two copies merge by keeping, for each day, settings block and calendar, the side
+// with the newer stamp; data from before stamps existed counts as 0, and equal
+// stamps fall back to comparing content so both sides pick the same winner.
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+const keys = (...objs) => [...new Set(objs.flatMap(o => (isObject(o) ? Object.keys(o) : [])))];
+
+function settingsOf(p) {
+  const { months: _months, audit: _audit, ...rest } = p || {};
+  return rest;
+}
+
+function monthIsos(m) {
+  if (!isObject(m)) return [];
+  return [...new Set([...Object.keys(m.days || {}), ...(m.holidays || []), ...(m.planned || [])])];
+}
+
+function dayState(p, iso) {
+  const m = p?.months?.[iso.slice(0, 7)];
+  return { status: m?.days?.[iso] ?? null, location: m?.locations?.[iso] ?? null, holiday: !!m?.holidays?.includes(iso), planned: !!m?.planned?.includes(iso) };
+}
+
+function latest(x = {}, y = {}) {
+  const out = { ...x };
+  for (const [k, t] of Object.entries(y)) out[k] = Math.max(out[k] || 0, t);
+  return out;
+}
+
+// Newer stamp wins; ties go to the larger content so every device agrees
+function pick(ta, tb, va, vb) {
+  if ((ta || 0) !== (tb || 0)) return (tb || 0) > (ta || 0) ? "b" : "a";
+  return JSON.stringify(vb ?? null) > JSON.stringify(va ?? null) ? "b" : "a";
+}
+
+// Stamps for the edits that turn workspace `prev` into `next`, made at `now`
+export function stampChanges(prev, next, now) {
+  const stamps = { profiles: { ...prev.stamps?.profiles }, calendars: { ...prev.stamps?.calendars } };
+  for (const id of keys(prev.profiles, next.profiles)) {
+    const p0 = prev.profiles?.[id];
+    const p1 = next.profiles?.[id];
+    if (same(p0, p1)) continue;
+    const s = { ...stamps.profiles[id], days: { ...stamps.profiles[id]?.days } };
+    if (!p1) s.deleted = now;
+    else {
+      if (!p0 || !same(settingsOf(p0), settingsOf(p1))) s.settings = now;
+      for (const key of keys(p0?.months, p1.months)) {
+        const m0 = p0?.months?.[key];
+        const m1 = p1.months[key];
+        if (same(m0, m1)) continue;
+        for (const iso of new Set([...monthIsos(m0), ...monthIsos(m1)])) {
+          if (!same(dayState(p0, iso), dayState(p1, iso))) s.days[iso] = now;
+        }
+      }
+    }
+    stamps.profiles[id] = s;
+  }
+  for (const id of keys(prev.calendars, next.calendars)) {
+    const c0 = prev.calendars?.[id];
+    const c1 = next.calendars?.[id];
+    if (same(c0, c1)) continue;
+    stamps.calendars[id] = c1 ? { ...stamps.calendars[id], updated: now } : { ...stamps.calendars[id], deleted: now };
+  }
+  return stamps;
+}
+
+function mergeProfile(pa, pb, ta, tb) {
+  const side = pick(ta.settings, tb.settings, settingsOf(pa), settingsOf(pb));
+  const out = { ...(side === "b" ? pb : pa), months: {} };
+  const audit = mergeAudit(pa.audit, pb.audit);
+  if (audit.length) out.audit = audit;
+  const days = {};
+  const isos = new Set([
+    ...keys(pa.months, pb.months).flatMap(k => [...monthIsos(pa.months?.[k]), ...monthIsos(pb.months?.[k])]),
+    ...keys(ta.days, tb.days),
+  ]);
+  for (const key of keys(pa.months, pb.months)) out.months[key] = { holidays: [], days: {}, planned: [], locations: {} };
+  for (const iso of isos) {
+    const d = pick(ta.days?.[iso], tb.days?.[iso], dayState(pa, iso), dayState(pb, iso)) === "b" ? dayState(pb, iso) : dayState(pa, iso);
+    days[iso] = Math.max(ta.days?.[iso] || 0, tb.days?.[iso] || 0);
+    if (!d.status && !d.holiday && !d.planned) continue;
+    const m = (out.months[iso.slice(0, 7)] ||= { holidays: [], days: {}, planned: [], locations: {} });
+    if (d.status) m.days[iso] = d.status;
+    if (d.status && d.location) m.locations[iso] = d.location;
+    if (d.holiday) m.holidays.push(iso);
+    if (d.planned) m.planned.push(iso);
+  }
+  for (const m of Object.values(out.months)) { m.holidays.sort(); m.planned.sort(); }
+  return { profile: out, days };
+}
+
+// Merge two { profiles, calendars, stamps } documents; other fields come from `a`
+export function mergeStamped(a, b) {
+  const sa = a.stamps || {};
+  const sb = b.stamps || {};
+  const profiles = {};
+  const calendars = {};
+  const stamps = { profiles: {}, calendars: {} };
+
+  for (const id of keys(a.profiles, b.profiles, sa.profiles, sb.profiles)) {
+    const ta = sa.profiles?.[id] || {};
+    const tb = sb.profiles?.[id] || {};
+    const pa = a.profiles?.[id];
+    const pb = b.profiles?.[id];
+    const settings = Math.max(ta.settings || 0, tb.settings || 0);
+    const deleted = Math.max(ta.deleted || 0, tb.deleted || 0);
+    let days = latest(ta.days, tb.days);
+    if (pa && pb) {
+      const merged = mergeProfile(pa, pb, ta, tb);
+      profiles[id] = merged.profile;
+      days = merged.days;
+    } else if (pa || pb) {
+      profiles[id] = pa || pb;
+    }
+    // A deletion only sticks while nothing in the profile changed after it
+    if (deleted && deleted >= Math.max(settings, ...Object.values(days))) delete profiles[id];
+    stamps.profiles[id] = { settings, days, ...(deleted ? { deleted } : {}) };
+  }
+
+  for (const id of keys(a.calendars, b.calendars, sa.calendars, sb.calendars)) {
+    const ta = sa.calendars?.[id] || {};
+    const tb = sb.calendars?.[id] || {};
+    const ca = a.calendars?.[id];
+    const cb = b.calendars?.[id];
+    const updated = Math.max(ta.updated || 0, tb.updated || 0);
+    const deleted = Math.max(ta.deleted || 0, tb.deleted || 0);
+    const c = ca && cb ? (pick(ta.updated, tb.updated, ca, cb) === "b" ? cb : ca) : (ca || cb);
+    if (c && !(deleted && deleted >= updated)) calendars[id] = c;
+    stamps.calendars[id] = { updated, ...(deleted ? { deleted } : {}) };
+  }
+  return { ...a, profiles, calendars, stamps };
+}
@@ -0,0 +1,61 @@
+import { startOfMonth, endOfMonth, eachDayOfInterval, isBefore } from "date-fns";
+import { fmt, safeParseDate } from "./dates.js";
+import { policySummary } from "./policy.js";
+import { IN_OFFICE_STATUSES } from "./statuses.js";
+import { officeById } from "./locations.js";
+
+// ---- Team view ----
+// Puts several profiles side by side for one month: who is (or plans to be) in
+// the office each day, per-day headcounts and each person's compliance.
+export const TOP_OVERLAP_DAYS = 3;
+
+// Offices belong to each profile, so people meet where their office names match.
+// The most who can meet on a day is everyone at the busiest office plus those whose
+// location isn't known (planned days and days marked without one).
+const officeKey = (office) => office.name.trim().toLowerCase();
+
+function together(places) {
+  const counts = new Map();
+  let unknown = 0;
+  for (const p of places) {
+    if (p === null) unknown++;
+    else counts.set(p, (counts.get(p) || 0) + 1);
+  }
+  return unknown + Math.max(0, ...counts.values());
+}
+
+export function teamMonth(profiles, ids, monthStart, { calendars, substituteName, today = new Date() } = {}) {
+  const start = startOfMonth(monthStart);
+  const days = eachDayOfInterval({ start, end: endOfMonth(start) });
+  const headcount = Object.fromEntries(days.map(d => [fmt(d), { inOffice: 0, planned: 0 }]));
+  const places = Object.fromEntries(days.map(d => [fmt(d), []]));
+
+  const members = ids.filter(id => profiles[id]).map(id => {
+    const profile = profiles[id];
+    const summary = policySummary(profile, start, { calendars, substituteName, today });
+    const { daySets } = summary;
+    const join = safeParseDate(profile.joinDate);
+    const offices = officeById(profile);
+    const cells = {};
+    for (const d of days) {
+      const iso = fmt(d);
+      const status = daySets.statuses.get(iso);
+      const inOffice = IN_OFFICE_STATUSES.has(status);
+      const planned = !status && daySets.planned.has(iso);
+      const office = inOffice ? offices.get(daySets.locations.get(iso)) : undefined;
+      cells[iso] = { status, inOffice, planned, office: office?.name, holiday: daySets.holidays.get(iso), working: daySets.isWorking(d) && !(join && isBefore(d, join)) };
+      if (inOffice) headcount[iso].inOffice++;
+      else if (planned) headcount[iso].planned++;
+      if (inOffice || planned) places[iso].push(office ? officeKey(office) : null);
+    }
+    return { id, name: profile.name || id, pct: summary.pct, completed: summary.completed, required: summary.required, cells };
+  });
+
+  // Most overlap = most people in one place, ties included, only where 2+ people meet
+  for (const d of days) headcount[fmt(d)].together = together(places[fmt(d)]);
+  const totals = days.map(d => headcount[fmt(d)].together);
+  const threshold = [...totals].filter(n => n >= 2).sort((a, b) => b - a)[TOP_OVERLAP_DAYS - 1] ?? 2;
+  const topDays = new Set(days.filter((d, i) => totals[i] >= Math.max(2, threshold)).map(fmt));
+
+  return { days, members, headcount, topDays };
+}
@@ -0,0 +1,309 @@
+// German messages; keys mirror en.js
+export default {
+  app: { title: "Büroanwesenheit" },
+  common: { close: "Schließen", cancel: "Abbrechen", save: "Speichern", edit: "Bearbeiten", rename: "Umbenennen", delete: "Löschen", remove: "Entfernen" },
+  header: {
+    export: "Exportieren", exportHint: "Sicherung aller Profile und Feiertagskalender herunterladen",
+    import: "Importieren", importHint: "Eine Sicherung wiederherstellen oder ein einzelnes Profil importieren",
+    csvHint: "Export und Import für Tabellenkalkulationen",
+    icsHint: "Tage für deine Kalender-App herunterladen",
+    share: "Link teilen",
+    history: "Verlauf", historyHint: "Protokoll aller Änderungen an den Tagen dieses Profils",
+    undo: "Rückgängig", undoHint: "{action} rückgängig machen (Strg+Z)", nothingToUndo: "Nichts rückgängig zu machen",
+    redo: "Wiederholen", redoHint: "{action} wiederholen (Strg+Y)", nothingToRedo: "Nichts zu wiederholen",
+    reminders: "Erinnerungen", remindersHint: "Benachrichtigungen, wenn du hinter dem Soll liegst oder heute noch nichts markiert hast",
+    language: "Sprache",
+  },
+  tabs: { month: "Monat", year: "Jahresübersicht", team: "Team", report: "Bericht" },
+  profiles: {
+    profile: "Profil", defaultName: "Ich", newName: "Person {n}", askName: "Name eingeben",
+    confirmDelete: "Profil „{name}“ löschen?",
+    new: "Neu", rename: "Umbenennen", delete: "Löschen",
+  },
+  settings: {
+    month: "Monat", year: "Jahr", joinDate: "Eintrittsdatum",
+    daysPerWeek: "Bürotage pro Woche", policyMode: "Gemessen",
+    workingDays: "Arbeitstage", weekStarts: "Woche beginnt am", rollingWeeks: "Wochen (N)",
+    extraHolidays: "Zusätzliche freie Tage in diesem Monat ({format}; durch Komma oder Zeile getrennt)",
+    clearMonth: "Diesen Monat leeren",
+    holidaysHint: "Wiederkehrende Feiertage gehören in einen Feiertagskalender weiter unten; dieses Feld ist für einzelne Tage. Die Daten werden pro Person und Monat automatisch im Browser gespeichert und zwischen offenen Tabs abgeglichen. Mit Exportieren/Importieren oder „Link teilen“ lassen sie sich übertragen.",
+  },
+  policyModes: { monthly: "Monatlich", weekly: "Wöchentlich", quarterly: "Quartalsweise", rolling: "Rollierend über N Wochen" },
+  windows: {
+    week: "KW {n} ({from} – {to})",
+    quarter: "Q{n} {year}",
+    rolling: { one: "{count} Woche bis {end}", other: "{count} Wochen bis {end}" },
+    count: { one: "{count} Woche", other: "{count} Wochen" },
+    status: { met: "erfüllt", missed: "verfehlt", "in progress": "läuft" },
+  },
+  stats: {
+    workingDays: "Arbeitstage", workingDaysSub: "Arbeitstage abzüglich Feiertage, ab Eintrittsdatum · {window}",
+    required: "Erforderliche Bürotage", requiredProrated: "Anteilig über Regeländerungen",
+    requiredSub: "{days}/{of} der Arbeitstage", requiredSubPerWindow: "{days}/{of} der Arbeitstage, je Zeitraum",
+    completed: "Erledigt / Offen", completedSub: "Automatisch aus den Tagesstatus gezählt",
+  },
+  progress: { title: "Fortschritt", label: "Fortschritt bei den erforderlichen Bürotagen", target: "Soll", actual: "Ist" },
+  month: {
+    markedDays: { one: "{count} markierten Tag", other: "{count} markierte Tage" },
+    plannedDays: { one: "{count} geplanten", other: "{count} geplante" },
+    extraHolidays: { one: "{count} zusätzlichen freien Tag", other: "{count} zusätzliche freie Tage" },
+    confirmClear: "{month} für {name} leeren? Entfernt werden {removes}. Mit Strg+Z lässt sich das rückgängig machen.",
+  },
+  undo: {
+    mark: "Markierung {date}", plan: "Planung {date}", applyPlan: "Plan übernehmen", clearPlan: "Plan leeren",
+    markRange: "Markierung {from} – {to}", markWeekdays: "Wochentage markieren", copyLastMonth: "Vormonat kopieren",
+    deleteProfile: "Profil „{name}“ löschen", restore: "Sicherung wiederherstellen", csvImport: "CSV-Import",
+    shareImport: "Import aus geteiltem Link", clearMonth: "Monat leeren", deleteCalendar: "Kalender „{name}“ löschen", removeOffice: "Standort „{name}“ entfernen",
+  },
+  backup: {
+    askJson: "Sicherung oder Profil-JSON hier einfügen",
+    invalidJson: "Ungültiges JSON: {message}",
+    invalid: "Import fehlgeschlagen – diese Felder sind falsch:",
+  },
+  share: {
+    title: "Link teilen", fromMonth: "Von Monat", toMonth: "Bis Monat", passphrase: "Passphrase (optional)",
+    create: "Link erstellen & kopieren", creating: "Wird erstellt…", createFailed: "Link konnte nicht erstellt werden: {message}", reversed: "Der Startmonat liegt nach dem Endmonat.",
+    hint: "Nur die gewählten Monate werden komprimiert übernommen. Mit Passphrase werden die Daten im Browser verschlüsselt und die Empfänger müssen dieselbe Passphrase eingeben.",
+    copied: "In die Zwischenablage kopiert ({count} Zeichen):",
+    askPassphrase: "Dieser Link ist geschützt. Passphrase eingeben:",
+    wrongPassphrase: "Falsche Passphrase oder der Link ist beschädigt.",
+    damaged: "Dieser Link ist beschädigt oder unvollständig.",
+    invalid: "Dieser Link kann nicht importiert werden:",
+    copyName: "{name} (geteilt)",
+    importTitle: "Geteiltes Profil importieren?", name: "Name:",
+    months: { one: "{count} Monat an Daten", other: "{count} Monate an Daten" },
+    monthRange: "({from} bis {to})",
+    existing: "Dieses Profil gibt es bereits („{name}“). Beim Aktualisieren werden seine Einstellungen und die geteilten Monate ersetzt; andere Monate bleiben, wie sie sind.",
+    update: "Lokales Profil aktualisieren", import: "Importieren", importCopy: "Als Kopie importieren",
+  },
+  calendar: {
+    title: "Anwesenheit markieren (Klick zum Umschalten)", brush: "Pinsel",
+    planned: "Geplant", plannedState: "geplant", plannedHint: "Einen künftigen Bürotag planen (zählt nicht als anwesend)",
+    today: "heute", holidayNamed: "Feiertag: {name}", notMarked: "nicht markiert",
+    nonWorking: "arbeitsfreier Tag", beforeJoin: "vor dem Eintrittsdatum",
+    markedLate: { one: "{count} Tag verspätet markiert", other: "{count} Tage verspätet markiert" },
+    lateNote: { one: "{count} Tag später markiert, am {date}", other: "{count} Tage später markiert, am {date}" },
+    rangeMarked: "{from} bis {to} wo möglich als {brush} markiert",
+    markHoliday: "FT", markOff: "frei", markPlan: "Plan", markLate: "spät",
+    legendHoliday: "{mark} = Feiertag", legendOff: "{mark} = arbeitsfreier Tag", legendPlanned: "{mark} = geplant",
+    legendLate: { one: "mehr als {count} Tag nach dem Tag markiert", other: "mehr als {count} Tage nach dem Tag markiert" },
+    help: "Oben einen Status wählen, dann einen Arbeitstag anklicken, um ihn umzuschalten, oder ziehen bzw. Umschalt+Klick, um einen Bereich zu markieren.",
+    keyboardHelp: "Tastatur: Pfeiltasten wechseln den Tag, Pos1/Ende springen an Anfang/Ende der Woche (mit Strg des Monats), Leertaste oder Eingabe schaltet um, Umschalt+Leertaste markiert ab dem zuletzt geänderten Tag.",
+    location: "Standort", noLocation: "Kein Standort", locationHint: "Nur Status, die als anwesend zählen, haben einen Standort",
+    atOffice: "in {name}", atOfficeNotCounted: "in {name}, zählt laut Regel nicht",
+    legendNotCounted: "Standort, den die Regel nicht zählt",
+    statusRules: "Statusregeln",
+  },
+  statuses: { office: "Im Büro", half: "Halber Bürotag", travel: "Dienstreise", client: "Beim Kunden", wfh: "Homeoffice", leave: "Urlaub", sick: "Krank" },
+  statusShort: { office: "✓", half: "½", travel: "DR", client: "KD", wfh: "HO", leave: "UL", sick: "KR" },
+  effects: { attended: "Zählt als anwesend", half: "Zählt als halber Tag", reduce: "Senkt die erforderlichen Tage", none: "Zählt nicht" },
+  bulk: {
+    every: "Jeden", markWeekdays: "In diesem Monat als {brush} markieren",
+    copyLastMonth: "Muster des Vormonats übernehmen",
+    copyLastMonthHint: "Der 1. Dienstag des Vormonats wird zum 1. Dienstag dieses Monats und so weiter",
+    nothingToCopy: "Nichts zu kopieren: Der Vormonat hat keine markierten Tage, die in diesem Monat auf einen Arbeitstag fallen.",
+  },
+  planner: {
+    title: "Planung", apply: { one: "{count} vorgeschlagenen Tag planen", other: "{count} vorgeschlagene Tage planen" }, clear: "Plan leeren", prefer: "Bevorzugt",
+    unreachable: { one: "Noch {count} Bürotag nötig, aber nur {available} übrig – das Ziel ist nicht mehr erreichbar.", other: "Noch {count} Bürotage nötig, aber nur {available} übrig – das Ziel ist nicht mehr erreichbar." },
+    workingDaysLeft: { one: "{count} Arbeitstag", other: "{count} Arbeitstage" },
+    suggested: "Vorschlag: {days}",
+    covered: { one: "{count} geplanter Tag deckt den Rest ab.", other: "{count} geplante Tage decken den Rest ab." },
+    nothingLeft: "Für diesen Zeitraum ist nichts mehr zu planen.",
+  },
+  policyHistory: {
+    title: "Regelverlauf", from: "Ab", ratio: "{days}/{count} Tage", noWorkingDays: "keine Arbeitstage", editing: "in Bearbeitung",
+    newFrom: "Neue Regel ab", add: "Änderung hinzufügen",
+    notCounting: "ohne {names}",
+    hint: "Die Felder oben bearbeiten die Regel, die am Ende des gewählten Monats gilt. Frühere Monate behalten die Regel, die für sie galt.",
+  },
+  explanation: {
+    title: "So werden die Summen berechnet", noDays: "keine",
+    window: { term: "Zeitraum", text: "der Kalendermonat, jede Woche, die ihn berührt, sein Quartal oder die letzten N Wochen bis zum Ende der letzten Woche des Monats." },
+    working: { term: "Arbeitstage", text: "deine Arbeitswochentage ({days}) im Zeitraum ab dem Eintrittsdatum, abzüglich eingebauter Feiertage, die du nicht abgeschaltet hast, Feiertagen aus abonnierten Kalendern und den zusätzlichen freien Tagen dieses Monats." },
+    required: { term: "Erforderliche Bürotage", text: "aufrunden((Tage pro Woche / {count}) × Arbeitstage), je Zeitraum. Beispiel: 3/5 von 19 = 12." },
+    changes: { term: "Regeländerungen", text: "gelten erst ab ihrem Startdatum. Ändert sich die Regel innerhalb eines Zeitraums, trägt jeder Arbeitstag den Anteil der an diesem Tag geltenden Regel bei und die Summe wird einmal aufgerundet." },
+    completed: { term: "Erledigt", text: "zählt markierte Arbeitstage im Zeitraum nach der jeweiligen Statusregel: anwesend = 1, halb = 0,5. Zusätzliche Tage in einer Woche gleichen keine andere Woche aus." },
+    reduces: { term: "Senkt die erforderlichen Tage", text: "Status wie Urlaub oder Krankheit werden vor Anwendung des Anteils von den Arbeitstagen abgezogen." },
+    footer: "Keine Tabelle nötig. Alles wird pro Person/Profil und Monat gespeichert.",
+  },
+  year: {
+    toDate: "Bisher im Jahr", toDateSub: "{pct} % der erforderlichen Bürotage",
+    monthsMet: "Erfüllte Monate", monthsMetSub: "Kalendermonate, die begonnen haben",
+    currentStreak: "Aktuelle Serie", currentStreakSub: "Arbeitstage in Folge mit Anwesenheit",
+    longestStreak: "Längste Serie", longestStreakSub: "Beste Serie {year}",
+    attendance: "Anwesenheit {year}",
+    legendAttended: "Anwesend", legendHalf: "Halber Tag", legendHoliday: "Feiertag",
+    legendNotAttended: "Arbeitstag, nicht anwesend", legendNonWorking: "Arbeitsfreier Tag",
+    chartTitle: "Erforderlich und erledigt pro Monat", required: "Erforderlich", completed: "Erledigt",
+  },
+  team: {
+    title: "Team – {month}", name: "Name", compliance: "Erfüllung", inOffice: "Im Büro",
+    headcount: "{inOffice} im Büro, {planned} geplant", together: { one: "höchstens {count} im selben Büro", other: "höchstens {count} im selben Büro" },
+    legendInOffice: "● Im Büro (½ halber Tag)", legendPlanned: "○ Geplant", legendHoliday: "Feiertag", legendOverlap: "Größte Überschneidung",
+  },
+  report: {
+    periods: { month: "Monat", quarter: "Quartal" },
+    print: "Drucken / als PDF speichern", generated: "Erstellt {at}",
+    policyApplied: "Angewandte Regel",
+    policy: {
+      monthly: "{days} von {count} Arbeitstagen pro Woche ({weekdays}), monatlich gemessen",
+      weekly: "{days} von {count} Arbeitstagen pro Woche ({weekdays}), wöchentlich gemessen",
+      quarterly: "{days} von {count} Arbeitstagen pro Woche ({weekdays}), quartalsweise gemessen",
+      rolling: "{days} von {count} Arbeitstagen pro Woche ({weekdays}), gemessen über rollierende {weeks} Wochen",
+    },
+    joinDate: "Gezählt ab Eintrittsdatum {date}.",
+    policyChange: "Ab {date}: {days} von {count} Tagen (anteilig).",
+    range: "Die Zeiträume laufen vom {from} bis {to}.",
+    holidaysExcluded: "Ausgenommene Feiertage", none: "Keine",
+    window: "Zeitraum", workingDays: "Arbeitstage", required: "Erforderlich", completed: "Erledigt", remaining: "Offen", result: "Ergebnis", total: "Summe",
+    noDaysMarked: "Keine Tage markiert", key: "{mark} = Feiertag; grau = arbeitsfreier Tag",
+    excludedOffices: "Tage in {names} werden nicht gezählt.",
+    byLocation: "Nach Standort:", locationCount: "{name} {days} ({counted} gezählt)",
+  },
+  audit: {
+    title: "Verlauf – {name}", scopeMonth: "Tage im {month}", scopeAll: "Alle Änderungen",
+    flagBefore: "Tage hervorheben, die mehr als", flagAfter: "Tage verspätet markiert wurden",
+    empty: "Noch keine Änderungen erfasst.",
+    when: "Wann", day: "Tag", change: "Änderung", source: "Quelle",
+    unmarked: "nicht markiert",
+    location: "Standort: {from} → {to}",
+    planned: { on: "Geplant", off: "Planung entfernt" },
+    holiday: { on: "Freier Tag hinzugefügt", off: "Freier Tag entfernt" },
+    "holiday-off": { on: "Eingebauter Feiertag abgeschaltet", off: "Eingebauter Feiertag eingeschaltet" },
+    clearMonth: { one: "Monat geleert ({count} markierter Tag)", other: "Monat geleert ({count} markierte Tage)" },
+    daysLater: { one: "{count} Tag später", other: "{count} Tage später" },
+    via: { app: "App", csv: "CSV-Import", undo: "Rückgängig", redo: "Wiederholen", calendar: "Feiertagskalender", reminder: "Erinnerung" },
+    showMore: "{count} weitere anzeigen",
+    hint: "Jede Änderung an markierten, geplanten und freien Tagen wird mit Zeitpunkt erfasst und in Sicherungen, CSV-Exporten und der Synchronisierung mitgeführt.",
+  },
+  presets: {
+    title: "Eingebaute Feiertage", add: "Land / Region hinzufügen…",
+    empty: "Keine Region gewählt. Sobald du eine wählst, werden die Feiertage für jedes Jahr offline berechnet.",
+    untick: "{year} – Haken entfernen, um einen Tag als normalen Arbeitstag zu behandeln",
+    substitute: "{name} (Ersatztag)",
+  },
+  calendars: {
+    title: "Feiertagskalender", new: "Neuer Kalender", importIcs: ".ics importieren", pasteIcs: ".ics einfügen",
+    askName: "Name des Kalenders", defaultName: "Feiertage", importedName: "Importierte Feiertage",
+    askIcs: "iCalendar-Text (.ics) hier einfügen",
+    noEvents: "In diesen iCalendar-Daten wurden keine Termine gefunden",
+    imported: { one: "{count} Feiertag importiert", other: "{count} Feiertage importiert" },
+    empty: "Noch keine Kalender. Lege einen an oder importiere eine .ics-Datei und hake ihn dann für dieses Profil an.",
+    dates: { one: "{count} Datum", other: "{count} Daten" },
+    confirmDelete: "Kalender „{name}“ löschen?",
+    editHint: "Daten in „{name}“ (eines pro Zeile: JJJJ-MM-TT Name). Eine importierte .ics-Datei wird diesem Kalender hinzugefügt.",
+  },
+  ics: {
+    title: "Kalenderdatei (.ics)", from: "Von", to: "Bis", download: ".ics herunterladen",
+    kinds: { attendance: "Markierte Tage", planned: "Geplante Tage", holidays: "Feiertage" },
+    hint: "Ganztägige Termine, die deine Verfügbarkeit nicht blockieren. Eine neuere Datei im selben Kalender aktualisiert diese Termine, statt sie zu verdoppeln; inzwischen entfernte Markierungen werden nicht gelöscht.",
+    calendarName: "{name} – Büroanwesenheit", plannedDay: "Geplanter Bürotag",
+    categories: { attendance: "Anwesenheit", notAttended: "Nicht anwesend", planned: "Geplant", holiday: "Feiertag" },
+  },
+  csv: {
+    title: "CSV / Tabellen", export: "Export", import: "Import",
+    daily: "Tages-CSV", monthly: "Monatsübersicht als CSV", audit: "Änderungsprotokoll als CSV",
+    exportHint: "Täglich: eine Zeile pro Profil und Tag mit Status, Feiertagskennzeichen und ob der Tag als Arbeitstag zählt. Übersicht: eine Zeile pro Profil und Monat, gezählt wie in der Jahresübersicht. Änderungsprotokoll: jede erfasste Änderung an Tagen im Zeitraum.",
+    tooShort: "Die Datei braucht eine Kopfzeile und mindestens eine Datenzeile.",
+    paste: "CSV einfügen", askPaste: "CSV hier einfügen",
+    columns: { date: "Datum", status: "Status", holiday: "Feiertagskennzeichen", profile: "Profilname" },
+    choose: "Auswählen…", notUsed: "Nicht verwendet", column: "Spalte {n}",
+    dateFormat: "Datumsformat", intoProfile: "In Profil",
+    importHint: "Statuszellen können einen Statusnamen (z. B. „In office“, „WFH“) oder ein Häkchen, x, yes oder 1 für einen Bürotag enthalten; leere Zellen lassen den Tag unverändert. Daten im Format JJJJ-MM-TT werden unabhängig vom gewählten Format gelesen.",
+    row: "Zeile", holiday: "Feiertag", yes: "ja", no: "nein",
+    summary: { one: "{count} Tag zum Import in {profiles}", other: "{count} Tage zum Import in {profiles}" },
+    noProfile: "kein Profil", firstShown: "(die ersten {n} angezeigt)",
+    unknownProfiles: "Kein Profil namens {names}; diese Zeilen werden übersprungen.",
+    rowError: "Zeile {row}: {message}",
+    badDate: "„{value}“ ist kein Datum im Format {format}", unknownStatus: "unbekannter Status „{value}“",
+    moreErrors: "…und {count} weitere",
+    importDays: { one: "{count} Tag importieren", other: "{count} Tage importieren" },
+    discard: "Verwerfen",
+    headers: {
+      profile: "Profil", date: "Datum", weekday: "Wochentag", status: "Status", location: "Standort", holiday: "Feiertag", holidayName: "Feiertagsname",
+      working: "Arbeitstag", planned: "Geplant", credit: "Anrechnung", month: "Monat", workingDays: "Arbeitstage",
+      required: "Erforderlich", completed: "Erledigt", remaining: "Verbleibend",
+      changedAt: "Geändert am", day: "Tag", change: "Änderung", daysAfter: "Tage danach", source: "Quelle",
+    },
+  },
+  restore: {
+    title: "Sicherung wiederherstellen", made: "Sicherung vom {at}.",
+    action: "Aktion", changes: "Änderungen", new: "(neu)",
+    actions: { merge: "Zusammenführen", replace: "Ersetzen", both: "Beide behalten", skip: "Überspringen", add: "Hinzufügen" },
+    monthsAdded: { one: "{count} Monat hinzugefügt", other: "{count} Monate hinzugefügt" },
+    monthsRemoved: { one: "{count} Monat entfernt", other: "{count} Monate entfernt" },
+    daysAdded: { one: "{count} Tag hinzugefügt", other: "{count} Tage hinzugefügt" },
+    daysChanged: { one: "{count} Tag geändert", other: "{count} Tage geändert" },
+    daysRemoved: { one: "{count} Tag entfernt", other: "{count} Tage entfernt" },
+    noChanges: "keine Tagesänderungen", nothingWritten: "nichts wird geschrieben",
+    newProfile: "neues Profil: {changes}", addedCopy: "als Kopie hinzugefügt: {changes}", copyName: "{name} (wiederhergestellt)",
+    calendars: { one: "Feiertagskalender: {count} Kalender in der Sicherung, {fresh} neu, {holidays}.", other: "Feiertagskalender: {count} Kalender in der Sicherung, {fresh} neu, {holidays}." },
+    holidaysAdded: { one: "{count} Feiertag hinzugefügt", other: "{count} Feiertage hinzugefügt" },
+    hint: "Zusammenführen übernimmt die Einstellungen aus der Sicherung und kombiniert die Monate Tag für Tag; gibt es einen Tag in beiden, gewinnt die Sicherung. Ersetzen überschreibt das Profil. Beide behalten fügt die Sicherung als eigenes Profil hinzu.",
+    restore: "Wiederherstellen",
+    skipped: "Diese Einträge der Sicherung sind ungültig und werden nicht wiederhergestellt:", moreErrors: { one: "…und {count} weiterer", other: "…und {count} weitere" },
+  },
+  offices: {
+    title: "Büros und Standorte",
+    empty: "Noch keine Büros. Füge die Orte hinzu, an denen du arbeitest, etwa zwei Büros oder einen Kundenstandort, um anwesende Tage mit einem Standort zu versehen.",
+    name: "Name des Büros", namePlaceholder: "z. B. Zentrale Berlin", add: "Büro hinzufügen",
+    askName: "Name des Büros", askShort: "Kürzel im Kalender (bis zu 4 Zeichen; leer lassen für Initialen)", shortCode: "Kürzel",
+    counts: "Zählt für die Regel",
+    confirmRemove: "„{name}“ entfernen? Dort markierte Tage behalten ihren Status, verlieren aber den Standort.",
+    hint: "Tage an einem Standort, der nicht zählt, erscheinen weiter im Kalender und in der Aufschlüsselung, tragen aber nichts zu den erledigten Tagen bei. Welche Standorte zählen, gehört zur Regel ab {date}; mit einer Regeländerung lassen sie sich ab einem späteren Datum anders zählen. Neue Tage werden an dem Standort markiert, der über dem Kalender gewählt ist.",
+  },
+  locations: {
+    month: "Tage nach Standort – {month}", year: "Tage nach Standort – {year}",
+    office: "Standort", days: "Tage", counted: "Gezählt", share: "Anteil der Tage", unassigned: "Kein Standort",
+    hint: "Tage sind anwesende Tage, ein halber Tag zählt 0,5. Gezählt ist, was in die Regel eingeht: nur Arbeitstage und nichts an Standorten, die die Regel ausnimmt.",
+  },
+  reminders: {
+    title: "Erinnerungen",
+    enable: "An den Arbeitstagen von {name} erinnern",
+    blocked: "Benachrichtigungen sind für diese Seite blockiert. Erlaube sie in den Website-Einstellungen des Browsers, um Erinnerungen einzuschalten.",
+    unsupported: "Dieser Browser unterstützt keine Benachrichtigungen.",
+    pace: "Erinnern, wenn ich hinter dem Soll liege, ab",
+    checkIn: "„Warst du heute im Büro?“ fragen, wenn der Tag nicht markiert ist, ab",
+    hint: "Erinnerungen sind lokal: Sie erscheinen, solange die App in einem Tab oder als installierte App geöffnet ist, jeweils einmal am Tag und nur an Arbeitstagen. Ein Tipp auf die Abendfrage markiert den Tag als „Im Büro“; „Heute nicht“ lässt ihn unmarkiert.",
+    paceTitle: "{name}: zu wenige Bürotage",
+    paceBody: { one: "Du liegst {count} Bürotag hinter dem Soll. Heute ist ein Arbeitstag.", other: "Du liegst {count} Bürotage hinter dem Soll. Heute ist ein Arbeitstag." },
+    checkInTitle: "{name}: Warst du heute im Büro?",
+    checkInBody: "Tippen, um heute als „Im Büro“ zu markieren.",
+    yes: "Ja, im Büro", notToday: "Heute nicht",
+  },
+  sync: {
+    title: "Server-Synchronisierung", settings: "Synchronisierungseinstellungen",
+    intro: "Optional. Hält Profile und Feiertagskalender über deinen eigenen Sync-Server auf allen Geräten gleich. Offline gemachte Änderungen werden gesammelt und gesendet, sobald der Server wieder erreichbar ist. Einrichtung:",
+    url: "Server-URL", space: "Bereich", token: "Token (falls der Server eines verlangt)",
+    spaceHint: "Geräte mit demselben Server und Bereich teilen ihre Daten. Nur Buchstaben, Ziffern, „-“ und „_“.",
+    enable: "Diesen Browser synchronisieren", now: "Jetzt synchronisieren",
+    off: "Sync aus", syncing: "Synchronisiert…", offline: "Offline", error: "Sync-Fehler",
+    pending: "{count} ausstehend", synced: "Synchronisiert {time}", notYet: "Noch nicht synchronisiert",
+    skippedCount: { one: "{count} übersprungen", other: "{count} übersprungen" },
+    skipped: "Diese Einträge auf dem Server sind ungültig und wurden nicht in diesen Browser übernommen:", moreErrors: { one: "…und {count} weiterer", other: "…und {count} weitere" },
+  },
+  storage: {
+    loadFailed: "Deine gespeicherten Daten konnten nicht gelesen werden, vielleicht weil eine neuere Version der App sie gespeichert hat. Änderungen hier werden nicht gespeichert.",
+    saveFailed: "Speichern fehlgeschlagen. Letzte Änderungen gehen beim Schließen dieses Fensters eventuell verloren; exportiere eine Sicherung, um sie zu behalten.",
+    reloadFailed: "Änderungen aus einem anderen Tab konnten nicht geladen werden. Lade die Seite neu, um sie zu sehen.",
+  },
+  errors: {
+    object: "muss ein Objekt sein", string: "muss ein Text sein", nonEmptyString: "muss ein nicht leerer Text sein",
+    list: "muss eine Liste sein", nonEmptyList: "muss eine nicht leere Liste sein", dateList: "muss eine Liste von Daten sein",
+    date: "„{value}“ ist kein Datum im Format JJJJ-MM-TT", outsideMonth: "{value} liegt außerhalb von {month}", dateInMonth: "„{value}“ ist kein Datum in {month}",
+    weekdays: "muss eine Liste von Wochentagsnummern 0–6 sein", weekday: "muss eine Wochentagsnummer 0–6 sein",
+    oneOf: "muss einer dieser Werte sein: {values}", wholeNumber: "muss eine ganze Zahl von {min} bis {max} sein", number: "muss eine Zahl von {min} bis {max} sein",
+    calendarIds: "muss eine Liste von Kalender-IDs sein", unknownRegion: "unbekannte Region „{value}“",
+    unknownStatus: "unbekannter Status „{value}“", unknownRule: "unbekannte Regel „{value}“",
+    auditEntry: "braucht eine ID und einen ISO-Zeitstempel", unknownAction: "unbekannte Aktion „{value}“",
+    monthKey: "muss wie JJJJ-MM aussehen", months: "muss ein Objekt mit Schlüsseln im Format JJJJ-MM sein", days: "muss ein Objekt aus Datum -> Status sein",
+    holidays: "muss ein Objekt aus Datum -> Name sein", holidayName: "Name muss ein Text sein",
+    profiles: "muss ein Objekt mit Profil-IDs als Schlüsseln sein", calendars: "muss ein Objekt mit Kalender-IDs als Schlüsseln sein",
+    keyMismatch: "„{value}“ passt nicht zu seinem Schlüssel „{key}“",
+    newerSchema: "{value} ist neuer, als diese App unterstützt ({max})", upgrade: "die Daten konnten nicht auf diese App-Version aktualisiert werden",
+    officeId: "braucht eine nicht leere ID", duplicateId: "„{value}“ kommt doppelt vor", officeIds: "muss eine Liste von Standort-IDs sein",
+    unknownOffice: "unbekannter Standort „{value}“", locations: "muss ein Objekt aus Datum -> Standort-ID sein", noStatus: "der Tag hat keinen Status",
+    more: { one: "…und {count} weiterer", other: "…und {count} weitere" },
+  },
+};
@@ -0,0 +1,310 @@
+// English messages; the other catalogues mirror these keys and fall back to them.
+// Plural messages are { one, other } and are picked by the `count` variable.
+export default {
+  app: { title: "Office Attendance Tracker" },
+  common: { close: "Close", cancel: "Cancel", save: "Save", edit: "Edit", rename: "Rename", delete: "Delete", remove: "Remove" },
+  header: {
+    export: "Export", exportHint: "Download a backup of every profile and holiday calendar",
+    import: "Import", importHint: "Restore a backup or import a single profile",
+    csvHint: "Spreadsheet export and import",
+    icsHint: "Download days for your calendar app",
+    share: "Share link",
+    history: "History", historyHint: "Log of every change to this profile's days",
+    undo: "Undo", undoHint: "Undo {action} (Ctrl+Z)", nothingToUndo: "Nothing to undo",
+    redo: "Redo", redoHint: "Redo {action} (Ctrl+Y)", nothingToRedo: "Nothing to redo",
+    reminders: "Reminders", remindersHint: "Notifications when you're behind pace or haven't marked today",
+    language: "Language",
+  },
+  tabs: { month: "Month", year: "Year overview", team: "Team", report: "Report" },
+  profiles: {
+    profile: "Profile", defaultName: "Me", newName: "User {n}", askName: "Enter name",
+    confirmDelete: "Delete profile \"{name}\"?",
+    new: "New", rename: "Rename", delete: "Delete",
+  },
+  settings: {
+    month: "Month", year: "Year", joinDate: "Join Date",
+    daysPerWeek: "Days per week policy", policyMode: "Policy measured",
+    workingDays: "Working days", weekStarts: "Week starts", rollingWeeks: "Weeks (N)",
+    extraHolidays: "Extra holidays this month ({format}; comma/line separated)",
+    clearMonth: "Clear this month",
+    holidaysHint: "Recurring public holidays belong in a holiday calendar below; this box is for one-off days. Data is saved per user and per month automatically in your browser and kept in step across open tabs. Use Export/Import or Share link to move it.",
+  },
+  policyModes: { monthly: "Monthly", weekly: "Weekly", quarterly: "Quarterly", rolling: "Rolling N weeks" },
+  windows: {
+    week: "Week {n} ({from} – {to})",
+    quarter: "Q{n} {year}",
+    rolling: { one: "{count} week to {end}", other: "{count} weeks to {end}" },
+    count: { one: "{count} week", other: "{count} weeks" },
+    status: { met: "met", missed: "missed", "in progress": "in progress" },
+  },
+  stats: {
+    workingDays: "Static Working Days", workingDaysSub: "Working days minus holidays, from join date · {window}",
+    required: "Required Office Days", requiredProrated: "Prorated across policy changes",
+    requiredSub: "{days}/{of} of working days", requiredSubPerWindow: "{days}/{of} of working days, per window",
+    completed: "Completed / Remaining", completedSub: "Auto-counted from day statuses",
+  },
+  progress: { title: "Progress", label: "Progress towards required office days", target: "Target", actual: "Actual" },
+  month: {
+    markedDays: { one: "{count} marked day", other: "{count} marked days" },
+    plannedDays: { one: "{count} planned", other: "{count} planned" },
+    extraHolidays: { one: "{count} extra holiday", other: "{count} extra holidays" },
+    confirmClear: "Clear {month} for {name}? This removes {removes}. You can undo it with Ctrl+Z.",
+  },
+  undo: {
+    mark: "mark {date}", plan: "plan {date}", applyPlan: "apply plan", clearPlan: "clear plan",
+    markRange: "mark {from} – {to}", markWeekdays: "mark weekdays", copyLastMonth: "copy last month",
+    deleteProfile: "delete profile \"{name}\"", restore: "backup restore", csvImport: "CSV import",
+    shareImport: "shared link import", clearMonth: "clear month", deleteCalendar: "delete calendar \"{name}\"", removeOffice: "remove office \"{name}\"",
+  },
+  backup: {
+    askJson: "Paste backup or profile JSON here",
+    invalidJson: "Invalid JSON: {message}",
+    invalid: "Import failed — these fields are wrong:",
+  },
+  share: {
+    title: "Share link", fromMonth: "From month", toMonth: "To month", passphrase: "Passphrase (optional)",
+    create: "Create & copy link", creating: "Creating…", createFailed: "Could not create link: {message}", reversed: "The from month is after the to month.",
+    hint: "Only the chosen months are included, compressed. With a passphrase the data is encrypted in your browser and the receiver must enter the same passphrase.",
+    copied: "Copied to clipboard ({count} characters):",
+    askPassphrase: "This share link is protected. Enter the passphrase:",
+    wrongPassphrase: "Wrong passphrase, or the link is damaged.",
+    damaged: "This share link is damaged or incomplete.",
+    invalid: "This share link can't be imported:",
+    copyName: "{name} (shared)",
+    importTitle: "Import shared profile?", name: "Name:",
+    months: { one: "{count} month of data", other: "{count} months of data" },
+    monthRange: "({from} to {to})",
+    existing: "You already have this profile (“{name}”). Updating replaces its settings and the shared months; other months stay as they are.",
+    update: "Update local profile", import: "Import", importCopy: "Import as a copy",
+  },
+  calendar: {
+    title: "Mark Attendance (click to toggle)", brush: "Brush",
+    planned: "Planned", plannedState: "planned", plannedHint: "Plan a future office day (doesn't count as attended)",
+    today: "today", holidayNamed: "holiday: {name}", notMarked: "not marked",
+    nonWorking: "non-working day", beforeJoin: "before join date",
+    markedLate: { one: "marked {count} day late", other: "marked {count} days late" },
+    lateNote: { one: "marked {count} day later, on {date}", other: "marked {count} days later, on {date}" },
+    rangeMarked: "{from} to {to} marked as {brush} where possible",
+    markHoliday: "Hol", markOff: "off", markPlan: "plan", markLate: "late",
+    legendHoliday: "{mark} = holiday", legendOff: "{mark} = non-working day", legendPlanned: "{mark} = planned",
+    legendLate: { one: "marked more than {count} day after the day", other: "marked more than {count} days after the day" },
+    help: "Pick a status above, then click a working day to toggle it, or drag / shift-click to mark a range.",
+    keyboardHelp: "Keyboard: arrow keys move between days, Home/End go to the start/end of the week (with Ctrl, of the month), Space or Enter toggles, Shift+Space marks from the last day you changed.",
+    location: "Location", noLocation: "No location", locationHint: "Only statuses that count as attendance have a location",
+    atOffice: "at {name}", atOfficeNotCounted: "at {name}, not counted by the policy",
+    legendNotCounted: "office the policy doesn't count",
+    statusRules: "Status rules",
+  },
+  statuses: { office: "In office", half: "Half office day", travel: "Business travel", client: "Client site", wfh: "Working from home", leave: "Annual leave", sick: "Sick day" },
+  statusShort: { office: "✓", half: "½", travel: "BT", client: "CS", wfh: "WFH", leave: "AL", sick: "SICK" },
+  effects: { attended: "Counts as attended", half: "Counts as half a day", reduce: "Reduces required days", none: "Not counted" },
+  bulk: {
+    every: "Every", markWeekdays: "Mark as {brush} this month",
+    copyLastMonth: "Copy last month's pattern",
+    copyLastMonthHint: "The 1st Tuesday of last month maps to the 1st Tuesday of this one, and so on",
+    nothingToCopy: "Nothing to copy: last month has no marked days that land on a working day this month.",
+  },
+  planner: {
+    title: "Plan", apply: { one: "Plan {count} suggested day", other: "Plan {count} suggested days" }, clear: "Clear plan", prefer: "Prefer",
+    unreachable: { one: "{count} more office day needed but only {available} left — the target can no longer be met.", other: "{count} more office days needed but only {available} left — the target can no longer be met." },
+    workingDaysLeft: { one: "{count} working day", other: "{count} working days" },
+    suggested: "Suggested: {days}",
+    covered: { one: "{count} planned day covers what's left.", other: "{count} planned days cover what's left." },
+    nothingLeft: "Nothing left to plan for this period.",
+  },
+  policyHistory: {
+    title: "Policy history", from: "From", ratio: "{days}/{count} days", noWorkingDays: "no working days", editing: "editing",
+    newFrom: "New policy from", add: "Add change",
+    notCounting: "not counting {names}",
+    hint: "The fields above edit the policy in force at the end of the selected month. Earlier months keep the policy that applied to them.",
+  },
+  explanation: {
+    title: "How totals are calculated", noDays: "none",
+    window: { term: "Policy window", text: "the calendar month, each week overlapping it, its quarter, or the last N weeks up to the end of the month's final week." },
+    working: { term: "Static Working Days", text: "Your working weekdays ({days}) in the window on/after your join date, minus built-in public holidays you haven't switched off, holidays from your subscribed calendars and this month's extra holidays." },
+    required: { term: "Required Office Days", text: "ceil((DaysPerWeek / {count}) × Static Working Days), per window. Example: 3/5 of 19 = 12." },
+    changes: { term: "Policy changes", text: "apply from their start date only. If the policy changes inside a window, each working day adds the ratio of the policy in force that day and the total is rounded up once." },
+    completed: { term: "Completed", text: "counts marked working days within the window using each status rule: attended = 1, half = 0.5. Extra days in one week don't cover another week." },
+    reduces: { term: "Reduces required days", text: "statuses (e.g. leave, sick) are removed from Static Working Days before the ratio is applied." },
+    footer: "No spreadsheet needed. Everything is saved per user/profile and month.",
+  },
+  year: {
+    toDate: "Year to date", toDateSub: "{pct}% of required office days",
+    monthsMet: "Months met", monthsMetSub: "Calendar months that have started",
+    currentStreak: "Current streak", currentStreakSub: "Working days in a row with attendance",
+    longestStreak: "Longest streak", longestStreakSub: "Best run in {year}",
+    attendance: "{year} attendance",
+    legendAttended: "Attended", legendHalf: "Half day", legendHoliday: "Holiday",
+    legendNotAttended: "Working day, not attended", legendNonWorking: "Non-working day",
+    chartTitle: "Required vs completed per month", required: "Required", completed: "Completed",
+  },
+  team: {
+    title: "Team — {month}", name: "Name", compliance: "Compliance", inOffice: "In office",
+    headcount: "{inOffice} in office, {planned} planned", together: { one: "at most {count} in one office", other: "at most {count} in one office" },
+    legendInOffice: "● In office (½ half day)", legendPlanned: "○ Planned", legendHoliday: "Holiday", legendOverlap: "Most overlap",
+  },
+  report: {
+    periods: { month: "Month", quarter: "Quarter" },
+    print: "Print / save as PDF", generated: "Generated {at}",
+    policyApplied: "Policy applied",
+    policy: {
+      monthly: "{days} of {count} working days per week ({weekdays}), measured monthly",
+      weekly: "{days} of {count} working days per week ({weekdays}), measured weekly",
+      quarterly: "{days} of {count} working days per week ({weekdays}), measured quarterly",
+      rolling: "{days} of {count} working days per week ({weekdays}), measured over rolling {weeks} weeks",
+    },
+    joinDate: "Counted from join date {date}.",
+    policyChange: "From {date}: {days} of {count} days (prorated).",
+    range: "Windows run {from} to {to}.",
+    holidaysExcluded: "Holidays excluded", none: "None",
+    window: "Window", workingDays: "Working days", required: "Required", completed: "Completed", remaining: "Remaining", result: "Result", total: "Total",
+    noDaysMarked: "No days marked", key: "{mark} = holiday; grey = non-working day",
+    excludedOffices: "Days at {names} are not counted.",
+    byLocation: "By location:", locationCount: "{name} {days} ({counted} counted)",
+  },
+  audit: {
+    title: "History — {name}", scopeMonth: "Days in {month}", scopeAll: "All changes",
+    flagBefore: "Flag days marked more than", flagAfter: "days late",
+    empty: "No changes recorded yet.",
+    when: "When", day: "Day", change: "Change", source: "Source",
+    unmarked: "unmarked",
+    location: "Location: {from} → {to}",
+    planned: { on: "Planned", off: "Plan removed" },
+    holiday: { on: "Holiday added", off: "Holiday removed" },
+    "holiday-off": { on: "Built-in holiday switched off", off: "Built-in holiday switched on" },
+    clearMonth: { one: "Month cleared ({count} marked day)", other: "Month cleared ({count} marked days)" },
+    daysLater: { one: "{count} day later", other: "{count} days later" },
+    via: { app: "App", csv: "CSV import", undo: "Undo", redo: "Redo", calendar: "Holiday calendar", reminder: "Reminder" },
+    showMore: "Show {count} more",
+    hint: "Every change to marked, planned and holiday days is recorded with its time and kept in backups, CSV exports and sync.",
+  },
+  presets: {
+    title: "Built-in public holidays", add: "Add country / region…",
+    empty: "No region selected. Holidays are generated offline for any year once you pick one.",
+    untick: "{year} — untick a date to treat it as a normal working day",
+    substitute: "{name} (substitute day)",
+  },
+  calendars: {
+    title: "Holiday calendars", new: "New calendar", importIcs: "Import .ics", pasteIcs: "Paste .ics",
+    askName: "Calendar name", defaultName: "Public holidays", importedName: "Imported holidays",
+    askIcs: "Paste iCalendar (.ics) text here",
+    noEvents: "No events found in that iCalendar data",
+    imported: { one: "Imported {count} holiday date", other: "Imported {count} holiday dates" },
+    empty: "No calendars yet. Create one or import an .ics file, then tick it to use it for this profile.",
+    dates: { one: "{count} date", other: "{count} dates" },
+    confirmDelete: "Delete calendar \"{name}\"?",
+    editHint: "Dates in “{name}” (one per line: YYYY-MM-DD Name). Importing an .ics adds to this calendar.",
+  },
+  ics: {
+    title: "Calendar file (.ics)", from: "From", to: "To", download: "Download .ics",
+    kinds: { attendance: "Marked days", planned: "Planned days", holidays: "Holidays" },
+    hint: "All-day events that don't block your free/busy time. Importing a newer file into the same calendar updates these events rather than duplicating them; days you have unmarked since are not removed.",
+    calendarName: "{name} — office attendance", plannedDay: "Planned office day",
+    categories: { attendance: "Attendance", notAttended: "Not attended", planned: "Planned", holiday: "Holiday" },
+  },
+  csv: {
+    title: "CSV / spreadsheets", export: "Export", import: "Import",
+    daily: "Daily CSV", monthly: "Monthly summary CSV", audit: "Audit log CSV",
+    exportHint: "Daily: one row per profile and day with status, holiday flag and whether it counts as a working day. Summary: one row per profile and month, counted like the year overview. Audit log: every recorded change to days in the range.",
+    tooShort: "The file needs a header row and at least one data row.",
+    paste: "Paste CSV", askPaste: "Paste CSV here",
+    columns: { date: "Date", status: "Status", holiday: "Holiday flag", profile: "Profile name" },
+    choose: "Choose…", notUsed: "Not used", column: "Column {n}",
+    dateFormat: "Date format", intoProfile: "Into profile",
+    importHint: "Status cells may hold a status name (e.g. “In office”, “WFH”) or a tick, x, yes or 1 for an office day; empty cells leave the day alone. Dates in YYYY-MM-DD are read whatever the format.",
+    row: "Row", holiday: "Holiday", yes: "yes", no: "no",
+    summary: { one: "{count} day to import into {profiles}", other: "{count} days to import into {profiles}" },
+    noProfile: "no profile", firstShown: "(first {n} shown)",
+    unknownProfiles: "No profile named {names}; those rows are skipped.",
+    rowError: "Row {row}: {message}",
+    badDate: "“{value}” is not a {format} date", unknownStatus: "unknown status “{value}”",
+    moreErrors: "…and {count} more",
+    importDays: { one: "Import {count} day", other: "Import {count} days" },
+    discard: "Discard",
+    headers: {
+      profile: "Profile", date: "Date", weekday: "Weekday", status: "Status", location: "Location", holiday: "Holiday", holidayName: "Holiday name",
+      working: "Working day", planned: "Planned", credit: "Credit", month: "Month", workingDays: "Working days",
+      required: "Required", completed: "Completed", remaining: "Remaining",
+      changedAt: "Changed at", day: "Day", change: "Change", daysAfter: "Days after", source: "Source",
+    },
+  },
+  restore: {
+    title: "Restore backup", made: "Backup made {at}.",
+    action: "Action", changes: "Changes", new: "(new)",
+    actions: { merge: "Merge", replace: "Replace", both: "Keep both", skip: "Skip", add: "Add" },
+    monthsAdded: { one: "{count} month added", other: "{count} months added" },
+    monthsRemoved: { one: "{count} month removed", other: "{count} months removed" },
+    daysAdded: { one: "{count} day added", other: "{count} days added" },
+    daysChanged: { one: "{count} day changed", other: "{count} days changed" },
+    daysRemoved: { one: "{count} day removed", other: "{count} days removed" },
+    noChanges: "no day changes", nothingWritten: "nothing written",
+    newProfile: "new profile: {changes}", addedCopy: "added as a copy: {changes}", copyName: "{name} (restored)",
+    calendars: { one: "Holiday calendars: {count} calendar in backup, {fresh} new, {holidays}.", other: "Holiday calendars: {count} calendars in backup, {fresh} new, {holidays}." },
+    holidaysAdded: { one: "{count} holiday added", other: "{count} holidays added" },
+    hint: "Merge takes settings from the backup and combines months day by day; where both have the same day, the backup wins. Replace overwrites the profile. Keep both adds the backup as a separate profile.",
+    restore: "Restore",
+    skipped: "These entries in the backup are invalid and will not be restored:", moreErrors: { one: "…and {count} more", other: "…and {count} more" },
+  },
+  offices: {
+    title: "Offices and locations",
+    empty: "No offices yet. Add the places you work from, such as two offices or a client site, to tag attended days with a location.",
+    name: "Office name", namePlaceholder: "e.g. London HQ", add: "Add office",
+    askName: "Office name", askShort: "Short code shown in the calendar (up to 4 characters; leave empty for initials)", shortCode: "Short code",
+    counts: "Counts toward the policy",
+    confirmRemove: "Remove \"{name}\"? Days marked there keep their status but lose the location.",
+    hint: "Days at an office that doesn't count still appear in the calendar and the breakdown but add nothing to completed days. Which offices count is part of the policy from {date}; add a policy change to count them differently from a later date. New days are marked at the location picked above the calendar.",
+  },
+  locations: {
+    month: "Days by location — {month}", year: "Days by location — {year}",
+    office: "Location", days: "Days", counted: "Counted", share: "Share of days", unassigned: "No location",
+    hint: "Days are attended days, with a half day as 0.5. Counted is what went toward the policy: working days only, and nothing at offices the policy excludes.",
+  },
+  reminders: {
+    title: "Reminders",
+    enable: "Remind me on {name}'s working days",
+    blocked: "Notifications are blocked for this site. Allow them in the browser's site settings to turn reminders on.",
+    unsupported: "This browser doesn't support notifications.",
+    pace: "Nudge me when I'm behind the target pace, from",
+    checkIn: "Ask “did you go in today?” if the day isn't marked, from",
+    hint: "Reminders are local: they appear while the app is open in a tab or as an installed app, once per day each, and only on working days. Tapping the end-of-day prompt marks the day as in office; choose “Not today” to leave it unmarked.",
+    paceTitle: "{name}: behind on office days",
+    paceBody: { one: "You're {count} office day behind the target pace. Today is a working day.", other: "You're {count} office days behind the target pace. Today is a working day." },
+    checkInTitle: "{name}: did you go in today?",
+    checkInBody: "Tap to mark today as in office.",
+    yes: "Yes, in office", notToday: "Not today",
+  },
+  sync: {
+    title: "Server sync", settings: "Sync settings",
+    intro: "Optional. Keeps profiles and holiday calendars in step across devices through your own sync server. Changes made offline are queued and sent when the server is reachable again. Setup:",
+    url: "Server URL", space: "Space", token: "Token (if the server needs one)",
+    spaceHint: "Devices that use the same server and space share their data. Letters, digits, \"-\" and \"_\" only.",
+    enable: "Sync this browser", now: "Sync now",
+    off: "Sync off", syncing: "Syncing…", offline: "Offline", error: "Sync error",
+    pending: "{count} pending", synced: "Synced {time}", notYet: "Not synced yet",
+    skippedCount: { one: "{count} skipped", other: "{count} skipped" },
+    skipped: "These entries on the server are invalid and were not synced to this browser:", moreErrors: { one: "…and {count} more", other: "…and {count} more" },
+  },
+  storage: {
+    loadFailed: "Your saved data couldn't be read, possibly because a newer version of the app saved it. Changes made here won't be saved.",
+    saveFailed: "Saving failed. Recent changes may be lost when this window closes; export a backup to keep them.",
+    reloadFailed: "Changes made in another tab couldn't be loaded. Reload the page to see them.",
+  },
+  errors: {
+    object: "must be an object", string: "must be a string", nonEmptyString: "must be a non-empty string",
+    list: "must be a list", nonEmptyList: "must be a non-empty list", dateList: "must be a list of dates",
+    date: "“{value}” is not a YYYY-MM-DD date", outsideMonth: "{value} is outside {month}", dateInMonth: "“{value}” is not a date in {month}",
+    weekdays: "must be a list of weekday numbers 0–6", weekday: "must be a weekday number 0–6",
+    oneOf: "must be one of {values}", wholeNumber: "must be a whole number from {min} to {max}", number: "must be a number from {min} to {max}",
+    calendarIds: "must be a list of calendar ids", unknownRegion: "unknown region “{value}”",
+    unknownStatus: "unknown status “{value}”", unknownRule: "unknown rule “{value}”",
+    auditEntry: "needs an id and an ISO timestamp", unknownAction: "unknown action “{value}”",
+    monthKey: "must look like yyyy-MM", months: "must be an object keyed by yyyy-MM", days: "must be an object of date -> status",
+    holidays: "must be an object of date -> name", holidayName: "name must be a string",
+    profiles: "must be an object keyed by profile id", calendars: "must be an object keyed by calendar id",
+    keyMismatch: "“{value}” does not match its key “{key}”",
+    newerSchema: "{value} is newer than this app supports ({max})", upgrade: "the data couldn't be upgraded to this app version",
+    officeId: "needs a non-empty id", duplicateId: "“{value}” is used twice", officeIds: "must be a list of office ids",
+    unknownOffice: "unknown office “{value}”", locations: "must be an object of date -> office id", noStatus: "the day has no status",
+    more: { one: "…and {count} more", other: "…and {count} more" },
+  },
+};
@@ -0,0 +1,309 @@
+// French messages; keys mirror en.js
+export default {
+  app: { title: "Suivi de présence au bureau" },
+  common: { close: "Fermer", cancel: "Annuler", save: "Enregistrer", edit: "Modifier", rename: "Renommer", delete: "Supprimer", remove: "Retirer" },
+  header: {
+    export: "Exporter", exportHint: "Télécharger une sauvegarde de tous les profils et calendriers de jours fériés",
+    import: "Importer", importHint: "Restaurer une sauvegarde ou importer un seul profil",
+    csvHint: "Export et import pour tableurs",
+    icsHint: "Télécharger les jours pour votre application d'agenda",
+    share: "Lien de partage",
+    history: "Historique", historyHint: "Journal de toutes les modifications des jours de ce profil",
+    undo: "Annuler", undoHint: "Annuler : {action} (Ctrl+Z)", nothingToUndo: "Rien à annuler",
+    redo: "Rétablir", redoHint: "Rétablir : {action} (Ctrl+Y)", nothingToRedo: "Rien à rétablir",
+    reminders: "Rappels", remindersHint: "Notifications quand vous êtes en retard sur l'objectif ou n'avez pas marqué la journée",
+    language: "Langue",
+  },
+  tabs: { month: "Mois", year: "Vue annuelle", team: "Équipe", report: "Rapport" },
+  profiles: {
+    profile: "Profil", defaultName: "Moi", newName: "Utilisateur {n}", askName: "Saisir le nom",
+    confirmDelete: "Supprimer le profil « {name} » ?",
+    new: "Nouveau", rename: "Renommer", delete: "Supprimer",
+  },
+  settings: {
+    month: "Mois", year: "Année", joinDate: "Date d'arrivée",
+    daysPerWeek: "Jours de bureau par semaine", policyMode: "Mesure",
+    workingDays: "Jours travaillés", weekStarts: "Début de semaine", rollingWeeks: "Semaines (N)",
+    extraHolidays: "Jours fériés supplémentaires ce mois-ci ({format} ; séparés par virgule ou ligne)",
+    clearMonth: "Vider ce mois",
+    holidaysHint: "Les jours fériés récurrents vont dans un calendrier ci-dessous ; cette zone sert aux jours ponctuels. Les données sont enregistrées automatiquement par utilisateur et par mois dans votre navigateur et synchronisées entre les onglets ouverts. Utilisez Exporter/Importer ou le lien de partage pour les déplacer.",
+  },
+  policyModes: { monthly: "Mensuelle", weekly: "Hebdomadaire", quarterly: "Trimestrielle", rolling: "Glissante sur N semaines" },
+  windows: {
+    week: "Semaine {n} ({from} – {to})",
+    quarter: "T{n} {year}",
+    rolling: { one: "{count} semaine jusqu'au {end}", other: "{count} semaines jusqu'au {end}" },
+    count: { one: "{count} semaine", other: "{count} semaines" },
+    status: { met: "atteint", missed: "manqué", "in progress": "en cours" },
+  },
+  stats: {
+    workingDays: "Jours travaillés", workingDaysSub: "Jours travaillés moins les jours fériés, depuis la date d'arrivée · {window}",
+    required: "Jours de bureau requis", requiredProrated: "Au prorata des changements de règle",
+    requiredSub: "{days}/{of} des jours travaillés", requiredSubPerWindow: "{days}/{of} des jours travaillés, par période",
+    completed: "Faits / Restants", completedSub: "Comptés automatiquement d'après les statuts",
+  },
+  progress: { title: "Progression", label: "Progression vers les jours de bureau requis", target: "Objectif", actual: "Réel" },
+  month: {
+    markedDays: { one: "{count} jour marqué", other: "{count} jours marqués" },
+    plannedDays: { one: "{count} prévu", other: "{count} prévus" },
+    extraHolidays: { one: "{count} jour férié supplémentaire", other: "{count} jours fériés supplémentaires" },
+    confirmClear: "Vider {month} pour {name} ? Cela supprime {removes}. Vous pouvez annuler avec Ctrl+Z.",
+  },
+  undo: {
+    mark: "marquage du {date}", plan: "prévision du {date}", applyPlan: "application du plan", clearPlan: "effacement du plan",
+    markRange: "marquage du {from} au {to}", markWeekdays: "marquage des jours de semaine", copyLastMonth: "copie du mois précédent",
+    deleteProfile: "suppression du profil « {name} »", restore: "restauration de sauvegarde", csvImport: "import CSV",
+    shareImport: "import d'un lien partagé", clearMonth: "vidage du mois", deleteCalendar: "suppression du calendrier « {name} »", removeOffice: "suppression du site « {name} »",
+  },
+  backup: {
+    askJson: "Collez ici la sauvegarde ou le JSON du profil",
+    invalidJson: "JSON invalide : {message}",
+    invalid: "Échec de l'import — ces champs sont incorrects :",
+  },
+  share: {
+    title: "Lien de partage", fromMonth: "Du mois", toMonth: "Au mois", passphrase: "Phrase secrète (facultative)",
+    create: "Créer et copier le lien", creating: "Création…", createFailed: "Impossible de créer le lien : {message}", reversed: "Le mois de début est après le mois de fin.",
+    hint: "Seuls les mois choisis sont inclus, compressés. Avec une phrase secrète, les données sont chiffrées dans votre navigateur et le destinataire doit saisir la même phrase.",
+    copied: "Copié dans le presse-papiers ({count} caractères) :",
+    askPassphrase: "Ce lien est protégé. Saisissez la phrase secrète :",
+    wrongPassphrase: "Phrase secrète incorrecte, ou lien endommagé.",
+    damaged: "Ce lien de partage est endommagé ou incomplet.",
+    invalid: "Ce lien de partage ne peut pas être importé :",
+    copyName: "{name} (partagé)",
+    importTitle: "Importer le profil partagé ?", name: "Nom :",
+    months: { one: "{count} mois de données", other: "{count} mois de données" },
+    monthRange: "({from} à {to})",
+    existing: "Vous avez déjà ce profil (« {name} »). La mise à jour remplace ses réglages et les mois partagés ; les autres mois restent inchangés.",
+    update: "Mettre à jour le profil local", import: "Importer", importCopy: "Importer comme copie",
+  },
+  calendar: {
+    title: "Marquer la présence (cliquer pour basculer)", brush: "Pinceau",
+    planned: "Prévu", plannedState: "prévu", plannedHint: "Prévoir un futur jour au bureau (ne compte pas comme présence)",
+    today: "aujourd'hui", holidayNamed: "jour férié : {name}", notMarked: "non marqué",
+    nonWorking: "jour non travaillé", beforeJoin: "avant la date d'arrivée",
+    markedLate: { one: "marqué avec {count} jour de retard", other: "marqué avec {count} jours de retard" },
+    lateNote: { one: "marqué {count} jour plus tard, le {date}", other: "marqué {count} jours plus tard, le {date}" },
+    rangeMarked: "Du {from} au {to} marqué comme {brush} quand c'est possible",
+    markHoliday: "Fér", markOff: "repos", markPlan: "prévu", markLate: "tard",
+    legendHoliday: "{mark} = jour férié", legendOff: "{mark} = jour non travaillé", legendPlanned: "{mark} = prévu",
+    legendLate: { one: "marqué plus de {count} jour après la date", other: "marqué plus de {count} jours après la date" },
+    help: "Choisissez un statut ci-dessus, puis cliquez sur un jour travaillé pour le basculer, ou faites glisser / Maj+clic pour marquer une plage.",
+    keyboardHelp: "Clavier : les flèches changent de jour, Début/Fin vont au début/à la fin de la semaine (avec Ctrl, du mois), Espace ou Entrée bascule, Maj+Espace marque depuis le dernier jour modifié.",
+    location: "Lieu", noLocation: "Aucun lieu", locationHint: "Seuls les statuts comptés comme présence ont un lieu",
+    atOffice: "à {name}", atOfficeNotCounted: "à {name}, non compté par la règle",
+    legendNotCounted: "site non compté par la règle",
+    statusRules: "Règles des statuts",
+  },
+  statuses: { office: "Au bureau", half: "Demi-journée au bureau", travel: "Déplacement professionnel", client: "Chez le client", wfh: "Télétravail", leave: "Congés", sick: "Maladie" },
+  statusShort: { office: "✓", half: "½", travel: "DP", client: "CL", wfh: "TT", leave: "CP", sick: "MAL" },
+  effects: { attended: "Compte comme présence", half: "Compte comme demi-journée", reduce: "Réduit les jours requis", none: "Non compté" },
+  bulk: {
+    every: "Chaque", markWeekdays: "Marquer comme {brush} ce mois-ci",
+    copyLastMonth: "Copier le modèle du mois précédent",
+    copyLastMonthHint: "Le 1er mardi du mois précédent correspond au 1er mardi de celui-ci, et ainsi de suite",
+    nothingToCopy: "Rien à copier : le mois précédent n'a aucun jour marqué qui tombe sur un jour travaillé ce mois-ci.",
+  },
+  planner: {
+    title: "Planification", apply: { one: "Prévoir {count} jour suggéré", other: "Prévoir {count} jours suggérés" }, clear: "Effacer le plan", prefer: "Préférer",
+    unreachable: { one: "Encore {count} jour de bureau nécessaire mais seulement {available} — l'objectif ne peut plus être atteint.", other: "Encore {count} jours de bureau nécessaires mais seulement {available} — l'objectif ne peut plus être atteint." },
+    workingDaysLeft: { one: "{count} jour travaillé restant", other: "{count} jours travaillés restants" },
+    suggested: "Suggestions : {days}",
+    covered: { one: "{count} jour prévu couvre le reste.", other: "{count} jours prévus couvrent le reste." },
+    nothingLeft: "Plus rien à prévoir pour cette période.",
+  },
+  policyHistory: {
+    title: "Historique des règles", from: "À partir du", ratio: "{days}/{count} jours", noWorkingDays: "aucun jour travaillé", editing: "en cours de modification",
+    newFrom: "Nouvelle règle à partir du", add: "Ajouter un changement",
+    notCounting: "sans compter {names}",
+    hint: "Les champs ci-dessus modifient la règle en vigueur à la fin du mois sélectionné. Les mois précédents gardent la règle qui s'appliquait à eux.",
+  },
+  explanation: {
+    title: "Comment les totaux sont calculés", noDays: "aucun",
+    window: { term: "Période", text: "le mois civil, chaque semaine qui le chevauche, son trimestre, ou les N dernières semaines jusqu'à la fin de la dernière semaine du mois." },
+    working: { term: "Jours travaillés", text: "vos jours de semaine travaillés ({days}) dans la période à partir de votre date d'arrivée, moins les jours fériés intégrés que vous n'avez pas désactivés, ceux de vos calendriers abonnés et les jours fériés supplémentaires du mois." },
+    required: { term: "Jours de bureau requis", text: "arrondi supérieur((Jours par semaine / {count}) × Jours travaillés), par période. Exemple : 3/5 de 19 = 12." },
+    changes: { term: "Changements de règle", text: "s'appliquent uniquement à partir de leur date de début. Si la règle change au sein d'une période, chaque jour travaillé ajoute le ratio de la règle en vigueur ce jour-là et le total est arrondi une seule fois." },
+    completed: { term: "Faits", text: "compte les jours travaillés marqués dans la période selon la règle de chaque statut : présence = 1, demi-journée = 0,5. Les jours en plus d'une semaine ne compensent pas une autre semaine." },
+    reduces: { term: "Réduit les jours requis", text: "les statuts concernés (p. ex. congés, maladie) sont retirés des jours travaillés avant d'appliquer le ratio." },
+    footer: "Pas besoin de tableur. Tout est enregistré par utilisateur/profil et par mois.",
+  },
+  year: {
+    toDate: "Depuis le début de l'année", toDateSub: "{pct} % des jours de bureau requis",
+    monthsMet: "Mois atteints", monthsMetSub: "Mois civils déjà commencés",
+    currentStreak: "Série en cours", currentStreakSub: "Jours travaillés consécutifs avec présence",
+    longestStreak: "Plus longue série", longestStreakSub: "Meilleure série en {year}",
+    attendance: "Présence {year}",
+    legendAttended: "Présent", legendHalf: "Demi-journée", legendHoliday: "Jour férié",
+    legendNotAttended: "Jour travaillé, absent", legendNonWorking: "Jour non travaillé",
+    chartTitle: "Requis et faits par mois", required: "Requis", completed: "Faits",
+  },
+  team: {
+    title: "Équipe — {month}", name: "Nom", compliance: "Conformité", inOffice: "Au bureau",
+    headcount: "{inOffice} au bureau, {planned} prévus", together: { one: "au plus {count} dans le même bureau", other: "au plus {count} dans le même bureau" },
+    legendInOffice: "● Au bureau (½ demi-journée)", legendPlanned: "○ Prévu", legendHoliday: "Jour férié", legendOverlap: "Plus grand recouvrement",
+  },
+  report: {
+    periods: { month: "Mois", quarter: "Trimestre" },
+    print: "Imprimer / enregistrer en PDF", generated: "Généré le {at}",
+    policyApplied: "Règle appliquée",
+    policy: {
+      monthly: "{days} sur {count} jours travaillés par semaine ({weekdays}), mesurée mensuellement",
+      weekly: "{days} sur {count} jours travaillés par semaine ({weekdays}), mesurée chaque semaine",
+      quarterly: "{days} sur {count} jours travaillés par semaine ({weekdays}), mesurée par trimestre",
+      rolling: "{days} sur {count} jours travaillés par semaine ({weekdays}), mesurée sur {weeks} semaines glissantes",
+    },
+    joinDate: "Compté à partir de la date d'arrivée, le {date}.",
+    policyChange: "À partir du {date} : {days} sur {count} jours (au prorata).",
+    range: "Les périodes vont du {from} au {to}.",
+    holidaysExcluded: "Jours fériés exclus", none: "Aucun",
+    window: "Période", workingDays: "Jours travaillés", required: "Requis", completed: "Faits", remaining: "Restants", result: "Résultat", total: "Total",
+    noDaysMarked: "Aucun jour marqué", key: "{mark} = jour férié ; gris = jour non travaillé",
+    excludedOffices: "Les jours à {names} ne sont pas comptés.",
+    byLocation: "Par lieu :", locationCount: "{name} {days} ({counted} comptés)",
+  },
+  audit: {
+    title: "Historique — {name}", scopeMonth: "Jours de {month}", scopeAll: "Toutes les modifications",
+    flagBefore: "Signaler les jours marqués avec plus de", flagAfter: "jours de retard",
+    empty: "Aucune modification enregistrée pour l'instant.",
+    when: "Quand", day: "Jour", change: "Modification", source: "Source",
+    unmarked: "non marqué",
+    location: "Lieu : {from} → {to}",
+    planned: { on: "Prévu", off: "Prévision retirée" },
+    holiday: { on: "Jour férié ajouté", off: "Jour férié retiré" },
+    "holiday-off": { on: "Jour férié intégré désactivé", off: "Jour férié intégré réactivé" },
+    clearMonth: { one: "Mois vidé ({count} jour marqué)", other: "Mois vidé ({count} jours marqués)" },
+    daysLater: { one: "{count} jour plus tard", other: "{count} jours plus tard" },
+    via: { app: "Application", csv: "Import CSV", undo: "Annulation", redo: "Rétablissement", calendar: "Calendrier de jours fériés", reminder: "Rappel" },
+    showMore: "Afficher {count} de plus",
+    hint: "Chaque modification des jours marqués, prévus et fériés est enregistrée avec son heure et conservée dans les sauvegardes, les exports CSV et la synchronisation.",
+  },
+  presets: {
+    title: "Jours fériés intégrés", add: "Ajouter un pays / une région…",
+    empty: "Aucune région choisie. Une fois choisie, les jours fériés sont calculés hors ligne pour n'importe quelle année.",
+    untick: "{year} — décochez une date pour la traiter comme un jour travaillé normal",
+    substitute: "{name} (jour de remplacement)",
+  },
+  calendars: {
+    title: "Calendriers de jours fériés", new: "Nouveau calendrier", importIcs: "Importer un .ics", pasteIcs: "Coller un .ics",
+    askName: "Nom du calendrier", defaultName: "Jours fériés", importedName: "Jours fériés importés",
+    askIcs: "Collez ici le texte iCalendar (.ics)",
+    noEvents: "Aucun événement trouvé dans ces données iCalendar",
+    imported: { one: "{count} jour férié importé", other: "{count} jours fériés importés" },
+    empty: "Aucun calendrier pour l'instant. Créez-en un ou importez un fichier .ics, puis cochez-le pour l'utiliser dans ce profil.",
+    dates: { one: "{count} date", other: "{count} dates" },
+    confirmDelete: "Supprimer le calendrier « {name} » ?",
+    editHint: "Dates de « {name} » (une par ligne : AAAA-MM-JJ Nom). Importer un .ics ajoute à ce calendrier.",
+  },
+  ics: {
+    title: "Fichier d'agenda (.ics)", from: "Du", to: "Au", download: "Télécharger le .ics",
+    kinds: { attendance: "Jours marqués", planned: "Jours prévus", holidays: "Jours fériés" },
+    hint: "Événements sur la journée entière qui ne bloquent pas votre disponibilité. Importer un fichier plus récent dans le même agenda met à jour ces événements au lieu de les dupliquer ; les jours démarqués depuis ne sont pas supprimés.",
+    calendarName: "{name} — présence au bureau", plannedDay: "Jour au bureau prévu",
+    categories: { attendance: "Présence", notAttended: "Absence", planned: "Prévu", holiday: "Jour férié" },
+  },
+  csv: {
+    title: "CSV / tableurs", export: "Export", import: "Import",
+    daily: "CSV quotidien", monthly: "CSV récapitulatif mensuel", audit: "CSV du journal des modifications",
+    exportHint: "Quotidien : une ligne par profil et par jour avec le statut, l'indicateur de jour férié et si le jour compte comme travaillé. Récapitulatif : une ligne par profil et par mois, comptée comme la vue annuelle. Journal : chaque modification enregistrée des jours de la plage.",
+    tooShort: "Le fichier doit contenir une ligne d'en-tête et au moins une ligne de données.",
+    paste: "Coller un CSV", askPaste: "Collez le CSV ici",
+    columns: { date: "Date", status: "Statut", holiday: "Indicateur de jour férié", profile: "Nom du profil" },
+    choose: "Choisir…", notUsed: "Non utilisé", column: "Colonne {n}",
+    dateFormat: "Format de date", intoProfile: "Dans le profil",
+    importHint: "Les cellules de statut peuvent contenir un nom de statut (p. ex. « In office », « WFH ») ou une coche, x, yes ou 1 pour un jour au bureau ; les cellules vides laissent le jour tel quel. Les dates au format AAAA-MM-JJ sont lues quel que soit le format choisi.",
+    row: "Ligne", holiday: "Férié", yes: "oui", no: "non",
+    summary: { one: "{count} jour à importer dans {profiles}", other: "{count} jours à importer dans {profiles}" },
+    noProfile: "aucun profil", firstShown: "(les {n} premiers affichés)",
+    unknownProfiles: "Aucun profil nommé {names} ; ces lignes sont ignorées.",
+    rowError: "Ligne {row} : {message}",
+    badDate: "« {value} » n'est pas une date au format {format}", unknownStatus: "statut inconnu « {value} »",
+    moreErrors: "…et {count} de plus",
+    importDays: { one: "Importer {count} jour", other: "Importer {count} jours" },
+    discard: "Abandonner",
+    headers: {
+      profile: "Profil", date: "Date", weekday: "Jour", status: "Statut", location: "Lieu", holiday: "Férié", holidayName: "Nom du jour férié",
+      working: "Jour ouvré", planned: "Prévu", credit: "Crédit", month: "Mois", workingDays: "Jours ouvrés",
+      required: "Requis", completed: "Effectués", remaining: "Restants",
+      changedAt: "Modifié le", day: "Jour", change: "Modification", daysAfter: "Jours après", source: "Source",
+    },
+  },
+  restore: {
+    title: "Restaurer une sauvegarde", made: "Sauvegarde du {at}.",
+    action: "Action", changes: "Modifications", new: "(nouveau)",
+    actions: { merge: "Fusionner", replace: "Remplacer", both: "Garder les deux", skip: "Ignorer", add: "Ajouter" },
+    monthsAdded: { one: "{count} mois ajouté", other: "{count} mois ajoutés" },
+    monthsRemoved: { one: "{count} mois supprimé", other: "{count} mois supprimés" },
+    daysAdded: { one: "{count} jour ajouté", other: "{count} jours ajoutés" },
+    daysChanged: { one: "{count} jour modifié", other: "{count} jours modifiés" },
+    daysRemoved: { one: "{count} jour supprimé", other: "{count} jours supprimés" },
+    noChanges: "aucune modification de jour", nothingWritten: "rien n'est écrit",
+    newProfile: "nouveau profil : {changes}", addedCopy: "ajouté comme copie : {changes}", copyName: "{name} (restauré)",
+    calendars: { one: "Calendriers de jours fériés : {count} calendrier dans la sauvegarde, {fresh} nouveau(x), {holidays}.", other: "Calendriers de jours fériés : {count} calendriers dans la sauvegarde, {fresh} nouveau(x), {holidays}." },
+    holidaysAdded: { one: "{count} jour férié ajouté", other: "{count} jours fériés ajoutés" },
+    hint: "Fusionner reprend les réglages de la sauvegarde et combine les mois jour par jour ; si un jour existe des deux côtés, la sauvegarde l'emporte. Remplacer écrase le profil. Garder les deux ajoute la sauvegarde comme profil distinct.",
+    restore: "Restaurer",
+    skipped: "Ces éléments de la sauvegarde sont invalides et ne seront pas restaurés :", moreErrors: { one: "…et {count} autre", other: "…et {count} autres" },
+  },
+  offices: {
+    title: "Bureaux et lieux",
+    empty: "Aucun bureau pour l'instant. Ajoutez les lieux où vous travaillez, par exemple deux bureaux ou un site client, pour associer un lieu aux jours de présence.",
+    name: "Nom du bureau", namePlaceholder: "ex. Siège Paris", add: "Ajouter un bureau",
+    askName: "Nom du bureau", askShort: "Code court affiché dans le calendrier (4 caractères max ; vide pour les initiales)", shortCode: "Code court",
+    counts: "Compte pour la règle",
+    confirmRemove: "Supprimer « {name} » ? Les jours marqués à cet endroit gardent leur statut mais perdent le lieu.",
+    hint: "Les jours passés dans un bureau non compté restent visibles dans le calendrier et la répartition mais n'ajoutent rien aux jours faits. Les bureaux comptés font partie de la règle en vigueur depuis le {date} ; ajoutez un changement de règle pour les compter autrement à partir d'une date ultérieure. Les nouveaux jours sont marqués au lieu choisi au-dessus du calendrier.",
+  },
+  locations: {
+    month: "Jours par lieu — {month}", year: "Jours par lieu — {year}",
+    office: "Lieu", days: "Jours", counted: "Comptés", share: "Part des jours", unassigned: "Aucun lieu",
+    hint: "Les jours sont les jours de présence, une demi-journée valant 0,5. Comptés : ce qui entre dans la règle, uniquement les jours travaillés et rien dans les bureaux exclus par la règle.",
+  },
+  reminders: {
+    title: "Rappels",
+    enable: "Me rappeler les jours travaillés de {name}",
+    blocked: "Les notifications sont bloquées pour ce site. Autorisez-les dans les paramètres du site du navigateur pour activer les rappels.",
+    unsupported: "Ce navigateur ne prend pas en charge les notifications.",
+    pace: "Me prévenir quand je suis en retard sur l'objectif, à partir de",
+    checkIn: "Demander « Êtes-vous allé au bureau aujourd'hui ? » si la journée n'est pas marquée, à partir de",
+    hint: "Les rappels sont locaux : ils s'affichent tant que l'application est ouverte dans un onglet ou installée, une fois par jour chacun et seulement les jours travaillés. Toucher la question du soir marque la journée au bureau ; choisissez « Pas aujourd'hui » pour la laisser non marquée.",
+    paceTitle: "{name} : en retard sur les jours de bureau",
+    paceBody: { one: "Vous avez {count} jour de bureau de retard sur l'objectif. Aujourd'hui est un jour travaillé.", other: "Vous avez {count} jours de bureau de retard sur l'objectif. Aujourd'hui est un jour travaillé." },
+    checkInTitle: "{name} : êtes-vous allé au bureau aujourd'hui ?",
+    checkInBody: "Touchez pour marquer aujourd'hui au bureau.",
+    yes: "Oui, au bureau", notToday: "Pas aujourd'hui",
+  },
+  sync: {
+    title: "Synchronisation serveur", settings: "Réglages de synchronisation",
+    intro: "Facultatif. Garde les profils et les calendriers de jours fériés identiques sur vos appareils grâce à votre propre serveur de synchronisation. Les modifications faites hors ligne sont mises en file et envoyées dès que le serveur est de nouveau joignable. Installation :",
+    url: "URL du serveur", space: "Espace", token: "Jeton (si le serveur en demande un)",
+    spaceHint: "Les appareils qui utilisent le même serveur et le même espace partagent leurs données. Lettres, chiffres, « - » et « _ » uniquement.",
+    enable: "Synchroniser ce navigateur", now: "Synchroniser maintenant",
+    off: "Synchro désactivée", syncing: "Synchronisation…", offline: "Hors ligne", error: "Erreur de synchro",
+    pending: "{count} en attente", synced: "Synchronisé à {time}", notYet: "Pas encore synchronisé",
+    skippedCount: { one: "{count} ignorée", other: "{count} ignorées" },
+    skipped: "Ces entrées du serveur sont invalides et n'ont pas été synchronisées dans ce navigateur :", moreErrors: { one: "…et {count} autre", other: "…et {count} autres" },
+  },
+  storage: {
+    loadFailed: "Vos données enregistrées n'ont pas pu être lues, peut-être parce qu'une version plus récente de l'application les a enregistrées. Les modifications faites ici ne seront pas enregistrées.",
+    saveFailed: "L'enregistrement a échoué. Les dernières modifications peuvent être perdues à la fermeture de cette fenêtre ; exportez une sauvegarde pour les conserver.",
+    reloadFailed: "Les modifications faites dans un autre onglet n'ont pas pu être chargées. Rechargez la page pour les voir.",
+  },
+  errors: {
+    object: "doit être un objet", string: "doit être un texte", nonEmptyString: "doit être un texte non vide",
+    list: "doit être une liste", nonEmptyList: "doit être une liste non vide", dateList: "doit être une liste de dates",
+    date: "« {value} » n'est pas une date AAAA-MM-JJ", outsideMonth: "{value} est en dehors de {month}", dateInMonth: "« {value} » n'est pas une date de {month}",
+    weekdays: "doit être une liste de numéros de jour 0–6", weekday: "doit être un numéro de jour 0–6",
+    oneOf: "doit valoir {values}", wholeNumber: "doit être un nombre entier de {min} à {max}", number: "doit être un nombre de {min} à {max}",
+    calendarIds: "doit être une liste d'identifiants de calendrier", unknownRegion: "région inconnue « {value} »",
+    unknownStatus: "statut inconnu « {value} »", unknownRule: "règle inconnue « {value} »",
+    auditEntry: "doit avoir un identifiant et un horodatage ISO", unknownAction: "action inconnue « {value} »",
+    monthKey: "doit être au format AAAA-MM", months: "doit être un objet dont les clés sont au format AAAA-MM", days: "doit être un objet date -> statut",
+    holidays: "doit être un objet date -> nom", holidayName: "le nom doit être un texte",
+    profiles: "doit être un objet dont les clés sont des identifiants de profil", calendars: "doit être un objet dont les clés sont des identifiants de calendrier",
+    keyMismatch: "« {value} » ne correspond pas à sa clé « {key} »",
+    newerSchema: "{value} est plus récent que ce que cette application prend en charge ({max})", upgrade: "les données n'ont pas pu être mises à jour pour cette version de l'application",
+    officeId: "doit avoir un identifiant non vide", duplicateId: "« {value} » est utilisé deux fois", officeIds: "doit être une liste d'identifiants de site",
+    unknownOffice: "site inconnu « {value} »", locations: "doit être un objet date -> identifiant de site", noStatus: "le jour n'a pas de statut",
+    more: { one: "…et {count} autre", other: "…et {count} autres" },
+  },
+};
@@ -0,0 +1,21 @@
+import { appendAudit, profileChanges, mergeAudit } from "./audit.js";
+
+// ---- Undo / redo ----
+// Each undoable action pushes a snapshot of the workspace taken just before it:
+//   { label, profiles, calendars, activeId }
+// Restoring a snapshot keeps the audit log append-only: profiles get the current log
+// back plus entries describing what the undo (or redo) itself changed.
+export const UNDO_LIMIT = 50;
+
+export function pushSnapshot(stack, snapshot, limit = UNDO_LIMIT) {
+  return [...stack.slice(-(limit - 1)), snapshot];
+}
+
+export function restoreProfiles(current, snapshot, via, now = new Date()) {
+  const out = {};
+  for (const [id, p] of Object.entries(snapshot)) {
+    const cur = current[id];
+    out[id] = cur ? appendAudit({ ...p, audit: mergeAudit(cur.audit, p.audit) }, profileChanges(cur, p), { via, now }) : p;
+  }
+  return out;
+}
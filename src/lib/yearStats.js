@@ -0,0 +1,56 @@
+import { format, startOfMonth, endOfMonth, eachDayOfInterval, isAfter, isBefore, startOfDay } from "date-fns";
+import { fmt, safeParseDate } from "./dates.js";
+import { profileDaySets, windowStats } from "./policy.js";
+import { locationBreakdown } from "./locations.js";
+
+// ---- Year overview ----
+// Month-by-month compliance (always per calendar month, whatever the policy mode),
+// year-to-date totals, attendance streaks and days per office for one calendar year.
+export function yearSummary(profile, year, { calendars, substituteName, today = new Date() } = {}) {
+  const daySets = profileDaySets(profile, calendars, [year], { substituteName });
+  const months = [...Array(12).keys()].map(m => {
+    const start = startOfMonth(new Date(year, m, 1));
+    const w = windowStats(profile, { start, end: endOfMonth(start), label: format(start, "MMM") }, daySets, today);
+    return { month: m, label: w.label, required: w.required, completed: w.completed, remaining: w.remaining, workingDays: w.workingDays, status: w.status };
+  });
+
+  // Year to date = every month that has started
+  const started = months.filter(m => !isAfter(new Date(year, m.month, 1), today));
+  const ytd = {
+    required: started.reduce((n, m) => n + m.required, 0),
+    completed: started.reduce((n, m) => n + m.completed, 0),
+    monthsMet: started.filter(m => m.status === "met").length,
+    monthsCounted: started.length,
+  };
+
+  // Streaks count consecutive working days with any attendance credit;
+  // weekends and holidays don't break a streak, and an unmarked today doesn't either.
+  const join = safeParseDate(profile.joinDate);
+  const todayStart = startOfDay(today);
+  const days = eachDayOfInterval({ start: new Date(year, 0, 1), end: new Date(year, 11, 31) });
+  let current = 0;
+  let longest = 0;
+  for (const d of days) {
+    if (isAfter(d, todayStart)) break;
+    if (join && isBefore(d, join)) continue;
+    if (!daySets.isWorking(d)) continue;
+    if (daySets.credit(fmt(d)) > 0) { current++; longest = Math.max(longest, current); }
+    else if (isBefore(d, todayStart)) current = 0;
+  }
+
+  const cells = days.map(d => {
+    const iso = fmt(d);
+    const beforeJoin = Boolean(join && isBefore(d, join));
+    return {
+      date: d,
+      iso,
+      credit: daySets.credit(iso),
+      status: daySets.statuses.get(iso),
+      holiday: daySets.holidays.get(iso),
+      working: !beforeJoin && daySets.isWorking(d),
+    };
+  });
+
+  const locations = locationBreakdown(profile, daySets, days[0], days[days.length - 1]);
+  return { year, months, ytd, streaks: { current, longest }, cells, locations };
+}